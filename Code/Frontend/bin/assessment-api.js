@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+import { parseArgs } from 'node:util';
+import { readPolicy } from '../src/cli/files.js';
+import { identifyPolicy } from '../src/policy/store.js';
+import { PolicyError } from '../src/policy/errors.js';
+import { createAssessmentService } from '../src/api/service.js';
+import { DEFAULT_ALLOWED_ORIGINS, createApiServer } from '../src/api/server.js';
+import { createMockProviders } from '../src/verification/mockProvider.js';
+
+const USAGE = `Usage: assessment-api [options]
+
+Serves the assessment engine over HTTP: POST /assessments, POST /assessments/{id}/scenarios,
+GET /assessments/{id}/audit and GET /policy. Assessments are held in memory until exit.
+
+Options:
+  --data <dir>    Policy dataset directory (default: the repository Data/ folder)
+  --host <host>   Interface to listen on (default: 127.0.0.1)
+  --port <port>   Port to listen on (default: 8787)
+  --origin <url>  Front-end origin allowed to call the API; repeat for more than one
+                  (default: ${DEFAULT_ALLOWED_ORIGINS.join(', ')})
+  --mock-verification
+                  Verify credit scores and incomes against the bundled mock provider
+  -h, --help      Show this help`;
+
+let values;
+try {
+  ({ values } = parseArgs({ options: { data: { type: 'string' }, host: { type: 'string' }, port: { type: 'string' }, origin: { type: 'string', multiple: true }, 'mock-verification': { type: 'boolean' }, help: { type: 'boolean', short: 'h' } } }));
+} catch (err) {
+  console.error(`${err.message}\n\n${USAGE}`);
+  process.exit(1);
+}
+if (values.help) {
+  console.log(USAGE);
+  process.exit(0);
+}
+
+let policy;
+try {
+  policy = await identifyPolicy(readPolicy(values.data));
+} catch (err) {
+  if (!(err instanceof PolicyError)) throw err;
+  console.error([`Policy error: ${err.message}`, ...err.issues.map(i => `  ${i}`)].join('\n'));
+  process.exit(2);
+}
+
+const host = values.host ?? '127.0.0.1';
+const port = Number(values.port ?? 8787);
+const providers = values['mock-verification'] ? createMockProviders() : {};
+const allowedOrigins = values.origin ?? DEFAULT_ALLOWED_ORIGINS;
+createApiServer(createAssessmentService({ policy, providers }), { allowedOrigins, onError: err => console.error(err) }).listen(port, host, () => {
+  console.log(`Assessment API on http://${host}:${port} for ${allowedOrigins.join(', ')} (policy ${policy.id}${values['mock-verification'] ? ', mock verification' : ''})`);
+});
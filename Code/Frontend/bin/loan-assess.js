@@ -0,0 +1,7 @@
+#!/usr/bin/env node
+import { runCli } from '../src/cli/commands.js';
+
+const { exitCode, stdout, stderr } = runCli(process.argv.slice(2));
+process.stdout.write(stdout);
+process.stderr.write(stderr);
+process.exitCode = exitCode;
@@ -1,34 +1,99 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import {
   ShieldCheck, AlertCircle, CheckCircle2, XCircle, Loader2, Database,
-  ArrowRight, Info, Scale, RefreshCcw, Calculator, ArrowLeft,
+  ArrowRight, Info, Scale, FolderOpen, Calculator, ArrowLeft,
   User, Briefcase, Landmark, ClipboardList, Wallet, PieChart,
-  History, Percent, TrendingUp
+  History, Percent, TrendingUp, FileSpreadsheet, ShieldAlert, Inbox, Lightbulb, Fingerprint,
+  FileDown, FileCode, Braces, SlidersHorizontal, Gavel, Users, UserPlus, Pencil, Trash2
 } from 'lucide-react';
+import { loadPolicy, PolicyError } from './policy/loadPolicy.js';
+import { activatePolicy, identifyPolicy, listPolicyRecords, saveRevision, publishRevision, findPolicy, policyIdFromFingerprint } from './policy/store.js';
+import { groupProductsByFamily, productLabel } from './policy/productRules.js';
+import { importApplicants } from './batch/importApplicants.js';
+import BatchView from './components/BatchView.jsx';
+import OfficerQueueView from './components/OfficerQueueView.jsx';
+import ScenarioPanel from './components/ScenarioPanel.jsx';
+import { applyScenario, scenariosAvailable } from './engine/scenarios.js';
+import AmortizationPanel from './components/AmortizationPanel.jsx';
+import ApplicationsView from './components/ApplicationsView.jsx';
+import AuditTrailView from './components/AuditTrailView.jsx';
+import PolicyEditorView from './components/PolicyEditorView.jsx';
+import { loadQueue, enqueueCase, saveCase } from './officer/queue.js';
+import { REVIEWABLE_DECISIONS, isOpen } from './officer/review.js';
+import { USERS, loadCurrentUser, saveCurrentUser } from './officer/roles.js';
+import { assess } from './engine/assess.js';
+import { fieldFindings, fieldHints, findingsFor, liveEstimate, pageBlocked, personBlocked, submitBlocked } from './engine/fieldRules.js';
+import { coApplicantsOf, partyLabel } from './engine/parties.js';
+import { suggestImprovements } from './engine/suggestions.js';
+import { counterfactualCheck, groupFairnessReport } from './engine/fairness.js';
+import { STATES, createApplication, isEditable, submit, recordAssessment } from './lifecycle/stateMachine.js';
+import { saveApplication, deleteApplication, listApplications } from './lifecycle/store.js';
+import { appendAudit, listAudit } from './audit/store.js';
+import { decisionRationale, buildDecisionReport } from './report/report.js';
+import { downloadFile } from './report/download.js';
+import { createApiClient } from './api/client.js';
+import { verifyApplicant, withVerification } from './verification/verify.js';
+import { createMockProviders } from './verification/mockProvider.js';
 
-// --- DATASET MAPPING ---
-const DATASETS = {
-  lending_rules: {
-    age_limits: { min: 21, max: 60 },
-    credit_bands: [
-      { band: "excellent", min: 750, score: 50 },
-      { band: "good", min: 700, score: 35 },
-      { band: "acceptable", min: 650, score: 20 },
-      { band: "reject", min: 0, score: 0 }
-    ],
-    emi_income_ratio: [
-      { category: "safe", threshold: 0.4, score: 50 },
-      { category: "review", threshold: 0.5, score: 25 },
-      { category: "reject", threshold: 1.0, score: 0 }
-    ]
-  },
-  thresholds: { approve: 70, review: [40, 70], reject: 40 },
-  products: [
-    { type: "Personal", max: 1500000, min_t: 12, max_t: 60 },
-    { type: "Education", max: 2000000, min_t: 24, max_t: 120 },
-    { type: "Housing", max: 8000000, min_t: 60, max_t: 360 },
-    { type: "Vehicle", max: 1000000, min_t: 12, max_t: 84 }
-  ]
+// With VITE_ASSESSMENT_API_URL set (e.g. http://127.0.0.1:8787, see bin/assessment-api.js)
+// decisions are made and audited by the assessment API instead of in the browser.
+const api = import.meta.env.VITE_ASSESSMENT_API_URL ? createApiClient(import.meta.env.VITE_ASSESSMENT_API_URL) : null;
+
+const issueLines = err => (err.issues || []).map(i => typeof i === 'string' ? i : `${i.path}: ${i.message}`);
+
+// No verification provider is configured by default. With VITE_MOCK_VERIFICATION=true
+// (the browser's counterpart of bin/assessment-api.js --mock-verification), decisions made
+// without the API check applicants against the bundled mock provider. That provider only
+// knows the Base_Applicant_Dataset_20 applicants; wizard applications carry no applicant
+// ID and go unverified.
+const LOCAL_PROVIDERS = import.meta.env.VITE_MOCK_VERIFICATION === 'true' ? createMockProviders() : {};
+
+// The API must decide under exactly the policy this app displays and explains.
+const checkApiPolicy = async (policy) => {
+  let remote;
+  try {
+    remote = await api.getPolicy();
+  } catch (err) {
+    throw new PolicyError(err.message, issueLines(err));
+  }
+  if (remote.id !== policy.id) {
+    throw new PolicyError(`The assessment API at ${api.baseUrl} is running a different policy`, [
+      `API policy ${remote.id}: ${Object.entries(remote.versions).map(([k, v]) => `${k} v${v}`).join(', ')}`,
+      `Active policy here ${policy.id}: ${Object.entries(policy.versions).map(([k, v]) => `${k} v${v}`).join(', ')}`,
+      'Start the API on the same datasets, or unset VITE_ASSESSMENT_API_URL to decide in the browser'
+    ]);
+  }
+};
+
+const newApplicationId = () => `APP-${Date.now().toString(36).toUpperCase()}`;
+
+const EXPORT_FORMATS = [
+  { format: 'pdf', title: 'Decision letter (PDF)', Icon: FileDown },
+  { format: 'html', title: 'Printable decision letter (HTML)', Icon: FileCode },
+  { format: 'json', title: 'Machine-readable report (JSON)', Icon: Braces }
+];
+
+const FORM_STAGES = ['IDENTITY', 'FINANCIALS', 'LIABILITIES', 'CO_APPLICANT', 'REQUEST'];
+
+const EMPTY_APPLICANT = {
+  name: '', age: '', gender: 'M',
+  employmentType: 'Salaried', employmentYears: '',
+  income: '', creditScore: '', existingEmi: '', existingLoansCount: '',
+  loanAmount: '', loanType: 'Personal', tenure: '',
+  coApplicants: []
+};
+
+const EMPTY_CO_APPLICANT = {
+  name: '', age: '', gender: 'M',
+  employmentType: 'Salaried', employmentYears: '',
+  income: '', creditScore: '', existingEmi: '', existingLoansCount: ''
+};
+
+const DECISION_THEME = {
+  APPROVED: { card: 'bg-emerald-500/10 border-emerald-500/20 shadow-emerald-500/5', badge: 'bg-emerald-500 shadow-emerald-500/40', text: 'text-emerald-400', Icon: CheckCircle2 },
+  REVIEW: { card: 'bg-amber-500/10 border-amber-500/20 shadow-amber-500/5', badge: 'bg-amber-500 shadow-amber-500/40', text: 'text-amber-400', Icon: AlertCircle },
+  REJECTED: { card: 'bg-rose-500/10 border-rose-500/20 shadow-rose-500/5', badge: 'bg-rose-500 shadow-rose-500/40', text: 'text-rose-400', Icon: XCircle },
+  ESCALATED: { card: 'bg-violet-500/10 border-violet-500/20 shadow-violet-500/5', badge: 'bg-violet-500 shadow-violet-500/40', text: 'text-violet-400', Icon: ShieldAlert }
 };
 
 // --- HELPER COMPONENT (Defined outside to prevent focus loss) ---
@@ -62,72 +127,456 @@ const Page = ({ children, title, subtitle, onNext, onBack, nextLabel = "Next Ste
   </div>
 );
 
+// Findings for one wizard field (see engine/fieldRules.js). Blank fields only block the
+// page, so they are not listed.
+const FieldNote = ({ findings = [] }) => {
+  const shown = findings.filter(f => f.kind !== 'missing');
+  if (!shown.length) return null;
+  return (
+    <ul className="space-y-1 ml-1">
+      {shown.map((f, i) => (
+        <li key={i} className={`text-[11px] font-bold ${f.severity === 'error' ? 'text-rose-400' : 'text-amber-400'}`}>
+          {f.message}{f.ruleId && <span className="font-mono text-slate-600"> · {f.ruleId}</span>}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+// --- PERSON PAGES ---
+// The applicant and every co-applicant fill in the same three pages. `findings` holds the
+// shown person's findings by field name; `onChange` receives only the changed fields.
+const IdentityFields = ({ person, onChange, findings, hints }) => (
+  <div className="grid grid-cols-1 md:grid-cols-2 gap-10">
+    <div className="space-y-4">
+      <label className="text-[11px] font-black text-slate-500 uppercase tracking-widest ml-1">Applicant Legal Name</label>
+      <div className="relative">
+        <User className="absolute left-6 top-1/2 -translate-y-1/2 text-slate-600 pointer-events-none" size={20} />
+        <input
+          autoFocus
+          className="input-base !pl-16"
+          value={person.name}
+          onChange={e => onChange({ name: e.target.value })}
+          placeholder="e.g. Johnathan Doe"
+        />
+      </div>
+      <FieldNote findings={findings.name} />
+    </div>
+    <div className="space-y-4">
+      <label className="text-[11px] font-black text-slate-500 uppercase tracking-widest ml-1">Current Age</label>
+      <input
+        type="number"
+        className="input-base"
+        value={person.age}
+        onChange={e => onChange({ age: e.target.value })}
+        placeholder={hints.age}
+      />
+      <FieldNote findings={findings.age} />
+    </div>
+    <div className="space-y-4">
+      <label className="text-[11px] font-black text-slate-500 uppercase tracking-widest ml-1">Gender Identification</label>
+      <select
+        className="input-base appearance-none cursor-pointer"
+        value={person.gender}
+        onChange={e => onChange({ gender: e.target.value })}
+      >
+        <option value="M">Male</option><option value="F">Female</option><option value="O">Other</option>
+      </select>
+    </div>
+  </div>
+);
+
+const IncomeFields = ({ person, onChange, findings }) => (
+  <div className="grid grid-cols-1 md:grid-cols-2 gap-10">
+    <div className="space-y-4">
+      <label className="text-[11px] font-black text-slate-500 uppercase tracking-widest ml-1">Employment Category</label>
+      <div className="relative">
+        <Briefcase className="absolute left-6 top-1/2 -translate-y-1/2 text-slate-600 pointer-events-none" size={20} />
+        <select className="input-base !pl-16 appearance-none" value={person.employmentType} onChange={e => onChange({ employmentType: e.target.value })}>
+          <option value="Salaried">Salaried Employee</option><option value="Self-Employed">Self-Employed / Business</option>
+        </select>
+      </div>
+    </div>
+    <div className="space-y-4">
+      <label className="text-[11px] font-black text-slate-500 uppercase tracking-widest ml-1">Tenure in Occupation (Years)</label>
+      <input type="number" className="input-base" value={person.employmentYears} onChange={e => onChange({ employmentYears: e.target.value })} placeholder="e.g. 5" />
+      <FieldNote findings={findings.employmentYears} />
+    </div>
+    <div className="space-y-4 md:col-span-2">
+      <label className="text-[11px] font-black text-slate-500 uppercase tracking-widest ml-1">Monthly Gross Revenue / Salary ($)</label>
+      <div className="relative">
+        <Wallet className="absolute left-6 top-1/2 -translate-y-1/2 text-slate-600 pointer-events-none" size={20} />
+        <input type="number" className="input-base !pl-16 font-black" value={person.income} onChange={e => onChange({ income: e.target.value })} />
+      </div>
+      <FieldNote findings={findings.income} />
+    </div>
+  </div>
+);
+
+const LiabilityFields = ({ person, onChange, findings, hints }) => (
+  <div className="grid grid-cols-1 md:grid-cols-2 gap-10">
+    <div className="space-y-4">
+      <label className="text-[11px] font-black text-slate-500 uppercase tracking-widest ml-1">Current Monthly EMI Outflow ($)</label>
+      <input type="number" className="input-base" value={person.existingEmi} onChange={e => onChange({ existingEmi: e.target.value })} placeholder="0 if no current loans" />
+      <FieldNote findings={findings.existingEmi} />
+    </div>
+    <div className="space-y-4">
+      <label className="text-[11px] font-black text-slate-500 uppercase tracking-widest ml-1">Active Loan Count</label>
+      <input type="number" className="input-base" value={person.existingLoansCount} onChange={e => onChange({ existingLoansCount: e.target.value })} placeholder="e.g. 2" />
+      <FieldNote findings={findings.existingLoansCount} />
+    </div>
+    <div className="space-y-4 md:col-span-2">
+      <label className="text-[11px] font-black text-slate-500 uppercase tracking-widest ml-1">TransUnion / Equifax Credit Score</label>
+      <div className="relative">
+        <Landmark className="absolute left-6 top-1/2 -translate-y-1/2 text-slate-600 pointer-events-none" size={20} />
+        <input type="number" className="input-base !pl-16" value={person.creditScore} onChange={e => onChange({ creditScore: e.target.value })} placeholder={hints.creditScore} />
+      </div>
+      <FieldNote findings={findings.creditScore} />
+    </div>
+  </div>
+);
+
+const CO_APPLICANT_STEPS = [
+  { page: 'IDENTITY', title: 'Identity', subtitle: 'Every co-borrower is assessed against the same age limits as the applicant.', Fields: IdentityFields },
+  { page: 'FINANCIALS', title: 'Income', subtitle: 'Income is combined with the applicant\'s for debt-to-income and loan-to-income.', Fields: IncomeFields },
+  { page: 'LIABILITIES', title: 'Liabilities', subtitle: 'Existing EMIs add to the joint obligations; the policy decides whose credit score governs.', Fields: LiabilityFields }
+];
+
+const EstimatePanel = ({ estimate }) => {
+  if (!estimate) {
+    return <p className="text-[11px] font-bold text-slate-600 uppercase tracking-widest">Enter the amount and tenure to see the estimated instalment</p>;
+  }
+  const check = estimate.dtiCheck;
+  const tone = check.status === 'pass' ? 'text-emerald-400' : check.status === 'fail' ? 'text-rose-400' : 'text-amber-400';
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-3 gap-6 items-end">
+      <div>
+        <div className="text-[10px] font-black text-slate-500 uppercase tracking-widest mb-2">Estimated EMI</div>
+        <div className="text-3xl font-black text-blue-400">${Math.round(estimate.emi).toLocaleString()}<span className="text-xs text-slate-500"> / month</span></div>
+      </div>
+      <div>
+        <div className="text-[10px] font-black text-slate-500 uppercase tracking-widest mb-2">Debt-to-Income</div>
+        <div className={`text-3xl font-black ${tone}`}>{(estimate.dti * 100).toFixed(1)}%</div>
+      </div>
+      <div className="text-[11px] font-bold text-slate-500 leading-relaxed">
+        {productLabel(estimate.loanType)} at {(estimate.annualRate * 100).toFixed(2)}% APR · {check.detail}
+        <div className="font-mono text-slate-600">{check.ruleId}</div>
+      </div>
+    </div>
+  );
+};
+
 const App = () => {
   const [stage, setStage] = useState('WELCOME');
-  const [applicant, setApplicant] = useState({
-    name: '', age: '', gender: 'M',
-    employmentType: 'Salaried', employmentYears: '',
-    income: '', creditScore: '', existingEmi: '', existingLoansCount: '',
-    loanAmount: '', loanType: 'Personal', tenure: ''
-  });
+  const [applicant, setApplicant] = useState(EMPTY_APPLICANT);
+  const [application, setApplication] = useState(null);
+  const [applications, setApplications] = useState([]);
   const [assessment, setAssessment] = useState(null);
   const [isProcessing, setIsProcessing] = useState(false);
   const [activeTab, setActiveTab] = useState('summary');
+  const [policy, setPolicy] = useState(null);
+  const [policyRecords, setPolicyRecords] = useState([]);
+  const [decisionPolicy, setDecisionPolicy] = useState(null);
+  const [decisionPolicyMissing, setDecisionPolicyMissing] = useState(false);
+  const [policyError, setPolicyError] = useState(null);
+  const [decisionError, setDecisionError] = useState(null);
+  const [storageError, setStorageError] = useState(null);
+  const [batch, setBatch] = useState(null);
+  const [returnStage, setReturnStage] = useState(null);
+  const [queue, setQueue] = useState(loadQueue);
+  const [user, setUser] = useState(loadCurrentUser);
+  const [auditRecords, setAuditRecords] = useState([]);
+  const [coEditing, setCoEditing] = useState(null);
+
+  // Storage failures never block the app; the banner names what was not saved or loaded.
+  const storageFailed = context => err => setStorageError({ context, message: err.message });
 
-  // --- LOGIC ENGINE ---
-  const calculateEMI = (principal, months, annualRate = 0.10) => {
-    const r = annualRate / 12;
-    return (principal * r * Math.pow(1 + r, months)) / (Math.pow(1 + r, months) - 1);
+  useEffect(() => {
+    // A published revision replaces the datasets as the active policy. If the policy store
+    // is unreachable the datasets are used as-is; an invalid stored revision still fails loudly.
+    loadPolicy()
+      .then(baseline => activatePolicy(baseline).catch(async err => {
+        if (err instanceof PolicyError) throw err;
+        storageFailed('The policy store is unavailable; the datasets are used as the active policy')(err);
+        const root = await identifyPolicy(baseline);
+        return { policy: { ...root, rootId: root.id }, records: [] };
+      }))
+      .then(async ({ policy, records }) => {
+        if (api) await checkApiPolicy(policy);
+        setPolicy(policy);
+        setPolicyRecords(records);
+      })
+      .catch(setPolicyError);
+    listApplications().then(setApplications).catch(storageFailed('Saved applications could not be loaded'));
+  }, []);
+
+  // Drafts are written back on every edit so a reload never loses an application.
+  useEffect(() => {
+    if (!application || !isEditable(application) || !FORM_STAGES.includes(stage)) return;
+    const timer = setTimeout(() => {
+      // A co-applicant's pages are reopened from the loan request page, which lists them.
+      saveApplication({ ...application, applicant, step: stage === 'CO_APPLICANT' ? 'REQUEST' : stage, updatedAt: new Date().toISOString() })
+        .then(listApplications).then(setApplications).catch(storageFailed('The draft could not be saved'));
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [application, applicant, stage]);
+
+  const persist = (app) => {
+    setApplication(app);
+    saveApplication(app).then(listApplications).then(setApplications).catch(storageFailed('The application could not be saved'));
   };
 
-  const runAssessment = () => {
+  const editApplicant = patch => setApplicant(a => ({ ...a, ...patch }));
+
+  const editCoApplicant = (index, patch) =>
+    setApplicant(a => ({ ...a, coApplicants: coApplicantsOf(a).map((c, i) => i === index ? { ...c, ...patch } : c) }));
+
+  const addCoApplicant = () => {
+    setApplicant(a => ({ ...a, coApplicants: [...coApplicantsOf(a), EMPTY_CO_APPLICANT] }));
+    setCoEditing({ index: coApplicantsOf(applicant).length, step: 0 });
+    setStage('CO_APPLICANT');
+  };
+
+  const removeCoApplicant = index =>
+    setApplicant(a => ({ ...a, coApplicants: coApplicantsOf(a).filter((_, i) => i !== index) }));
+
+  const startApplication = () => {
+    const app = createApplication(newApplicationId(), EMPTY_APPLICANT, new Date().toISOString());
+    setApplicant(EMPTY_APPLICANT);
+    setAssessment(null);
+    setActiveTab('summary');
+    setReturnStage(null);
+    persist(app);
+    setStage('IDENTITY');
+  };
+
+  // Writes the decision to the audit chain; its trace ID comes from the record hash.
+  // If the record cannot be written the decision is still shown, but without a trace ID.
+  // The policy ID binds the decision to the exact policy revision it was made under.
+  const auditDecision = async (subject, applicant, result) => {
+    const decided = { ...result, policyId: policy.id };
+    try {
+      const record = await appendAudit({ subject, applicant, assessment: decided, policy });
+      return { ...decided, traceId: record.traceId };
+    } catch (err) {
+      storageFailed('The decision could not be written to the audit trail')(err);
+      return { ...decided, traceId: null };
+    }
+  };
+
+  // The API verifies, audits on its own chain and returns the assessment with its trace
+  // ID. A decision made under any policy other than the active one (say, after a revision
+  // was published here) is not issued. Returns the applicant as verified with the
+  // assessment, so anything re-run on it later sees the same verified values.
+  const decide = async (subject, applicant) => {
+    if (!api) {
+      const verified = await verifyApplicant(applicant, LOCAL_PROVIDERS);
+      return { applicant: verified, assessment: await auditDecision(subject, verified, assess(verified, policy)) };
+    }
+    const { assessment, report } = await api.createAssessment(applicant);
+    if (assessment.policyId !== policy.id) {
+      throw new PolicyError(`The assessment API decided under policy ${assessment.policyId}, not the active policy ${policy.id}`, [`API trace ID ${assessment.traceId}`]);
+    }
+    return { applicant: withVerification(applicant, report.applicant.verification), assessment };
+  };
+
+  // The queue is kept in localStorage; a write that fails (quota, privacy mode) is reported
+  // and never stops the decision it belongs to from being recorded.
+  const queueCase = (input) => {
+    try {
+      setQueue(enqueueCase(input));
+    } catch (err) {
+      storageFailed('The case could not be added to the officer queue')(err);
+    }
+  };
+
+  // An escalated case re-assessed by an officer is verified and audited as a new decision.
+  const reassessApplicant = (reviewCase, applicant) =>
+    decide({ applicationId: reviewCase.applicationId, applicantId: reviewCase.applicantId, name: applicant.name }, applicant);
+
+  // A past decision is only ever shown under the policy it was made under. Null when that
+  // revision is not on record or cannot be read; never a different policy in its place.
+  const resolvePolicy = async (id) => {
+    if (id && id === policy.id) return policy;
+    if (!id) return null;
+    try {
+      return await findPolicy(id);
+    } catch (err) {
+      storageFailed(`Policy revision ${id} could not be read`)(err);
+      return null;
+    }
+  };
+
+  const resolveRecordPolicy = async record => resolvePolicy(await policyIdFromFingerprint(record.policy));
+
+  const refreshPolicyRecords = () => listPolicyRecords().then(setPolicyRecords).catch(storageFailed('Policy revisions could not be loaded'));
+
+  const saveDraftRevision = async (compiled) => {
+    const record = await saveRevision({ ...compiled, base: policy });
+    await refreshPolicyRecords();
+    return record;
+  };
+
+  const publishDraftRevision = async (record) => {
+    setPolicy(await publishRevision(record, new Date().toISOString()));
+    await refreshPolicyRecords();
+  };
+
+  // If the API cannot decide, the application stays SUBMITTED and is completed when reopened.
+  const completeAssessment = async (submitted) => {
     setIsProcessing(true);
-    let score = 0;
-    const steps = [];
-
-    setTimeout(() => {
-      // 1. Core Eligibility
-      const ageVal = parseInt(applicant.age);
-      const ageValid = ageVal >= DATASETS.lending_rules.age_limits.min && ageVal <= DATASETS.lending_rules.age_limits.max;
-      steps.push({ label: 'Age Verification', status: ageValid ? 'pass' : 'fail', detail: `${ageVal} yrs (${DATASETS.lending_rules.age_limits.min}-60 required)` });
-
-      const prod = DATASETS.products.find(p => p.type === applicant.loanType);
-      const loanAmt = parseFloat(applicant.loanAmount);
-      const amountValid = loanAmt <= prod.max;
-      steps.push({ label: 'Amount Compliance', status: amountValid ? 'pass' : 'fail', detail: `$${loanAmt.toLocaleString()} requested (Max: $${prod.max.toLocaleString()})` });
-
-      const tenureVal = parseInt(applicant.tenure);
-      const tenureValid = tenureVal >= prod.min_t && tenureVal <= prod.max_t;
-      steps.push({ label: 'Tenure Compliance', status: tenureValid ? 'pass' : 'fail', detail: `${tenureVal} months requested (${prod.min_t}-${prod.max_t} allowed)` });
-
-      // 2. Risk Evaluation
-      const cs = parseInt(applicant.creditScore);
-      const band = DATASETS.lending_rules.credit_bands.find(b => cs >= b.min) || DATASETS.lending_rules.credit_bands[3];
-      score += band.score;
-      steps.push({ label: 'Credit Integrity', status: band.score >= 35 ? 'pass' : band.score > 0 ? 'warn' : 'fail', detail: `Score ${cs} (${band.band.toUpperCase()} band). Weight: +${band.score}` });
-
-      // 3. Financial Capacity
-      const newEmi = calculateEMI(loanAmt, tenureVal);
-      const totalObligation = parseFloat(applicant.existingEmi || 0) + newEmi;
-      const dti = totalObligation / parseFloat(applicant.income);
-      const dtiRule = DATASETS.lending_rules.emi_income_ratio.find(r => dti <= r.threshold) || { category: 'reject', score: 0 };
-
-      score += dtiRule.score;
-      steps.push({ label: 'Debt-to-Income', status: dti <= 0.4 ? 'pass' : dti <= 0.5 ? 'warn' : 'fail', detail: `Ratio: ${(dti * 100).toFixed(1)}% (Threshold: 40%). Weight: +${dtiRule.score}` });
-
-      // Final Decision Logic
-      let decision = 'REVIEW';
-      if (!ageValid || !amountValid || !tenureValid || score < DATASETS.thresholds.reject) decision = 'REJECTED';
-      else if (score >= DATASETS.thresholds.approve) decision = 'APPROVED';
-
-      setAssessment({
-        decision, score, steps, dti: (dti * 100).toFixed(1),
-        newEmi: newEmi.toFixed(0), totalObligation: totalObligation.toFixed(0)
-      });
+    setDecisionError(null);
+    const subject = { applicationId: submitted.id, applicantId: null, name: submitted.applicant.name };
+    let verified, result;
+    try {
+      ({ applicant: verified, assessment: result } = await decide(subject, submitted.applicant));
+    } catch (err) {
+      setDecisionError(err);
       setIsProcessing(false);
-    }, 2000);
+      return;
+    }
+    // The decision was made on the verified applicant, so that is what is recorded, queued
+    // and shown; scenarios and suggestions then start from the same values.
+    persist(recordAssessment({ ...submitted, applicant: verified }, result, new Date().toISOString()));
+    if (REVIEWABLE_DECISIONS.includes(result.decision)) queueCase({ applicant: verified, assessment: result, applicationId: submitted.id });
+    setApplicant(verified);
+    setDecisionPolicy(policy);
+    setDecisionPolicyMissing(false);
+    setAssessment(result);
+    setIsProcessing(false);
+  };
+
+  const runAssessment = () => {
+    setReturnStage(null);
+    const submitted = submit({ ...application, applicant, step: 'REQUEST' }, new Date().toISOString());
+    persist(submitted);
+    completeAssessment(submitted);
+  };
+
+  // Drafts resume at the step they were left on; anything past DRAFT opens read-only.
+  // A record left in SUBMITTED (e.g. reloaded mid-assessment) is carried to completion.
+  const openApplication = (app) => {
+    setApplication(app);
+    setApplicant(app.applicant);
+    setAssessment(app.assessment);
+    setActiveTab('summary');
+    setReturnStage('APPLICATIONS');
+    setDecisionError(null);
+    if (isEditable(app)) return setStage(app.step || 'IDENTITY');
+    setDecisionPolicy(null);
+    setDecisionPolicyMissing(false);
+    if (app.assessment) {
+      resolvePolicy(app.assessment.policyId).then((found) => {
+        setDecisionPolicy(found);
+        setDecisionPolicyMissing(!found);
+      });
+    }
+    setStage('ASSESSMENT');
+    if (app.status === STATES.SUBMITTED) completeAssessment(app);
+  };
+
+  // Everything is generated in the browser; the letter renderers (and jsPDF) load on first use.
+  const exportDecision = async (format) => {
+    const report = buildDecisionReport({ applicant, assessment, policy: decisionPolicy, suggestions, generatedAt: new Date().toISOString() });
+    const name = `decision-${report.traceId ?? 'untraced'}`;
+    if (format === 'json') return downloadFile(JSON.stringify(report, null, 2), 'application/json', `${name}.json`);
+    const { renderLetterHtml, renderLetterPdf } = await import('./report/letter.js');
+    if (format === 'html') return downloadFile(renderLetterHtml(report), 'text/html', `${name}.html`);
+    renderLetterPdf(report).save(`${name}.pdf`);
+  };
+
+  const referDecision = () => queueCase({ applicant, assessment, applicationId: application?.id ?? null, referredBy: user });
+
+  const switchUser = (next) => {
+    saveCurrentUser(next);
+    setUser(next);
+  };
+
+  const openAudit = () => {
+    listAudit().then(setAuditRecords).catch(storageFailed('The audit trail could not be loaded'));
+    setStage('AUDIT');
+  };
+
+  const discardDraft = (app) => {
+    if (application?.id === app.id) setApplication(null);
+    deleteApplication(app.id).then(listApplications).then(setApplications).catch(storageFailed('The draft could not be discarded'));
+  };
+
+  const runBatch = async (file) => {
+    setBatch({ fileName: file.name, rows: [], issues: [], error: null });
+    try {
+      const { applicants, issues } = importApplicants(await file.arrayBuffer(), file.name);
+      // A row that cannot be decided is listed with the import issues; the rest still run.
+      const rows = [];
+      for (const a of applicants) {
+        try {
+          rows.push(await decide({ applicationId: null, applicantId: a.applicantId, name: a.name }, a));
+        } catch (err) {
+          issues.push(`${a.applicantId}: could not be decided (${[err.message, ...issueLines(err)].join('; ')}); row skipped`);
+        }
+      }
+      rows.filter(r => REVIEWABLE_DECISIONS.includes(r.assessment.decision)).forEach(queueCase);
+      const anomalies = rows.flatMap(r => counterfactualCheck(r.applicant, policy, r.assessment).anomalies.map(a => ({ applicantId: r.applicant.applicantId, ...a })));
+      setBatch({ fileName: file.name, rows, issues, error: null, policy, fairness: { report: groupFairnessReport(rows), anomalies } });
+    } catch (err) {
+      setBatch({ fileName: file.name, rows: [], issues: issueLines(err), error: err.message });
+    }
+  };
+
+  const openBatchRow = (row) => {
+    setApplication(null);
+    setApplicant(row.applicant);
+    setAssessment(row.assessment);
+    setDecisionPolicy(batch.policy);
+    setDecisionPolicyMissing(false);
+    setDecisionError(null);
+    setActiveTab('summary');
+    setReturnStage('BATCH');
+    setStage('ASSESSMENT');
   };
 
+  // Scenarios on an API decision run against the applicant the API stored with it.
+  const runScenario = useCallback(changes => api
+    ? api.runScenario(assessment.traceId, changes).then(r => r.assessment)
+    : applyScenario(applicant, changes, decisionPolicy), [assessment, applicant, decisionPolicy]);
+
+  const theme = assessment && DECISION_THEME[assessment.decision];
+  const drafts = applications.filter(isEditable).length;
+  const openCases = queue.filter(isOpen).length;
+  const reviewCase = assessment && queue.find(c => c.id === assessment.traceId);
+  const suggestions = assessment && decisionPolicy ? suggestImprovements(applicant, assessment, decisionPolicy) : [];
+  const fairness = assessment && decisionPolicy ? counterfactualCheck(applicant, decisionPolicy, assessment) : null;
+  const route = policy?.lendingRules.product_routing?.[applicant.employmentType]?.[applicant.loanType];
+  const findings = policy ? fieldFindings(applicant, policy) : {};
+  const hints = policy ? fieldHints(applicant, policy) : {};
+  const estimate = policy && stage === 'REQUEST' ? liveEstimate(applicant, policy) : null;
+  const coApplicants = coApplicantsOf(applicant);
+  const jointRules = policy?.lendingRules.joint_applications;
+  const coStep = coEditing && CO_APPLICANT_STEPS[coEditing.step];
+  const CoApplicantFields = coStep?.Fields;
+  const previewApplicants = [
+    ...applications.filter(a => !isEditable(a)).map(a => a.applicant),
+    ...(batch?.rows || []).map(r => r.applicant)
+  ];
+
+  if (policyError) {
+    return (
+      <div className="min-h-screen bg-[#020617] text-slate-100 p-6 lg:p-12 font-sans flex flex-col items-center justify-center text-center">
+        <div className="w-24 h-24 bg-rose-500/10 rounded-[2.5rem] flex items-center justify-center mb-8 border border-rose-500/20">
+          <XCircle className="text-rose-400" size={48} />
+        </div>
+        <h2 className="text-5xl font-black text-white tracking-tighter mb-4">Policy Unavailable</h2>
+        <p className="text-slate-400 max-w-lg text-lg mb-8 font-medium leading-relaxed">Assessments are suspended because the lending policy datasets could not be loaded. No built-in thresholds are used in their place.</p>
+        <div className="max-w-2xl w-full p-8 bg-black/40 rounded-3xl border border-white/5 text-left">
+          <div className="text-xs font-black text-rose-400 uppercase tracking-widest mb-4">{policyError.message}</div>
+          <ul className="space-y-2 text-sm text-slate-400 font-mono">
+            {(policyError.issues || []).map((issue, i) => <li key={i}>{issue}</li>)}
+          </ul>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen bg-[#020617] text-slate-100 p-6 lg:p-12 font-sans flex flex-col overflow-x-hidden selection:bg-blue-500/30">
       <style>{`
@@ -170,9 +619,37 @@ const App = () => {
             </div>
           ))}
         </div>
-        <button onClick={() => window.location.reload()} className="p-3 bg-white/5 rounded-2xl hover:bg-white/10 transition-all text-slate-500 hover:text-white"><RefreshCcw size={20} /></button>
+        <div className="flex items-center gap-3">
+          <button onClick={() => setStage('QUEUE')} className="relative p-3 bg-white/5 rounded-2xl hover:bg-white/10 transition-all text-slate-500 hover:text-white" title="Officer review workspace">
+            <Inbox size={20} />
+            {openCases > 0 && <span className="absolute -top-1 -right-1 min-w-5 h-5 px-1 bg-violet-500 text-white text-[10px] font-black rounded-full flex items-center justify-center">{openCases}</span>}
+          </button>
+          <button onClick={() => setStage('POLICY')} disabled={!policy} className="p-3 bg-white/5 rounded-2xl hover:bg-white/10 transition-all text-slate-500 hover:text-white disabled:opacity-30" title="Policy editor">
+            <SlidersHorizontal size={20} />
+          </button>
+          <button onClick={openAudit} className="p-3 bg-white/5 rounded-2xl hover:bg-white/10 transition-all text-slate-500 hover:text-white" title="Decision audit trail">
+            <Fingerprint size={20} />
+          </button>
+          <button onClick={() => setStage('APPLICATIONS')} className="relative p-3 bg-white/5 rounded-2xl hover:bg-white/10 transition-all text-slate-500 hover:text-white" title="Saved applications">
+            <FolderOpen size={20} />
+            {drafts > 0 && <span className="absolute -top-1 -right-1 min-w-5 h-5 px-1 bg-blue-600 text-white text-[10px] font-black rounded-full flex items-center justify-center">{drafts}</span>}
+          </button>
+        </div>
       </div>
 
+      {storageError && (
+        <div className="max-w-7xl mx-auto w-full mb-8 p-5 bg-rose-500/10 border border-rose-500/20 rounded-3xl flex items-start gap-4">
+          <AlertCircle size={20} className="text-rose-400 shrink-0 mt-0.5" />
+          <div className="flex-1 text-sm font-semibold">
+            <div className="text-rose-400 font-black">{storageError.context}</div>
+            <div className="text-slate-400">{storageError.message}</div>
+          </div>
+          <button onClick={() => setStorageError(null)} className="text-slate-500 hover:text-white transition-all" title="Dismiss">
+            <XCircle size={18} />
+          </button>
+        </div>
+      )}
+
       {stage === 'WELCOME' && (
         <div className="flex-1 flex flex-col items-center justify-center text-center animate-in zoom-in-95 duration-700">
           <div className="w-24 h-24 bg-blue-600/10 rounded-[2.5rem] flex items-center justify-center mb-8 border border-blue-500/10 shadow-inner">
@@ -180,52 +657,61 @@ const App = () => {
           </div>
           <h2 className="text-7xl font-black text-white tracking-tighter mb-4 leading-tight">Smart Loan <br /> Compliance Bot</h2>
           <p className="text-slate-400 max-w-lg text-lg mb-12 font-medium leading-relaxed">Quantify your risk and eligibility through our transparent, dataset-driven compliance engine. Pure logic, zero inference.</p>
-          <button onClick={() => setStage('IDENTITY')} className="bg-blue-600 px-16 py-7 rounded-[2.5rem] font-black text-xl shadow-2xl shadow-blue-600/30 hover:scale-105 transition-all flex items-center gap-5">BEGIN ASSESSMENT <ArrowRight /></button>
+          <button onClick={startApplication} disabled={!policy} className="bg-blue-600 px-16 py-7 rounded-[2.5rem] font-black text-xl shadow-2xl shadow-blue-600/30 hover:scale-105 transition-all flex items-center gap-5 disabled:opacity-30 disabled:hover:scale-100">
+            {policy ? <>BEGIN ASSESSMENT <ArrowRight /></> : <>LOADING POLICY <Loader2 className="animate-spin" /></>}
+          </button>
+          {policy && applications.length > 0 && (
+            <button onClick={() => setStage('APPLICATIONS')} className="mt-6 text-slate-500 font-black text-xs tracking-[0.2em] flex items-center gap-2 hover:text-white transition-all">
+              <FolderOpen size={16} /> RESUME OR REVIEW SAVED APPLICATIONS ({applications.length})
+            </button>
+          )}
+          {policy && (
+            <button onClick={() => setStage('BATCH')} className="mt-6 text-slate-500 font-black text-xs tracking-[0.2em] flex items-center gap-2 hover:text-white transition-all">
+              <FileSpreadsheet size={16} /> BATCH ASSESS A PORTFOLIO
+            </button>
+          )}
+          {policy && (
+            <p className="text-[10px] font-bold text-slate-600 tracking-[0.3em] uppercase mt-8">Lending Rules v{policy.versions.lending_rules} · Approval Thresholds v{policy.versions.approval_thresholds} · Probability Model v{policy.versions.approval_probability} · Product Pricing v{policy.versions.product_pricing}</p>
+          )}
         </div>
       )}
 
+      {stage === 'QUEUE' && (
+        <OfficerQueueView queue={queue} user={user} users={USERS} onSwitchUser={switchUser} onUpdate={c => setQueue(saveCase(c))} onReassess={reassessApplicant} onBack={() => setStage('WELCOME')} />
+      )}
+
+      {stage === 'APPLICATIONS' && (
+        <ApplicationsView applications={applications} onOpen={openApplication} onDiscard={discardDraft} onBack={() => setStage('WELCOME')} />
+      )}
+
+      {stage === 'AUDIT' && (
+        <AuditTrailView key={auditRecords.length} records={auditRecords} resolvePolicy={resolveRecordPolicy} onBack={() => setStage('WELCOME')} />
+      )}
+
+      {stage === 'POLICY' && policy && (
+        <PolicyEditorView
+          key={policy.id}
+          policy={policy}
+          records={policyRecords.filter(r => r.rootId === policy.rootId)}
+          applicants={previewApplicants}
+          onSave={saveDraftRevision}
+          onPublish={publishDraftRevision}
+          onBack={() => setStage('WELCOME')}
+        />
+      )}
+
+      {stage === 'BATCH' && (
+        <BatchView batch={batch} onImport={runBatch} onOpen={openBatchRow} onBack={() => setStage('WELCOME')} />
+      )}
+
       {stage === 'IDENTITY' && (
         <Page
           title="Applicant Identity"
           subtitle="Define basic demographics to initiate the evaluation lifecycle."
           onNext={() => setStage('FINANCIALS')}
-          disabled={!applicant.name || !applicant.age}
+          disabled={pageBlocked(findings, 'IDENTITY')}
         >
-          <div className="grid grid-cols-1 md:grid-cols-2 gap-10">
-            <div className="space-y-4">
-              <label className="text-[11px] font-black text-slate-500 uppercase tracking-widest ml-1">Applicant Legal Name</label>
-              <div className="relative">
-                <User className="absolute left-6 top-1/2 -translate-y-1/2 text-slate-600 pointer-events-none" size={20} />
-                <input
-                  autoFocus
-                  className="input-base !pl-16"
-                  value={applicant.name}
-                  onChange={e => setApplicant({ ...applicant, name: e.target.value })}
-                  placeholder="e.g. Johnathan Doe"
-                />
-              </div>
-            </div>
-            <div className="space-y-4">
-              <label className="text-[11px] font-black text-slate-500 uppercase tracking-widest ml-1">Current Age</label>
-              <input
-                type="number"
-                className="input-base"
-                value={applicant.age}
-                onChange={e => setApplicant({ ...applicant, age: e.target.value })}
-                placeholder="21 - 60"
-              />
-            </div>
-            <div className="space-y-4">
-              <label className="text-[11px] font-black text-slate-500 uppercase tracking-widest ml-1">Gender Identification</label>
-              <select
-                className="input-base appearance-none cursor-pointer"
-                value={applicant.gender}
-                onChange={e => setApplicant({ ...applicant, gender: e.target.value })}
-              >
-                <option value="M">Male</option><option value="F">Female</option><option value="O">Other</option>
-              </select>
-            </div>
-          </div>
+          <IdentityFields person={applicant} onChange={editApplicant} findings={findings} hints={hints} />
         </Page>
       )}
 
@@ -235,30 +721,9 @@ const App = () => {
           subtitle="Assessment of current cashflow and stability metrics."
           onBack={() => setStage('IDENTITY')}
           onNext={() => setStage('LIABILITIES')}
-          disabled={!applicant.income || !applicant.employmentYears}
+          disabled={pageBlocked(findings, 'FINANCIALS')}
         >
-          <div className="grid grid-cols-1 md:grid-cols-2 gap-10">
-            <div className="space-y-4">
-              <label className="text-[11px] font-black text-slate-500 uppercase tracking-widest ml-1">Employment Category</label>
-              <div className="relative">
-                <Briefcase className="absolute left-6 top-1/2 -translate-y-1/2 text-slate-600 pointer-events-none" size={20} />
-                <select className="input-base !pl-16 appearance-none" value={applicant.employmentType} onChange={e => setApplicant({ ...applicant, employmentType: e.target.value })}>
-                  <option value="Salaried">Salaried Employee</option><option value="Self-Employed">Self-Employed / Business</option>
-                </select>
-              </div>
-            </div>
-            <div className="space-y-4">
-              <label className="text-[11px] font-black text-slate-500 uppercase tracking-widest ml-1">Tenure in Occupation (Years)</label>
-              <input type="number" className="input-base" value={applicant.employmentYears} onChange={e => setApplicant({ ...applicant, employmentYears: e.target.value })} placeholder="e.g. 5" />
-            </div>
-            <div className="space-y-4 md:col-span-2">
-              <label className="text-[11px] font-black text-slate-500 uppercase tracking-widest ml-1">Monthly Gross Revenue / Salary ($)</label>
-              <div className="relative">
-                <Wallet className="absolute left-6 top-1/2 -translate-y-1/2 text-slate-600 pointer-events-none" size={20} />
-                <input type="number" className="input-base !pl-16 font-black" value={applicant.income} onChange={e => setApplicant({ ...applicant, income: e.target.value })} />
-              </div>
-            </div>
-          </div>
+          <IncomeFields person={applicant} onChange={editApplicant} findings={findings} hints={hints} />
         </Page>
       )}
 
@@ -268,25 +733,28 @@ const App = () => {
           subtitle="Critical checks on existing debt burden and creditworthiness."
           onBack={() => setStage('FINANCIALS')}
           onNext={() => setStage('REQUEST')}
-          disabled={applicant.existingEmi === '' || applicant.existingLoansCount === '' || !applicant.creditScore}
+          disabled={pageBlocked(findings, 'LIABILITIES')}
         >
-          <div className="grid grid-cols-1 md:grid-cols-2 gap-10">
-            <div className="space-y-4">
-              <label className="text-[11px] font-black text-slate-500 uppercase tracking-widest ml-1">Current Monthly EMI Outflow ($)</label>
-              <input type="number" className="input-base" value={applicant.existingEmi} onChange={e => setApplicant({ ...applicant, existingEmi: e.target.value })} placeholder="0 if no current loans" />
-            </div>
-            <div className="space-y-4">
-              <label className="text-[11px] font-black text-slate-500 uppercase tracking-widest ml-1">Active Loan Count</label>
-              <input type="number" className="input-base" value={applicant.existingLoansCount} onChange={e => setApplicant({ ...applicant, existingLoansCount: e.target.value })} placeholder="e.g. 2" />
-            </div>
-            <div className="space-y-4 md:col-span-2">
-              <label className="text-[11px] font-black text-slate-500 uppercase tracking-widest ml-1">TransUnion / Equifax Credit Score</label>
-              <div className="relative">
-                <Landmark className="absolute left-6 top-1/2 -translate-y-1/2 text-slate-600 pointer-events-none" size={20} />
-                <input type="number" className="input-base !pl-16" value={applicant.creditScore} onChange={e => setApplicant({ ...applicant, creditScore: e.target.value })} placeholder="300 - 850" />
-              </div>
-            </div>
-          </div>
+          <LiabilityFields person={applicant} onChange={editApplicant} findings={findings} hints={hints} />
+        </Page>
+      )}
+
+      {stage === 'CO_APPLICANT' && coStep && (
+        <Page
+          title={`Co-Applicant ${coEditing.index + 1}: ${coStep.title}`}
+          subtitle={coStep.subtitle}
+          onBack={() => coEditing.step === 0 ? setStage('REQUEST') : setCoEditing({ ...coEditing, step: coEditing.step - 1 })}
+          onNext={() => coEditing.step === CO_APPLICANT_STEPS.length - 1 ? setStage('REQUEST') : setCoEditing({ ...coEditing, step: coEditing.step + 1 })}
+          nextLabel={coEditing.step === CO_APPLICANT_STEPS.length - 1 ? 'Back to Loan' : undefined}
+          disabled={pageBlocked(findings, coStep.page, coEditing.index)}
+        >
+          <CoApplicantFields
+            key={coEditing.index}
+            person={coApplicants[coEditing.index]}
+            onChange={patch => editCoApplicant(coEditing.index, patch)}
+            findings={findingsFor(findings, coEditing.index)}
+            hints={hints}
+          />
         </Page>
       )}
 
@@ -297,25 +765,69 @@ const App = () => {
           onBack={() => setStage('LIABILITIES')}
           nextLabel="ANALYZE COMPLIANCE"
           onNext={() => { setStage('ASSESSMENT'); runAssessment(); }}
-          disabled={!applicant.loanAmount || !applicant.tenure}
+          disabled={submitBlocked(findings)}
         >
           <div className="grid grid-cols-1 md:grid-cols-2 gap-10">
             <div className="space-y-4">
               <label className="text-[11px] font-black text-slate-500 uppercase tracking-widest ml-1">Product Category</label>
               <select className="input-base appearance-none" value={applicant.loanType} onChange={e => setApplicant({ ...applicant, loanType: e.target.value })}>
-                {DATASETS.products.map(p => <option key={p.type} value={p.type}>{p.type} Loan</option>)}
+                {groupProductsByFamily(policy.products).map(g => (
+                  <optgroup key={g.family} label={`${g.family} Loans`}>
+                    {g.products.map(p => <option key={p.type} value={p.type}>{productLabel(p.type)} Loan</option>)}
+                  </optgroup>
+                ))}
               </select>
+              {route && (
+                <p className="text-[11px] font-bold text-slate-500 ml-1">{applicant.employmentType} requests are assessed as {productLabel(route)} where its limits allow.</p>
+              )}
             </div>
             <div className="space-y-4">
               <label className="text-[11px] font-black text-slate-500 uppercase tracking-widest ml-1">Required Principal Sum ($)</label>
-              <input type="number" className="input-base" value={applicant.loanAmount} onChange={e => setApplicant({ ...applicant, loanAmount: e.target.value })} />
+              <input type="number" className="input-base" value={applicant.loanAmount} onChange={e => setApplicant({ ...applicant, loanAmount: e.target.value })} placeholder={hints.loanAmount} />
+              <FieldNote findings={findings.loanAmount} />
             </div>
             <div className="space-y-4 md:col-span-2">
               <label className="text-[11px] font-black text-slate-500 uppercase tracking-widest ml-1">Repayment Tenure (Months)</label>
               <div className="relative">
                 <History className="absolute left-6 top-1/2 -translate-y-1/2 text-slate-600 pointer-events-none" size={20} />
-                <input type="number" className="input-base !pl-16" value={applicant.tenure} onChange={e => setApplicant({ ...applicant, tenure: e.target.value })} placeholder="Months" />
+                <input type="number" className="input-base !pl-16" value={applicant.tenure} onChange={e => setApplicant({ ...applicant, tenure: e.target.value })} placeholder={hints.tenure} />
               </div>
+              <FieldNote findings={findings.tenure} />
+            </div>
+            {(jointRules || coApplicants.length > 0) && (
+              <div className="space-y-4 md:col-span-2">
+                <label className="text-[11px] font-black text-slate-500 uppercase tracking-widest ml-1 flex items-center gap-2"><Users size={14} /> Co-Applicants</label>
+                {coApplicants.map((c, i) => (
+                  <div key={i} className="flex items-center justify-between gap-6 px-6 py-4 bg-black/30 rounded-2xl border border-white/5">
+                    <div>
+                      <div className="text-sm font-black text-white">{c.name || `Co-applicant ${i + 1}`}</div>
+                      <div className={`text-[11px] font-bold ${personBlocked(findings, i) ? 'text-rose-400' : 'text-slate-500'}`}>
+                        {personBlocked(findings, i) ? 'Details incomplete or invalid' : `$${Number(c.income).toLocaleString()}/month · score ${c.creditScore}`}
+                      </div>
+                    </div>
+                    <div className="flex gap-2">
+                      <button onClick={() => { setCoEditing({ index: i, step: 0 }); setStage('CO_APPLICANT'); }} className="p-3 bg-white/5 rounded-xl text-slate-500 hover:text-white hover:bg-white/10 transition-all" title="Edit co-applicant"><Pencil size={14} /></button>
+                      <button onClick={() => removeCoApplicant(i)} className="p-3 bg-white/5 rounded-xl text-slate-500 hover:text-rose-400 hover:bg-white/10 transition-all" title="Remove co-applicant"><Trash2 size={14} /></button>
+                    </div>
+                  </div>
+                ))}
+                {jointRules ? (
+                  <div className="flex items-center justify-between gap-6">
+                    <p className="text-[11px] font-bold text-slate-500 ml-1">
+                      Up to {jointRules.max_co_applicants} co-applicant{jointRules.max_co_applicants === 1 ? '' : 's'}. Incomes and EMIs are combined; the {jointRules.credit_score_basis} credit score governs.
+                      <span className="font-mono text-slate-600"> · lending_rules.joint_applications</span>
+                    </p>
+                    <button onClick={addCoApplicant} disabled={coApplicants.length >= jointRules.max_co_applicants} className="shrink-0 px-5 py-3 bg-white/5 rounded-2xl text-[10px] font-black uppercase tracking-widest text-slate-400 hover:text-white hover:bg-white/10 disabled:opacity-20 transition-all flex items-center gap-2">
+                      <UserPlus size={14} /> Add Co-Applicant
+                    </button>
+                  </div>
+                ) : (
+                  <p className="text-[11px] font-bold text-amber-400 ml-1">The active policy does not provide for joint applications; remove the co-applicants to continue.</p>
+                )}
+              </div>
+            )}
+            <div className="md:col-span-2 p-8 bg-black/30 rounded-[2rem] border border-white/5">
+              <EstimatePanel estimate={estimate} />
             </div>
           </div>
         </Page>
@@ -332,38 +844,77 @@ const App = () => {
               <h3 className="text-4xl font-black uppercase tracking-tighter">Running Risk Models</h3>
               <p className="text-slate-500 text-xs font-bold tracking-[0.4em] uppercase mt-4 animate-pulse">Checking threshold violations from LENDING_RULES.JSON</p>
             </div>
-          ) : assessment && (
+          ) : decisionError ? (
+            <div className="flex-1 flex flex-col items-center justify-center text-center">
+              <div className="w-24 h-24 bg-rose-500/10 rounded-[2.5rem] flex items-center justify-center mb-8 border border-rose-500/20">
+                <XCircle className="text-rose-400" size={48} />
+              </div>
+              <h3 className="text-4xl font-black uppercase tracking-tighter">No Decision Issued</h3>
+              <p className="text-slate-400 max-w-lg mt-4 font-medium leading-relaxed">{api ? 'The assessment API did not return a decision.' : 'The assessment could not be completed.'} The application is kept as submitted and is assessed again when reopened.</p>
+              <div className="max-w-2xl w-full mt-8 p-8 bg-black/40 rounded-3xl border border-white/5 text-left">
+                <div className="text-xs font-black text-rose-400 uppercase tracking-widest mb-4">{decisionError.message}</div>
+                <ul className="space-y-2 text-sm text-slate-400 font-mono">
+                  {issueLines(decisionError).map((issue, i) => <li key={i}>{issue}</li>)}
+                </ul>
+              </div>
+            </div>
+          ) : assessment && decisionPolicyMissing ? (
+            <div className="flex-1 flex flex-col items-center justify-center text-center">
+              <div className="w-24 h-24 bg-slate-500/10 rounded-[2.5rem] flex items-center justify-center mb-8 border border-slate-500/20">
+                <History className="text-slate-400" size={48} />
+              </div>
+              <h3 className="text-4xl font-black uppercase tracking-tighter">Policy Revision Unavailable</h3>
+              <p className="text-slate-400 max-w-lg mt-4 font-medium leading-relaxed">
+                This {assessment.decision} decision was made under policy {assessment.policyId ?? '(not recorded)'}, which is not on record here. It is not explained, scenario-tested or exported under any other policy.
+              </p>
+              <div className="mt-6 text-[10px] font-black text-slate-600 uppercase tracking-[0.2em]">Trace {assessment.traceId ?? 'not recorded'}</div>
+            </div>
+          ) : assessment && decisionPolicy && (
             <div className="flex-1 grid grid-cols-1 lg:grid-cols-12 gap-10 min-h-0">
 
               {/* Sidebar: Result Summary */}
               <div className="lg:col-span-4 space-y-8">
-                <div className={`p-12 rounded-[4rem] border shadow-2xl flex flex-col items-center text-center transition-all duration-700 ${assessment.decision === 'APPROVED' ? 'bg-emerald-500/10 border-emerald-500/20 shadow-emerald-500/5' :
-                  assessment.decision === 'REJECTED' ? 'bg-rose-500/10 border-rose-500/20 shadow-rose-500/5' : 'bg-amber-500/10 border-amber-500/20 shadow-amber-500/5'
-                  }`}>
-                  <div className={`w-24 h-24 rounded-[2.5rem] flex items-center justify-center mb-8 shadow-2xl ${assessment.decision === 'APPROVED' ? 'bg-emerald-500 shadow-emerald-500/40' :
-                    assessment.decision === 'REJECTED' ? 'bg-rose-500 shadow-rose-500/40' : 'bg-amber-500 shadow-amber-500/40'
-                    }`}>
-                    {assessment.decision === 'APPROVED' ? <CheckCircle2 size={48} className="text-white" /> :
-                      assessment.decision === 'REJECTED' ? <XCircle size={48} className="text-white" /> : <AlertCircle size={48} className="text-white" />}
+                <div className={`p-12 rounded-[4rem] border shadow-2xl flex flex-col items-center text-center transition-all duration-700 ${theme.card}`}>
+                  <div className={`w-24 h-24 rounded-[2.5rem] flex items-center justify-center mb-8 shadow-2xl ${theme.badge}`}>
+                    <theme.Icon size={48} className="text-white" />
                   </div>
                   <h4 className="text-[11px] font-black text-slate-500 uppercase tracking-widest mb-2">Final Policy Decision</h4>
-                  <div className={`text-7xl font-black uppercase tracking-tighter ${assessment.decision === 'APPROVED' ? 'text-emerald-400' :
-                    assessment.decision === 'REJECTED' ? 'text-rose-400' : 'text-amber-400'
-                    }`}>{assessment.decision}</div>
+                  <div className={`${assessment.decision === 'ESCALATED' ? 'text-5xl' : 'text-7xl'} font-black uppercase tracking-tighter ${theme.text}`}>{assessment.decision}</div>
 
                   <div className="mt-12 grid grid-cols-2 gap-6 w-full">
                     <div className="bg-white/5 p-6 rounded-3xl border border-white/5">
-                      <div className="text-[10px] font-bold text-slate-500 uppercase mb-1">Risk Index</div>
-                      <div className="text-3xl font-black">{assessment.score}</div>
+                      <div className="text-[10px] font-bold text-slate-500 uppercase mb-1">Approval Probability</div>
+                      <div className="text-3xl font-black">{assessment.probability === null ? '—' : `${assessment.probability}%`}</div>
                     </div>
                     <div className="bg-white/5 p-6 rounded-3xl border border-white/5">
                       <div className="text-[10px] font-bold text-slate-500 uppercase mb-1">DTI Flow</div>
-                      <div className="text-3xl font-black">{assessment.dti}%</div>
+                      <div className="text-3xl font-black">{assessment.dti === null ? '—' : `${(assessment.dti * 100).toFixed(1)}%`}</div>
                     </div>
                   </div>
                 </div>
 
-                <div className="glass rounded-[3.5rem] p-10 border border-white/5 space-y-8 shadow-xl">
+                {!reviewCase && assessment.decision === 'REJECTED' && user.canReview && (
+                  <button onClick={referDecision} className="w-full glass rounded-[2.5rem] px-10 py-6 border border-white/5 text-xs font-black text-slate-400 uppercase tracking-widest flex items-center gap-2 hover:text-white hover:border-violet-500/30 transition-all">
+                    <Gavel size={18} className="text-violet-400" /> Refer to Officer Review
+                  </button>
+                )}
+
+                {reviewCase && (
+                  <button onClick={() => setStage('QUEUE')} className="w-full glass rounded-[3.5rem] p-10 border border-white/5 space-y-4 shadow-xl text-left hover:border-violet-500/30 transition-all">
+                    <h5 className="text-xs font-black text-slate-400 uppercase tracking-widest flex items-center gap-2"><Gavel size={18} className="text-violet-400" /> Officer Review</h5>
+                    {reviewCase.outcome ? (
+                      <>
+                        <div className={`text-3xl font-black uppercase tracking-tighter ${DECISION_THEME[reviewCase.outcome.decision].text}`}>{reviewCase.outcome.decision}</div>
+                        <p className="text-xs text-slate-400 font-semibold leading-relaxed">{reviewCase.outcome.reasonCode} · {reviewCase.outcome.officer.name}{reviewCase.outcome.signOff && `, signed off by ${reviewCase.outcome.signOff.officer.name}`}</p>
+                        <p className="text-[10px] text-slate-600 font-bold uppercase tracking-widest">Recorded alongside the automated {assessment.decision} decision</p>
+                      </>
+                    ) : (
+                      <p className="text-sm text-slate-300 font-bold uppercase tracking-widest">{reviewCase.status.replace(/_/g, ' ')}</p>
+                    )}
+                  </button>
+                )}
+
+                {assessment.emi !== null && <div className="glass rounded-[3.5rem] p-10 border border-white/5 space-y-8 shadow-xl">
                   <div className="flex items-center justify-between">
                     <h5 className="text-xs font-black text-slate-400 uppercase tracking-widest flex items-center gap-2"><Wallet size={18} className="text-blue-500" /> Monthly Exposure</h5>
                     <Percent size={16} className="text-slate-700" />
@@ -371,36 +922,61 @@ const App = () => {
                   <div className="space-y-6">
                     <div className="flex justify-between items-end">
                       <span className="text-xs text-slate-500 font-bold uppercase tracking-tight">Est. New EMI</span>
-                      <span className="text-4xl font-black text-blue-400 leading-none">${parseInt(assessment.newEmi).toLocaleString()}</span>
+                      <span className="text-4xl font-black text-blue-400 leading-none">${Math.round(assessment.emi).toLocaleString()}</span>
                     </div>
                     <div className="flex justify-between items-center py-4 border-t border-white/5">
                       <span className="text-xs text-slate-500 font-bold uppercase">Combined Load</span>
-                      <span className="text-lg font-black text-white">${parseInt(assessment.totalObligation).toLocaleString()} / month</span>
+                      <span className="text-lg font-black text-white">${Math.round(assessment.totalObligation).toLocaleString()} / month</span>
                     </div>
                     <div className="p-4 bg-blue-500/5 rounded-2xl border border-blue-500/10 text-[10px] text-slate-500 font-bold leading-relaxed uppercase tracking-widest text-center">
-                      Amortization calculated at 10% Fixed APR
+                      Amortization calculated at {(assessment.annualRate * 100).toFixed(2)}% Fixed APR
+                      <div className="mt-1 text-slate-600 normal-case tracking-normal">{assessment.rateRuleId}</div>
                     </div>
                   </div>
-                </div>
+                </div>}
               </div>
 
               {/* Main Content: Deep Reasoning */}
               <div className="lg:col-span-8 flex flex-col glass rounded-[4rem] border border-white/5 overflow-hidden shadow-2xl">
                 <div className="px-12 py-10 border-b border-white/5 bg-white/5 flex gap-12">
-                  {['summary', 'details'].map(t => (
+                  {['summary', 'details', ...(scenariosAvailable(assessment) ? ['scenarios'] : []), ...(assessment.emi !== null ? ['schedule'] : [])].map(t => (
                     <button
                       key={t}
                       onClick={() => setActiveTab(t)}
                       className={`text-xs font-black uppercase tracking-[0.3em] pb-3 border-b-2 transition-all ${activeTab === t ? 'border-blue-500 text-blue-400' : 'border-transparent text-slate-600'
                         }`}
                     >
-                      {t === 'summary' ? 'Decision Reasoning' : 'Compliance Audit Trail'}
+                      {{ summary: 'Decision Reasoning', details: 'Compliance Audit Trail', scenarios: 'What-If', schedule: 'Amortization' }[t]}
                     </button>
                   ))}
                 </div>
 
                 <div className="flex-1 overflow-y-auto p-12 no-scrollbar">
-                  {activeTab === 'summary' ? (
+                  {activeTab === 'schedule' && assessment.emi !== null ? (
+                    <AmortizationPanel applicant={applicant} assessment={assessment} />
+                  ) : activeTab === 'scenarios' && scenariosAvailable(assessment) ? (
+                    <ScenarioPanel key={assessment.traceId} applicant={applicant} baseline={assessment} policy={decisionPolicy} run={runScenario} delay={api ? 300 : 0} />
+                  ) : activeTab === 'summary' && assessment.decision === 'ESCALATED' ? (
+                    <div className="space-y-10 animate-in fade-in slide-in-from-right-4 duration-500">
+                      <div className="p-12 bg-violet-600/5 border border-violet-500/20 rounded-[3.5rem] shadow-inner">
+                        <div className="flex items-center gap-3 mb-6 text-violet-400">
+                          <ShieldAlert size={28} />
+                          <span className="text-xs font-black uppercase tracking-[0.3em]">Fail-Safe Escalation</span>
+                        </div>
+                        <p className="text-3xl font-black leading-[1.1] tracking-tight text-white mb-8">
+                          "Automation halted. This case has been routed to a human credit officer and no decision has been issued."
+                        </p>
+                        <ul className="space-y-3">
+                          {assessment.reasons.map((r, i) => (
+                            <li key={i} className="flex items-center gap-4 p-5 bg-black/40 rounded-2xl border border-white/5 text-slate-300 font-semibold">
+                              <span className="w-32 shrink-0 text-center px-3 py-1 rounded-full border border-violet-500/20 bg-violet-500/10 text-violet-400 text-[10px] font-black uppercase tracking-widest">{r.kind}</span>
+                              {r.message}
+                            </li>
+                          ))}
+                        </ul>
+                      </div>
+                    </div>
+                  ) : activeTab === 'summary' ? (
                     <div className="space-y-12 animate-in fade-in slide-in-from-right-4 duration-500">
                       <div className="p-12 bg-blue-600/5 border border-blue-500/20 rounded-[3.5rem] shadow-inner relative overflow-hidden group">
                         <div className="relative z-10">
@@ -412,42 +988,80 @@ const App = () => {
                             "The system detected {assessment.decision === 'REJECTED' ? 'multiple threshold violations' : 'satisfactory risk alignment'} during logic verification."
                           </p>
                           <div className="p-8 bg-black/40 rounded-3xl border border-white/5 italic text-lg text-slate-300 leading-relaxed font-medium">
-                            {assessment.decision === 'APPROVED'
-                              ? "Statistical confidence in creditworthiness and debt capacity exceeds the 70% automated approval bar. Applicant demonstrates high financial resilience."
-                              : assessment.decision === 'REJECTED'
-                                ? "Critical safety thresholds (DTI > 40% or Age Caps) were breached. Policy prohibits automated success for this risk profile."
-                                : "The profile falls within the standard manual review band (40-70%). Contradictory risk signals require human underwriter escalation."}
+                            {decisionRationale(assessment, decisionPolicy.thresholds)}
                           </div>
                         </div>
                         <TrendingUp className="absolute -right-16 -bottom-16 text-blue-500/5 transition-transform group-hover:scale-110" size={320} />
                       </div>
 
-                      <div className="grid grid-cols-1 md:grid-cols-2 gap-10">
+                      {assessment.emi !== null && <div className="grid grid-cols-1 md:grid-cols-2 gap-10">
                         <div className="bg-white/5 p-10 rounded-[3rem] border border-white/10">
                           <h6 className="text-[11px] font-black text-slate-500 uppercase tracking-widest mb-8 flex items-center gap-3"><PieChart size={18} className="text-indigo-400" /> Financial Liquidity</h6>
                           <div className="space-y-6">
-                            <div className="flex justify-between items-center text-xs text-slate-400 font-bold uppercase tracking-widest"><span>Existing Debt</span><span className="text-lg font-black text-white">${applicant.existingEmi}</span></div>
-                            <div className="flex justify-between items-center text-xs text-slate-400 font-bold uppercase tracking-widest"><span>New Liability</span><span className="text-lg font-black text-white">${assessment.newEmi}</span></div>
+                            <div className="flex justify-between items-center text-xs text-slate-400 font-bold uppercase tracking-widest"><span>Existing Debt</span><span className="text-lg font-black text-white">${assessment.existingEmi.toLocaleString()}</span></div>
+                            <div className="flex justify-between items-center text-xs text-slate-400 font-bold uppercase tracking-widest"><span>New Liability</span><span className="text-lg font-black text-white">${Math.round(assessment.emi).toLocaleString()}</span></div>
                             <div className="h-[1px] bg-white/10 my-4" />
-                            <div className="flex justify-between items-center text-md font-black text-blue-400 uppercase tracking-tighter"><span>Total Burden</span><span className="text-2xl">${assessment.totalObligation}</span></div>
+                            <div className="flex justify-between items-center text-md font-black text-blue-400 uppercase tracking-tighter"><span>Total Burden</span><span className="text-2xl">${Math.round(assessment.totalObligation).toLocaleString()}</span></div>
                           </div>
                         </div>
                         <div className="bg-white/5 p-10 rounded-[3rem] border border-white/10 flex flex-col justify-center">
-                          <div className="flex justify-between text-[11px] font-black text-slate-500 uppercase tracking-widest mb-5"><span>Reject &lt; 40</span><span>Approve &gt; 70</span></div>
-                          <div className="h-6 bg-slate-950 rounded-full flex overflow-hidden border border-white/5 shadow-inner">
-                            <div className="h-full bg-rose-500/80 transition-all duration-1000" style={{ width: '40%' }} />
-                            <div className="h-full bg-amber-500/80 transition-all duration-1000" style={{ width: '30%' }} />
-                            <div className="h-full bg-emerald-500/80 transition-all duration-1000" style={{ width: '30%' }} />
+                          <div className="flex justify-between text-[11px] font-black text-slate-500 uppercase tracking-widest mb-5"><span>Reject &lt; {decisionPolicy.thresholds.reject_if_probability_below}</span><span>Approve &gt; {decisionPolicy.thresholds.approve_if_probability_above}</span></div>
+                          <div className="relative">
+                            <div className="h-6 bg-slate-950 rounded-full flex overflow-hidden border border-white/5 shadow-inner">
+                              <div className="h-full bg-rose-500/80 transition-all duration-1000" style={{ width: `${decisionPolicy.thresholds.reject_if_probability_below}%` }} />
+                              <div className="h-full bg-amber-500/80 transition-all duration-1000" style={{ width: `${decisionPolicy.thresholds.approve_if_probability_above - decisionPolicy.thresholds.reject_if_probability_below}%` }} />
+                              <div className="h-full bg-emerald-500/80 transition-all duration-1000" style={{ width: `${100 - decisionPolicy.thresholds.approve_if_probability_above}%` }} />
+                            </div>
+                            <div className="absolute -top-2 -bottom-2 w-1.5 -ml-[3px] bg-white rounded-full shadow-[0_0_12px_rgba(255,255,255,0.8)] transition-all duration-1000" style={{ left: `${assessment.probability}%` }} />
+                          </div>
+                          <div className="relative h-6 mt-3">
+                            <span className="absolute -translate-x-1/2 text-xs font-black text-white" style={{ left: `${Math.min(Math.max(assessment.probability, 5), 95)}%` }}>{assessment.probability}%</span>
+                          </div>
+                          <div className="mt-5 text-xs font-bold text-slate-500 uppercase leading-relaxed text-center tracking-widest opacity-60">Calculated Risk Probability Matrix</div>
+                        </div>
+                      </div>}
+
+                      {suggestions.length > 0 && (
+                        <div className="bg-white/5 p-10 rounded-[3rem] border border-white/10">
+                          <h6 className="text-[11px] font-black text-slate-500 uppercase tracking-widest mb-8 flex items-center gap-3"><Lightbulb size={18} className="text-amber-400" /> Improvement Suggestions</h6>
+                          <div className="space-y-4">
+                            {suggestions.map((sg, i) => (
+                              <div key={i} className="p-6 bg-black/30 rounded-3xl border border-white/5">
+                                <div className="flex justify-between items-center mb-2">
+                                  <span className="text-xs font-black text-white uppercase tracking-widest">{sg.title}</span>
+                                  <span className="text-[10px] font-black text-slate-600 uppercase tracking-tighter">{sg.ruleId}</span>
+                                </div>
+                                <p className="text-sm text-slate-400 font-semibold leading-relaxed">{sg.message}</p>
+                              </div>
+                            ))}
                           </div>
-                          <div className="mt-8 text-xs font-bold text-slate-500 uppercase leading-relaxed text-center tracking-widest opacity-60">Calculated Risk Probability Matrix</div>
+                          <p className="mt-6 text-[10px] font-bold text-slate-600 uppercase tracking-widest leading-relaxed">Suggestions describe what the lending rules require. They are not offers, and acting on them does not guarantee approval.</p>
+                        </div>
+                      )}
+
+                      <div className="bg-white/5 p-10 rounded-[3rem] border border-white/10">
+                        <h6 className="text-[11px] font-black text-slate-500 uppercase tracking-widest mb-8 flex items-center gap-3"><Scale size={18} className="text-indigo-400" /> Probability Breakdown</h6>
+                        <div className="space-y-5">
+                          {assessment.factors.map(f => (
+                            <div key={f.id} className="flex items-center gap-6">
+                              <div className="w-48 shrink-0">
+                                <div className="text-xs font-black text-white uppercase tracking-widest">{f.label}</div>
+                                <div className="text-[11px] text-slate-500 font-semibold">{f.basis}</div>
+                              </div>
+                              <div className="flex-1 h-2 bg-slate-950 rounded-full overflow-hidden">
+                                <div className="h-full bg-blue-500/80" style={{ width: `${f.points * 100}%` }} />
+                              </div>
+                              <div className="w-28 text-right text-sm font-black text-slate-300">+{f.contribution.toFixed(1)} <span className="text-slate-600">/ {f.weight}</span></div>
+                            </div>
+                          ))}
                         </div>
                       </div>
                     </div>
                   ) : (
                     <div className="space-y-8 animate-in fade-in slide-in-from-left-4 duration-500">
                       <div className="flex items-center gap-3 mb-6 text-slate-500 font-black text-xs uppercase tracking-[0.3em]"><ClipboardList size={20} /> Compliance Checkpoints</div>
-                      {assessment.steps.map((s, i) => (
-                        <div key={i} className="flex items-center gap-8 p-8 bg-white/5 border border-white/10 rounded-[2.5rem] hover:bg-white/[0.08] transition-all group">
+                      {assessment.checks.map(s => (
+                        <div key={s.id} className="flex items-center gap-8 p-8 bg-white/5 border border-white/10 rounded-[2.5rem] hover:bg-white/[0.08] transition-all group">
                           <div className={`w-14 h-14 rounded-2xl flex items-center justify-center shrink-0 shadow-lg ${s.status === 'pass' ? 'bg-emerald-500/10 text-emerald-400' :
                             s.status === 'warn' ? 'bg-amber-500/10 text-amber-400' : 'bg-rose-500/10 text-rose-400'
                             }`}>
@@ -458,9 +1072,22 @@ const App = () => {
                             <div className="text-xs font-black text-white uppercase tracking-[0.2em] mb-2">{s.label}</div>
                             <p className="text-lg text-slate-400 font-semibold tracking-tight">{s.detail}</p>
                           </div>
-                          <div className="text-[10px] font-black text-slate-700 uppercase tracking-tighter opacity-0 group-hover:opacity-100 transition-opacity">POLICY_NODE_0{i + 1}</div>
+                          <div className="text-[10px] font-black text-slate-700 uppercase tracking-tighter opacity-0 group-hover:opacity-100 transition-opacity">{s.ruleId}</div>
                         </div>
                       ))}
+                      {fairness && (
+                        <div className={`p-8 rounded-[2.5rem] border ${fairness.anomalies.length ? 'bg-rose-500/5 border-rose-500/20' : 'bg-white/5 border-white/10'}`}>
+                          <div className="flex items-center gap-3 mb-4 text-xs font-black uppercase tracking-[0.2em] text-white"><Scale size={18} className={fairness.anomalies.length ? 'text-rose-400' : 'text-emerald-400'} /> Fairness Counterfactual</div>
+                          <p className="text-sm text-slate-400 font-semibold mb-4">Re-assessed with each protected attribute swapped. Any change in decision or probability is an anomaly.</p>
+                          <ul className="space-y-2">
+                            {fairness.runs.map(r => (
+                              <li key={`${r.party ?? ''}-${r.attribute}-${r.to}`} className={`text-sm font-semibold ${r.anomaly ? 'text-rose-400' : 'text-slate-300'}`}>
+                                {r.party && `${partyLabel(r.party)} `}{r.attribute} {r.from ?? '—'} → {r.to}: {r.decision}{r.probability !== null && ` at ${r.probability}%`} {r.anomaly ? '(ANOMALY)' : '(unchanged)'}
+                              </li>
+                            ))}
+                          </ul>
+                        </div>
+                      )}
                     </div>
                   )}
                 </div>
@@ -469,14 +1096,37 @@ const App = () => {
                   <div className="flex items-center gap-5">
                     <div className="flex items-center gap-2"><div className="w-2 h-2 bg-blue-500 rounded-full animate-pulse"></div> <span className="text-[10px] font-black text-slate-500 uppercase tracking-widest">Live Auditor Link</span></div>
                     <div className="w-[1px] h-4 bg-white/10" />
-                    <div className="text-[10px] font-black text-slate-600 uppercase tracking-[0.2em]">Trace ID: {Math.random().toString(36).substr(2, 10).toUpperCase()}</div>
+                    <div className="text-[10px] font-black text-slate-600 uppercase tracking-[0.2em]">Trace ID: {assessment.traceId ?? 'NOT RECORDED'}</div>
+                    <div className="w-[1px] h-4 bg-white/10" />
+                    <div className="text-[10px] font-black text-slate-600 uppercase tracking-[0.2em]" title={decisionPolicy.id !== policy.id ? 'Decided under an earlier policy revision' : undefined}>
+                      Policy: {decisionPolicy.id}{decisionPolicy.id !== policy.id && ' (superseded)'}
+                    </div>
+                    {application && <>
+                      <div className="w-[1px] h-4 bg-white/10" />
+                      <div className="text-[10px] font-black text-slate-600 uppercase tracking-[0.2em]">{application.id} · {application.status} · Read-only</div>
+                    </>}
+                  </div>
+                  <div className="flex items-center gap-4">
+                    {EXPORT_FORMATS.map(f => (
+                      <button key={f.format} onClick={() => exportDecision(f.format)} title={f.title} className="p-3 bg-white/5 rounded-2xl hover:bg-white/10 transition-all text-slate-500 hover:text-white flex items-center gap-2 text-[10px] font-black uppercase tracking-widest">
+                        <f.Icon size={16} /> {f.format}
+                      </button>
+                    ))}
+                    {returnStage && (
+                      <button
+                        onClick={() => setStage(returnStage)}
+                        className="text-slate-500 font-black text-xs uppercase tracking-widest hover:text-white transition-all flex items-center gap-3"
+                      >
+                        <ArrowLeft size={16} /> {returnStage === 'BATCH' ? 'PORTFOLIO' : 'APPLICATIONS'}
+                      </button>
+                    )}
+                    <button
+                      onClick={startApplication}
+                      className="bg-white/10 px-10 py-4 rounded-[1.5rem] font-black text-xs uppercase tracking-widest hover:bg-white/20 transition-all flex items-center gap-3"
+                    >
+                      NEW APPLICATION <ArrowRight size={16} />
+                    </button>
                   </div>
-                  <button
-                    onClick={() => setStage('WELCOME')}
-                    className="bg-white/10 px-10 py-4 rounded-[1.5rem] font-black text-xs uppercase tracking-widest hover:bg-white/20 transition-all flex items-center gap-3"
-                  >
-                    NEW APPLICATION <ArrowRight size={16} />
-                  </button>
                 </div>
               </div>
 
@@ -0,0 +1,37 @@
+import { ApiError } from './errors.js';
+import { API_ROUTES } from './service.js';
+
+// --- ASSESSMENT API CLIENT ---
+// Used by the browser app when VITE_ASSESSMENT_API_URL is set. Error responses come back
+// as the same ApiError the service raised; a server that cannot be reached is a 503.
+
+const withId = (route, id) => route.replace('{id}', encodeURIComponent(id));
+
+export const createApiClient = (baseUrl) => {
+  const request = async (method, path, body) => {
+    let res;
+    try {
+      res = await fetch(`${baseUrl.replace(/\/+$/, '')}${path}`, {
+        method,
+        headers: body === undefined ? {} : { 'content-type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+    } catch (err) {
+      throw new ApiError(503, 'unreachable', `The assessment API at ${baseUrl} could not be reached`, [{ path, message: err.message }]);
+    }
+    const payload = await res.json().catch(() => null);
+    if (!res.ok) {
+      const error = payload?.error || {};
+      throw new ApiError(res.status, error.code || 'http_error', error.message || `${method} ${path} failed with ${res.status}`, error.issues || []);
+    }
+    return payload;
+  };
+
+  return {
+    baseUrl,
+    createAssessment: applicant => request('POST', API_ROUTES.assessments, applicant),
+    runScenario: (id, changes) => request('POST', withId(API_ROUTES.scenarios, id), { changes }),
+    getAudit: id => request('GET', withId(API_ROUTES.audit, id)),
+    getPolicy: () => request('GET', API_ROUTES.policy)
+  };
+};
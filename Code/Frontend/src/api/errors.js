@@ -0,0 +1,14 @@
+// Raised for any request the assessment API refuses. `status` is the HTTP status, `code`
+// a stable machine-readable identifier and `issues` the individual problems, each
+// { path, message }. The browser client rebuilds the same error from a response body.
+export class ApiError extends Error {
+  constructor(status, code, message, issues = []) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.issues = issues;
+  }
+}
+
+export const errorBody = err => ({ error: { code: err.code, message: err.message, issues: err.issues } });
@@ -0,0 +1,39 @@
+// --- JSON SCHEMA CHECKS ---
+// The subset of JSON Schema (draft 2020-12) the API request schemas and the decision
+// report schema are written in. Anything outside it is ignored rather than guessed at,
+// so schemas must stay within these keywords.
+
+const TYPES = {
+  null: v => v === null,
+  array: Array.isArray,
+  object: v => v !== null && typeof v === 'object' && !Array.isArray(v),
+  string: v => typeof v === 'string',
+  number: v => typeof v === 'number' && Number.isFinite(v),
+  integer: v => Number.isInteger(v),
+  boolean: v => typeof v === 'boolean'
+};
+
+const issue = (path, message) => ({ path, message });
+
+// Returns one { path, message } per violation; an empty list means the value conforms.
+export const schemaErrors = (value, schema, path = '$') => {
+  const types = schema.type && [].concat(schema.type);
+  if (types && !types.some(t => TYPES[t](value))) return [issue(path, `must be ${types.join(' or ')}`)];
+
+  const errors = [];
+  if (schema.enum && !schema.enum.includes(value)) errors.push(issue(path, `must be one of ${schema.enum.join(', ')}`));
+  if ('const' in schema && value !== schema.const) errors.push(issue(path, `must be ${JSON.stringify(schema.const)}`));
+  if (typeof value === 'string' && schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(issue(path, `must be at most ${schema.maxLength} characters`));
+
+  if (TYPES.object(value)) {
+    (schema.required || []).filter(k => !(k in value)).forEach(k => errors.push(issue(`${path}.${k}`, 'is required')));
+    if (schema.minProperties !== undefined && Object.keys(value).length < schema.minProperties) errors.push(issue(path, `must have at least ${schema.minProperties} propert${schema.minProperties === 1 ? 'y' : 'ies'}`));
+    Object.entries(value).forEach(([k, v]) => {
+      const child = schema.properties?.[k] ?? schema.additionalProperties;
+      if (child === false) errors.push(issue(`${path}.${k}`, 'is not allowed'));
+      else if (child && child !== true) errors.push(...schemaErrors(v, child, `${path}.${k}`));
+    });
+  }
+  if (Array.isArray(value) && schema.items) value.forEach((v, i) => errors.push(...schemaErrors(v, schema.items, `${path}[${i}]`)));
+  return errors;
+};
@@ -0,0 +1,56 @@
+import { CO_APPLICANT_INPUTS, DECISION_INPUTS } from '../engine/inputs.js';
+
+// --- API REQUEST SCHEMAS ---
+// JSON Schema (draft 2020-12) for every request body the assessment API accepts. They
+// check shape only: a decision input that is present but blank is still accepted, and
+// the engine escalates it exactly as it would from the wizard.
+
+export const API_SCHEMA_ID = 'compliance-hub.api';
+
+const decisionInput = { type: ['string', 'number', 'null'] };
+
+const CO_APPLICANT_SCHEMA = {
+  type: 'object',
+  required: [...CO_APPLICANT_INPUTS],
+  additionalProperties: false,
+  properties: {
+    name: { type: 'string', maxLength: 200, description: 'Recorded on the audit trail; never read by the engine' },
+    gender: { type: ['string', 'null'], maxLength: 20, description: 'Collected by the wizard; never read by the engine' },
+    ...Object.fromEntries(CO_APPLICANT_INPUTS.map(f => [f, decisionInput]))
+  }
+};
+
+export const APPLICANT_SCHEMA = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  $id: `${API_SCHEMA_ID}/applicant`,
+  title: 'Applicant, in the same shape as the wizard and the sheet importer build it',
+  type: 'object',
+  required: [...DECISION_INPUTS],
+  additionalProperties: false,
+  properties: {
+    name: { type: 'string', maxLength: 200, description: 'Recorded on the audit trail; never read by the engine' },
+    gender: { type: ['string', 'null'], maxLength: 20, description: 'Collected by the wizard; never read by the engine' },
+    applicantId: { type: ['string', 'null'], maxLength: 100, description: 'Caller reference, e.g. a portal or sheet applicant ID' },
+    applicationTimestamp: { type: ['string', 'null'], description: 'Carried over from imported sheets; never read by the engine' },
+    ...Object.fromEntries(DECISION_INPUTS.map(f => [f, decisionInput])),
+    coApplicants: { type: 'array', items: CO_APPLICANT_SCHEMA, description: 'Co-applicants on a joint application; the policy limits how many' }
+  }
+};
+
+export const SCENARIO_SCHEMA = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  $id: `${API_SCHEMA_ID}/scenario`,
+  title: 'What-if changes applied to a copy of a stored applicant',
+  type: 'object',
+  required: ['changes'],
+  additionalProperties: false,
+  properties: {
+    changes: {
+      type: 'object',
+      description: 'Decision inputs to replace; every other input keeps its submitted value',
+      minProperties: 1,
+      additionalProperties: false,
+      properties: Object.fromEntries(DECISION_INPUTS.map(f => [f, decisionInput]))
+    }
+  }
+};
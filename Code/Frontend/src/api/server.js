@@ -0,0 +1,63 @@
+import { createServer } from 'node:http';
+import { ApiError, errorBody } from './errors.js';
+
+// --- HTTP SERVER (NODE) ---
+// Carries requests to the assessment service and its answers back. It is meant to listen
+// on localhost only. CORS admits the front-end origins it is configured with (the Vite dev
+// server under either loopback name by default); a request from any other origin is refused
+// before it reaches the service, since a cross-site form post needs no preflight.
+
+export const MAX_BODY_BYTES = 1024 * 1024;
+
+export const DEFAULT_ALLOWED_ORIGINS = ['http://localhost:5173', 'http://127.0.0.1:5173'];
+
+// The header names one origin, so an allowed caller gets its own back.
+const corsHeaders = (allowedOrigins, origin) => ({
+  'access-control-allow-origin': allowedOrigins.includes(origin) ? origin : allowedOrigins[0],
+  'access-control-allow-methods': 'GET, POST, OPTIONS',
+  'access-control-allow-headers': 'content-type',
+  vary: 'origin'
+});
+
+// An oversized body is drained rather than cut off, so the client still gets the 413.
+const readBody = req => new Promise((resolve, reject) => {
+  const chunks = [];
+  let size = 0;
+  req.on('data', (chunk) => {
+    size += chunk.length;
+    if (size <= MAX_BODY_BYTES) chunks.push(chunk);
+  });
+  req.on('end', () => {
+    if (size > MAX_BODY_BYTES) reject(new ApiError(413, 'payload_too_large', `Request body exceeds ${MAX_BODY_BYTES} bytes`));
+    else resolve(Buffer.concat(chunks).toString('utf8'));
+  });
+  req.on('error', reject);
+});
+
+// `onError` receives anything the service did not turn into a structured error; the caller
+// decides where that goes. Requests without an Origin header (curl, scripts) are served.
+export const createApiServer = (service, { onError, allowedOrigins = DEFAULT_ALLOWED_ORIGINS } = {}) => {
+  if (typeof onError !== 'function') throw new TypeError('createApiServer needs an onError handler');
+  return createServer(async (req, res) => {
+    const origin = req.headers.origin;
+    const send = (status, headers, body) => {
+      res.writeHead(status, { ...corsHeaders(allowedOrigins, origin), ...headers, ...(body === undefined ? {} : { 'content-type': 'application/json; charset=utf-8' }) });
+      res.end(body === undefined ? undefined : `${JSON.stringify(body, null, 2)}\n`);
+    };
+
+    if (origin !== undefined && !allowedOrigins.includes(origin)) {
+      req.resume();
+      return send(403, {}, errorBody(new ApiError(403, 'origin_not_allowed', `Requests from ${origin} are not allowed; start the API with --origin ${origin} to admit it`)));
+    }
+    if (req.method === 'OPTIONS') return send(204, {});
+    try {
+      const path = new URL(req.url, 'http://localhost').pathname.replace(/\/+$/, '') || '/';
+      const { status, headers, body } = await service.handle({ method: req.method, path, body: await readBody(req) });
+      send(status, headers, body);
+    } catch (err) {
+      if (err instanceof ApiError) return send(err.status, {}, errorBody(err));
+      onError(err);
+      send(500, {}, errorBody(new ApiError(500, 'internal_error', 'The request could not be processed')));
+    }
+  });
+};
@@ -0,0 +1,132 @@
+import { assess } from '../engine/assess.js';
+import { suggestImprovements } from '../engine/suggestions.js';
+import { buildAuditRecord, policyFingerprint, verifyChain, verifyRecord } from '../audit/trail.js';
+import { buildDecisionReport } from '../report/report.js';
+import { verifyApplicant } from '../verification/verify.js';
+import { VerificationError } from '../verification/errors.js';
+import { ApiError, errorBody } from './errors.js';
+import { schemaErrors } from './jsonSchema.js';
+import { APPLICANT_SCHEMA, SCENARIO_SCHEMA } from './schemas.js';
+
+// --- ASSESSMENT SERVICE ---
+// The API without the HTTP: handle() takes a method, a path and the raw body text and
+// returns { status, headers, body }. Every decision goes through the same engine and
+// audit record builder as the browser app; the service keeps its own audit chain.
+// Assessments and their records live for as long as the service does. With `providers`
+// (see verification/verify.js) each applicant is verified before it is assessed; clients
+// cannot submit verified values themselves.
+
+export const API_ROUTES = Object.freeze({
+  assessments: '/assessments',
+  scenarios: '/assessments/{id}/scenarios',
+  audit: '/assessments/{id}/audit',
+  policy: '/policy'
+});
+
+const parseBody = (text, schema) => {
+  let value;
+  try {
+    value = JSON.parse(text);
+  } catch (err) {
+    throw new ApiError(400, 'invalid_json', 'Request body is not valid JSON', [{ path: '$', message: err.message }]);
+  }
+  const issues = schemaErrors(value, schema);
+  if (issues.length) throw new ApiError(422, 'validation_failed', `Request body does not match ${schema.$id}`, issues);
+  return value;
+};
+
+// The headline figures the what-if comparison is made on.
+const outcomeOf = ({ decision, probability, loanType, emi, dti }) => ({ decision, probability, loanType, emi, dti });
+
+export const createAssessmentService = ({ policy, providers = {}, now = () => new Date().toISOString() }) => {
+  const assessments = new Map();
+  const records = [];
+  const fingerprint = policyFingerprint(policy);
+
+  // Appends are queued so each record links to the one written just before it.
+  let tail = Promise.resolve();
+  const appendRecord = ({ subject, applicant, assessment }) => {
+    const next = tail.then(async () => {
+      const record = await buildAuditRecord({ subject, applicant, assessment, fingerprint: await fingerprint, previous: records[records.length - 1] ?? null, createdAt: now() });
+      records.push(record);
+      return record;
+    });
+    tail = next.catch(() => {});
+    return next;
+  };
+
+  const findAssessment = (id) => {
+    const stored = assessments.get(id);
+    if (!stored) throw new ApiError(404, 'not_found', `No assessment with id ${id}`);
+    return stored;
+  };
+
+  const decided = (applicant, assessment) => ({
+    assessment,
+    report: buildDecisionReport({ applicant, assessment, policy, suggestions: suggestImprovements(applicant, assessment, policy), generatedAt: now() })
+  });
+
+  const verify = async (applicant) => {
+    try {
+      return await verifyApplicant(applicant, providers);
+    } catch (err) {
+      if (!(err instanceof VerificationError)) throw err;
+      throw new ApiError(502, 'verification_unavailable', err.message, err.issues.map(message => ({ path: '$', message })));
+    }
+  };
+
+  const createAssessment = async (body) => {
+    const applicant = await verify(parseBody(body, APPLICANT_SCHEMA));
+    const result = assess(applicant, policy);
+    const subject = { applicationId: null, applicantId: applicant.applicantId ?? null, name: applicant.name ?? null };
+    const record = await appendRecord({ subject, applicant, assessment: result });
+    const assessment = { ...result, policyId: policy.id, traceId: record.traceId };
+    assessments.set(record.traceId, { applicant, assessment, record });
+    return { status: 201, headers: { location: `/assessments/${record.traceId}` }, body: { id: record.traceId, ...decided(applicant, assessment) } };
+  };
+
+  // Runs on a copy of the stored applicant and is not audited; the stored assessment
+  // and its record are only ever read.
+  const runScenario = (id, body) => {
+    const stored = findAssessment(id);
+    const { changes } = parseBody(body, SCENARIO_SCHEMA);
+    const applicant = { ...stored.applicant, ...changes };
+    const assessment = { ...assess(applicant, policy), policyId: policy.id, traceId: null };
+    return { status: 200, body: { assessmentId: id, changes, original: outcomeOf(stored.assessment), ...decided(applicant, assessment) } };
+  };
+
+  const getAudit = async (id) => {
+    const { record } = findAssessment(id);
+    const chain = await verifyChain(records.slice(0, record.sequence));
+    const { reproduced, policyMatches, differences } = await verifyRecord(record, policy);
+    return { status: 200, body: { record, verification: { chainValid: chain.valid, chainProblems: chain.problems, reproduced, policyMatches, differences } } };
+  };
+
+  const getPolicy = () => ({ status: 200, body: { id: policy.id, versions: policy.versions } });
+
+  const ROUTES = [
+    { pattern: /^\/assessments$/, methods: { POST: (params, body) => createAssessment(body) } },
+    { pattern: /^\/assessments\/([^/]+)\/scenarios$/, methods: { POST: ([id], body) => runScenario(id, body) } },
+    { pattern: /^\/assessments\/([^/]+)\/audit$/, methods: { GET: ([id]) => getAudit(id) } },
+    { pattern: /^\/policy$/, methods: { GET: () => getPolicy() } }
+  ];
+
+  const handle = async ({ method, path, body = '' }) => {
+    try {
+      const route = ROUTES.find(r => r.pattern.test(path));
+      if (!route) throw new ApiError(404, 'not_found', `No endpoint at ${path}`);
+      const action = route.methods[method];
+      if (!action) {
+        const allow = Object.keys(route.methods).join(', ');
+        return { status: 405, headers: { allow }, body: errorBody(new ApiError(405, 'method_not_allowed', `${method} is not supported on ${path}; use ${allow}`)) };
+      }
+      const params = path.match(route.pattern).slice(1);
+      return { headers: {}, ...(await action(params, body)) };
+    } catch (err) {
+      if (err instanceof ApiError) return { status: err.status, headers: {}, body: errorBody(err) };
+      throw err;
+    }
+  };
+
+  return { handle };
+};
@@ -0,0 +1,171 @@
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import { loadTestPolicy, loadTestApplicants } from '../test/datasets.js';
+import { identifyPolicy } from '../policy/store.js';
+import { DECISION_REPORT_SCHEMA } from '../report/report.js';
+import { schemaErrors } from './jsonSchema.js';
+import { createAssessmentService } from './service.js';
+import { DEFAULT_ALLOWED_ORIGINS, MAX_BODY_BYTES, createApiServer } from './server.js';
+import { createApiClient } from './client.js';
+
+const policy = await identifyPolicy(loadTestPolicy());
+const applicants = loadTestApplicants();
+const byId = id => applicants.find(a => a.applicantId === id);
+
+const newService = () => createAssessmentService({ policy, now: () => '2026-01-01T00:00:00.000Z' });
+const post = (service, path, body) => service.handle({ method: 'POST', path, body: typeof body === 'string' ? body : JSON.stringify(body) });
+
+describe('POST /assessments', () => {
+  it('decides, audits and returns a schema-conforming report', async () => {
+    const service = newService();
+    const { status, headers, body } = await post(service, '/assessments', byId('A1019'));
+    expect(status).toBe(201);
+    expect(headers.location).toBe(`/assessments/${body.id}`);
+    expect(body.assessment).toMatchObject({ decision: 'REJECTED', traceId: body.id, policyId: policy.id });
+    expect(body.report.traceId).toBe(body.id);
+    expect(schemaErrors(body.report, DECISION_REPORT_SCHEMA)).toEqual([]);
+  });
+
+  it('escalates blank inputs instead of refusing them', async () => {
+    const { status, body } = await post(newService(), '/assessments', { ...byId('A1003'), income: '' });
+    expect(status).toBe(201);
+    expect(body.assessment.decision).toBe('ESCALATED');
+  });
+
+  it('refuses bodies that do not match the applicant schema', async () => {
+    const { income: _omitted, ...withoutIncome } = byId('A1003');
+    const { status, body } = await post(newService(), '/assessments', { ...withoutIncome, creditScore: [750], nickname: 'x' });
+    expect(status).toBe(422);
+    expect(body.error.code).toBe('validation_failed');
+    expect(body.error.issues).toEqual([
+      { path: '$.income', message: 'is required' },
+      { path: '$.creditScore', message: 'must be string or number or null' },
+      { path: '$.nickname', message: 'is not allowed' }
+    ]);
+  });
+
+  it('refuses a body that is not JSON', async () => {
+    const { status, body } = await post(newService(), '/assessments', '{ nope');
+    expect(status).toBe(400);
+    expect(body.error.code).toBe('invalid_json');
+  });
+});
+
+describe('POST /assessments/{id}/scenarios', () => {
+  it('re-runs with the changes and leaves the stored original untouched', async () => {
+    const service = newService();
+    const { body: created } = await post(service, '/assessments', byId('A1019'));
+    const { body: before } = await service.handle({ method: 'GET', path: `/assessments/${created.id}/audit` });
+
+    const { status, body } = await post(service, `/assessments/${created.id}/scenarios`, { changes: { loanAmount: '100000' } });
+    expect(status).toBe(200);
+    expect(body.original).toMatchObject({ decision: 'REJECTED' });
+    expect(body.assessment.traceId).toBeNull();
+    expect(body.report.applicant.inputs.loanAmount).toBe('100000');
+    expect(body.assessment.checks.find(c => c.id === 'lti').status).toBe('pass');
+
+    const { body: after } = await service.handle({ method: 'GET', path: `/assessments/${created.id}/audit` });
+    expect(after).toEqual(before);
+    expect(after.record.sequence).toBe(1);
+  });
+
+  it('needs at least one known decision input to change', async () => {
+    const service = newService();
+    const { body: created } = await post(service, '/assessments', byId('A1019'));
+    const empty = await post(service, `/assessments/${created.id}/scenarios`, { changes: {} });
+    expect(empty.body.error.issues).toEqual([{ path: '$.changes', message: 'must have at least 1 property' }]);
+    const identity = await post(service, `/assessments/${created.id}/scenarios`, { changes: { name: 'Someone else' } });
+    expect(identity.body.error.issues).toEqual([{ path: '$.changes.name', message: 'is not allowed' }]);
+  });
+
+  it('is 404 for an unknown assessment', async () => {
+    const { status, body } = await post(newService(), '/assessments/0000000000000000/scenarios', { changes: { tenure: '60' } });
+    expect(status).toBe(404);
+    expect(body.error.code).toBe('not_found');
+  });
+});
+
+describe('GET /assessments/{id}/audit', () => {
+  it('returns the chained record and verifies it', async () => {
+    const service = newService();
+    await post(service, '/assessments', byId('A1001'));
+    const { body: created } = await post(service, '/assessments', byId('A1006'));
+    const { status, body } = await service.handle({ method: 'GET', path: `/assessments/${created.id}/audit` });
+    expect(status).toBe(200);
+    expect(body.record).toMatchObject({ sequence: 2, traceId: created.id, subject: { applicantId: 'A1006' } });
+    expect(body.record.outcome.loanType).toBe('Personal_SelfEmployed');
+    expect(body.verification).toEqual({ chainValid: true, chainProblems: [], reproduced: true, policyMatches: true, differences: [] });
+  });
+});
+
+describe('GET /policy and routing', () => {
+  it('reports the active policy', async () => {
+    const { body } = await newService().handle({ method: 'GET', path: '/policy' });
+    expect(body).toEqual({ id: policy.id, versions: policy.versions });
+  });
+
+  it('is 405 with Allow for a known path and 404 for an unknown one', async () => {
+    const service = newService();
+    expect(await service.handle({ method: 'DELETE', path: '/policy' })).toMatchObject({ status: 405, headers: { allow: 'GET' } });
+    expect(await service.handle({ method: 'GET', path: '/loans' })).toMatchObject({ status: 404, body: { error: { code: 'not_found' } } });
+  });
+});
+
+describe('HTTP server and client', () => {
+  const errors = [];
+  const server = createApiServer(newService(), { onError: err => errors.push(err) });
+  let client;
+  let baseUrl;
+
+  beforeAll(() => new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      client = createApiClient(baseUrl);
+      resolve();
+    });
+  }));
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  it('round-trips an assessment, a scenario and its audit record', async () => {
+    const { id, assessment } = await client.createAssessment(byId('A1001'));
+    const scenario = await client.runScenario(id, { tenure: '12' });
+    const audit = await client.getAudit(id);
+    expect(scenario.original.decision).toBe(assessment.decision);
+    expect(audit.verification.reproduced).toBe(true);
+    expect((await client.getPolicy()).id).toBe(policy.id);
+  });
+
+  it('raises structured errors as ApiError', async () => {
+    await expect(client.runScenario('MISSING', { tenure: '12' })).rejects.toMatchObject({ name: 'ApiError', status: 404, code: 'not_found' });
+  });
+
+  it('answers CORS preflights for the front-end origins only and refuses oversized bodies', async () => {
+    for (const origin of ['http://localhost:5173', 'http://127.0.0.1:5173']) {
+      const preflight = await fetch(`${baseUrl}/assessments`, { method: 'OPTIONS', headers: { origin } });
+      expect(preflight.status).toBe(204);
+      expect(preflight.headers.get('access-control-allow-origin')).toBe(origin);
+    }
+
+    const foreign = await fetch(`${baseUrl}/assessments`, { method: 'POST', headers: { origin: 'https://elsewhere.example' }, body: JSON.stringify(byId('A1001')) });
+    expect(foreign.status).toBe(403);
+    expect(foreign.headers.get('access-control-allow-origin')).toBe(DEFAULT_ALLOWED_ORIGINS[0]);
+    expect((await foreign.json()).error).toMatchObject({ code: 'origin_not_allowed', message: expect.stringContaining('--origin https://elsewhere.example') });
+
+    const res = await fetch(`${baseUrl}/assessments`, { method: 'POST', body: 'x'.repeat(MAX_BODY_BYTES + 1) });
+    expect(res.status).toBe(413);
+    expect((await res.json()).error.code).toBe('payload_too_large');
+  });
+
+  it('passes unexpected failures to onError and answers 500', async () => {
+    const failing = createApiServer({ handle: async () => { throw new Error('boom'); } }, { onError: err => errors.push(err) });
+    await new Promise(resolve => failing.listen(0, '127.0.0.1', resolve));
+    const res = await fetch(`http://127.0.0.1:${failing.address().port}/policy`);
+    await new Promise(resolve => failing.close(resolve));
+    expect(res.status).toBe(500);
+    expect(errors.map(e => e.message)).toEqual(['boom']);
+    expect(() => createApiServer(newService())).toThrow(TypeError);
+  });
+
+  it('reports an unreachable server as a 503', async () => {
+    await expect(createApiClient('http://127.0.0.1:1').getPolicy()).rejects.toMatchObject({ status: 503, code: 'unreachable' });
+  });
+});
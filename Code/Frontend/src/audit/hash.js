@@ -0,0 +1,21 @@
+// --- CONTENT HASHING ---
+// Audit hashes must be reproducible byte-for-byte, so objects are serialised with their
+// keys sorted and hashed with SHA-256 from the Web Crypto API (also available in Node).
+
+export const canonicalJson = (value) => {
+  if (Array.isArray(value)) return `[${value.map(v => v === undefined ? 'null' : canonicalJson(v)).join(',')}]`;
+  if (value !== null && typeof value === 'object') {
+    const entries = Object.keys(value).sort()
+      .filter(k => value[k] !== undefined)
+      .map(k => `${JSON.stringify(k)}:${canonicalJson(value[k])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+export const sha256Hex = async (text) => {
+  const digest = await globalThis.crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+};
+
+export const hashContent = value => sha256Hex(canonicalJson(value));
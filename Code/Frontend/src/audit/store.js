@@ -0,0 +1,36 @@
+import { STORES, run } from '../storage/db.js';
+import { buildAuditRecord, policyFingerprint } from './trail.js';
+
+// --- AUDIT STORE ---
+// Append-only: records are written with add(), never put(), and the unique sequence
+// index stops a second writer from forking the chain. Appends from this tab are
+// queued so each one links to the record written just before it.
+
+const lastRecord = () => run(STORES.audit, 'readonly', store => {
+  const cursor = store.index('sequence').openCursor(null, 'prev');
+  const last = { result: null };
+  cursor.onsuccess = () => { last.result = cursor.result ? cursor.result.value : null; };
+  return last;
+});
+
+let tail = Promise.resolve();
+
+export const appendAudit = ({ subject, applicant, assessment, policy }) => {
+  const next = tail.then(async () => {
+    const record = await buildAuditRecord({
+      subject,
+      applicant,
+      assessment,
+      fingerprint: await policyFingerprint(policy),
+      previous: await lastRecord(),
+      createdAt: new Date().toISOString()
+    });
+    await run(STORES.audit, 'readwrite', store => store.add(record));
+    return record;
+  });
+  tail = next.catch(() => {});
+  return next;
+};
+
+// Oldest first, which is the order the chain is verified in.
+export const listAudit = () => run(STORES.audit, 'readonly', store => store.index('sequence').getAll());
@@ -0,0 +1,93 @@
+import { assess } from '../engine/assess.js';
+import { DECISION_INPUTS, snapshotCoApplicants } from '../engine/inputs.js';
+import { verificationSummary } from '../verification/verify.js';
+import { canonicalJson, hashContent } from './hash.js';
+
+// --- AUDIT TRAIL ---
+// Every decision produces a record holding the inputs, the policy it was made under,
+// every check and the outcome. The record's hash covers all of that plus the previous
+// record's hash, so editing or removing any earlier record breaks every later link.
+
+export const GENESIS_HASH = '0'.repeat(64);
+
+// Trace IDs are derived from the record hash, so the same content always cites the same ID.
+export const traceIdFromHash = hash => hash.slice(0, 16).toUpperCase();
+
+export const policyFingerprint = async (policy) => ({
+  versions: policy.versions,
+  hashes: {
+    lending_rules: await hashContent(policy.lendingRules),
+    approval_thresholds: await hashContent(policy.thresholds),
+    approval_probability: await hashContent(policy.probabilityModel),
+    product_rules: await hashContent(policy.products),
+    product_pricing: await hashContent(policy.pricing)
+  }
+});
+
+// Co-applicants and verification results are recorded only when present, so other
+// records keep the shape (and hashes) they have always had. The verified values stay in
+// the input because the engine compares them with the declared ones on every re-run.
+const snapshotInput = applicant => {
+  const coApplicants = snapshotCoApplicants(applicant);
+  const verification = verificationSummary(applicant);
+  return {
+    ...Object.fromEntries(DECISION_INPUTS.map(f => [f, applicant[f] ?? null])),
+    ...(coApplicants.length ? { coApplicants } : {}),
+    ...(verification ? { verification: Object.fromEntries(Object.entries(verification).map(([f, v]) => [f, v.verified])) } : {})
+  };
+};
+
+// The parts of an assessment that a verifier must be able to reproduce exactly. `party`
+// is only set on joint applications; canonical JSON drops it when undefined.
+const summarise = ({ decision, reasons, probability, factors, checks, loanType, emi, existingEmi, totalObligation, dti, annualRate, rateRuleId }) => ({
+  checks: checks.map(({ id, ruleId, label, status, detail, values, party }) => ({ id, ruleId, label, status, detail, values, party })),
+  outcome: { decision, reasons, probability, factors, loanType, emi, existingEmi, totalObligation, dti, annualRate, rateRuleId }
+});
+
+// Everything except the fields derived from the hash itself.
+const recordBody = record => Object.fromEntries(Object.entries(record).filter(([k]) => k !== 'hash' && k !== 'traceId'));
+
+export const buildAuditRecord = async ({ subject, applicant, assessment, fingerprint, previous, createdAt }) => {
+  const body = {
+    sequence: previous ? previous.sequence + 1 : 1,
+    previousHash: previous ? previous.hash : GENESIS_HASH,
+    createdAt,
+    subject,
+    input: snapshotInput(applicant),
+    ...(applicant.verification ? { verification: verificationSummary(applicant) } : {}),
+    policy: fingerprint,
+    ...summarise(assessment)
+  };
+  const hash = await hashContent(body);
+  return Object.freeze({ ...body, hash, traceId: traceIdFromHash(hash) });
+};
+
+// Recomputes every hash and link. `records` must be in sequence order.
+export const verifyChain = async (records) => {
+  const problems = [];
+  for (const [i, record] of records.entries()) {
+    const previous = records[i - 1];
+    const at = { sequence: record.sequence, traceId: record.traceId };
+    const hash = await hashContent(recordBody(record));
+    if (hash !== record.hash) problems.push({ ...at, problem: 'Record content does not match its hash' });
+    if (traceIdFromHash(record.hash) !== record.traceId) problems.push({ ...at, problem: 'Trace ID does not match the record hash' });
+    if (record.previousHash !== (previous ? previous.hash : GENESIS_HASH)) problems.push({ ...at, problem: 'Link to the previous record is broken' });
+    if (record.sequence !== (previous ? previous.sequence + 1 : 1)) problems.push({ ...at, problem: `Expected sequence ${previous ? previous.sequence + 1 : 1}` });
+  }
+  return { valid: problems.length === 0, checked: records.length, problems };
+};
+
+// Re-runs the engine on the stored inputs and compares against the recorded outcome.
+// A policy mismatch is reported separately: a different outcome under changed datasets
+// is expected, under identical datasets it means the record cannot be reproduced.
+export const verifyRecord = async (record, policy) => {
+  const fingerprint = await policyFingerprint(policy);
+  const policyMatches = canonicalJson(fingerprint.hashes) === canonicalJson(record.policy.hashes);
+  const rerun = summarise(assess(record.input, policy));
+
+  const differences = Object.keys(rerun.outcome)
+    .filter(k => canonicalJson(rerun.outcome[k]) !== canonicalJson(record.outcome[k]));
+  if (canonicalJson(rerun.checks) !== canonicalJson(record.checks)) differences.push('checks');
+
+  return { reproduced: differences.length === 0, policyMatches, differences, rerun };
+};
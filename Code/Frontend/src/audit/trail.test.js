@@ -0,0 +1,117 @@
+import { describe, expect, it } from 'vitest';
+import { loadTestPolicy, loadTestApplicants } from '../test/datasets.js';
+import { assess } from '../engine/assess.js';
+import { canonicalJson } from './hash.js';
+import { GENESIS_HASH, buildAuditRecord, policyFingerprint, verifyChain, verifyRecord } from './trail.js';
+
+const policy = loadTestPolicy();
+const applicants = loadTestApplicants();
+const byId = id => applicants.find(a => a.applicantId === id);
+
+const CREATED_AT = '2026-01-01T00:00:00.000Z';
+
+const buildChain = async (ids, p = policy) => {
+  const fingerprint = await policyFingerprint(p);
+  const records = [];
+  for (const id of ids) {
+    const applicant = byId(id);
+    records.push(await buildAuditRecord({
+      subject: { applicantId: id, name: applicant.name },
+      applicant,
+      assessment: assess(applicant, p),
+      fingerprint,
+      previous: records[records.length - 1],
+      createdAt: CREATED_AT
+    }));
+  }
+  return records;
+};
+
+describe('canonicalJson()', () => {
+  it('is independent of key order', () => {
+    expect(canonicalJson({ b: 1, a: { d: [1, 2], c: null } })).toBe(canonicalJson({ a: { c: null, d: [1, 2] }, b: 1 }));
+  });
+});
+
+describe('audit trail', () => {
+  it('derives the same trace ID from the same content', async () => {
+    const [a] = await buildChain(['A1003']);
+    const [b] = await buildChain(['A1003']);
+    expect(a.traceId).toMatch(/^[0-9A-F]{16}$/);
+    expect(a.traceId).toBe(b.traceId);
+    expect((await buildChain(['A1004']))[0].traceId).not.toBe(a.traceId);
+  });
+
+  it('records inputs, policy fingerprint, cited checks and the outcome', async () => {
+    const [record] = await buildChain(['A1019']);
+    expect(record.previousHash).toBe(GENESIS_HASH);
+    expect(record.input).not.toHaveProperty('gender');
+    expect(record.input.loanAmount).toBe(byId('A1019').loanAmount);
+    expect(record.policy.versions).toEqual(policy.versions);
+    expect(Object.keys(record.policy.hashes)).toEqual(['lending_rules', 'approval_thresholds', 'approval_probability', 'product_rules', 'product_pricing']);
+    expect(record.checks.filter(c => c.status === 'fail').map(c => c.ruleId)).toEqual([
+      expect.stringMatching(/^lending_rules\.loan_to_income_ratio\./),
+      expect.stringMatching(/^lending_rules\.emi_income_ratio\./)
+    ]);
+    expect(record.outcome.decision).toBe('REJECTED');
+    expect(Object.isFrozen(record)).toBe(true);
+  });
+
+  it('chains each record to the hash of the one before it', async () => {
+    const records = await buildChain(['A1001', 'A1002', 'A1003']);
+    expect(records.map(r => r.sequence)).toEqual([1, 2, 3]);
+    expect(records[2].previousHash).toBe(records[1].hash);
+    expect(await verifyChain(records)).toEqual({ valid: true, checked: 3, problems: [] });
+  });
+
+  it('detects an edited record', async () => {
+    const records = await buildChain(['A1001', 'A1002', 'A1003']);
+    const tampered = [records[0], { ...records[1], outcome: { ...records[1].outcome, decision: 'APPROVED' } }, records[2]];
+    const result = await verifyChain(tampered);
+    expect(result.valid).toBe(false);
+    expect(result.problems).toEqual([expect.objectContaining({ sequence: 2, problem: 'Record content does not match its hash' })]);
+  });
+
+  it('detects a removed record', async () => {
+    const records = await buildChain(['A1001', 'A1002', 'A1003']);
+    const result = await verifyChain([records[0], records[2]]);
+    expect(result.problems.map(p => p.problem)).toEqual(['Link to the previous record is broken', 'Expected sequence 2']);
+  });
+});
+
+describe('verifyRecord()', () => {
+  it('reproduces every stored outcome under the same policy', async () => {
+    const records = await buildChain(applicants.map(a => a.applicantId));
+    for (const record of records) {
+      const result = await verifyRecord(record, policy);
+      expect(result).toMatchObject({ reproduced: true, policyMatches: true, differences: [] });
+    }
+  });
+
+  it('reproduces an escalated case', async () => {
+    const fingerprint = await policyFingerprint(policy);
+    const applicant = { ...byId('A1003'), creditScore: '' };
+    const record = await buildAuditRecord({ subject: {}, applicant, assessment: assess(applicant, policy), fingerprint, previous: null, createdAt: CREATED_AT });
+    expect((await verifyRecord(record, policy)).reproduced).toBe(true);
+  });
+
+  it('records and reproduces a joint application', async () => {
+    const fingerprint = await policyFingerprint(policy);
+    const co = { name: 'J. Partner', gender: 'F', age: '40', employmentType: 'Salaried', employmentYears: '10', income: '60000', creditScore: '700', existingEmi: '10000', existingLoansCount: '1' };
+    const applicant = { ...byId('A1003'), coApplicants: [co] };
+    const record = await buildAuditRecord({ subject: {}, applicant, assessment: assess(applicant, policy), fingerprint, previous: null, createdAt: CREATED_AT });
+    expect(record.input.coApplicants).toEqual([expect.not.objectContaining({ gender: 'F' })]);
+    expect(record.checks.find(c => c.id === 'credit').party).toBe('co_applicant_1');
+    expect((await verifyRecord(record, policy)).reproduced).toBe(true);
+    expect((await buildChain(['A1003']))[0].input).not.toHaveProperty('coApplicants');
+  });
+
+  it('flags a policy change separately from the outcome comparison', async () => {
+    const [record] = await buildChain(['A1007']);
+    const changed = { ...policy, thresholds: { ...policy.thresholds, approve_if_probability_above: 80, review_if_probability_between: [policy.thresholds.reject_if_probability_below, 80] } };
+    const result = await verifyRecord(record, changed);
+    expect(result.policyMatches).toBe(false);
+    expect(result.reproduced).toBe(false);
+    expect(result.differences).toEqual(['decision']);
+  });
+});
@@ -0,0 +1,82 @@
+import * as XLSX from 'xlsx';
+
+// --- APPLICANT SHEET IMPORTER ---
+// Reads an XLSX or CSV laid out like Data/Base_Applicant_Dataset_20.xlsx and maps its
+// snake_case headers onto the same applicant model the wizard builds.
+
+export class ImportError extends Error {
+  constructor(message, issues = []) {
+    super(message);
+    this.name = 'ImportError';
+    this.issues = issues;
+  }
+}
+
+// sheet header -> applicant field
+export const APPLICANT_COLUMNS = {
+  applicant_id: 'applicantId',
+  age: 'age',
+  gender: 'gender',
+  employment_type: 'employmentType',
+  employment_years: 'employmentYears',
+  monthly_income: 'income',
+  credit_score: 'creditScore',
+  existing_emi: 'existingEmi',
+  existing_loans_count: 'existingLoansCount',
+  loan_type: 'loanType',
+  requested_loan_amount: 'loanAmount',
+  requested_tenure_months: 'tenure'
+};
+
+const OPTIONAL_COLUMNS = { application_timestamp: 'applicationTimestamp' };
+
+const isBlank = v => v === undefined || v === null || String(v).trim() === '';
+
+// Wizard inputs hold strings, so sheet values are kept as their text form.
+const cellText = v => isBlank(v) ? '' : String(v).trim();
+
+export const parseApplicantRows = (rows, source = 'applicant sheet') => {
+  const header = (rows[0] || []).map(h => String(h ?? '').trim().toLowerCase());
+  const missing = Object.keys(APPLICANT_COLUMNS).filter(c => !header.includes(c));
+  if (missing.length) {
+    throw new ImportError(`${source} is missing required columns`, missing.map(c => `Column "${c}" not found in header row`));
+  }
+  const mapping = { ...APPLICANT_COLUMNS, ...OPTIONAL_COLUMNS };
+
+  const issues = [];
+  const seen = new Set();
+  const applicants = [];
+  rows.slice(1).forEach((row, i) => {
+    if (!row || row.every(isBlank)) return;
+    const applicant = {};
+    header.forEach((h, c) => {
+      if (mapping[h]) applicant[mapping[h]] = cellText(row[c]);
+    });
+    if (!applicant.applicantId) {
+      issues.push(`Row ${i + 2}: applicant_id is empty; row skipped`);
+      return;
+    }
+    if (seen.has(applicant.applicantId)) {
+      issues.push(`Row ${i + 2}: applicant_id "${applicant.applicantId}" is duplicated; row skipped`);
+      return;
+    }
+    seen.add(applicant.applicantId);
+    applicants.push({ name: applicant.applicantId, ...applicant });
+  });
+
+  if (!applicants.length) throw new ImportError(`${source} contains no applicant rows`, issues);
+  return { applicants, issues };
+};
+
+export const importApplicants = (buffer, source) => {
+  let workbook;
+  try {
+    // raw keeps CSV cells as typed text instead of guessing dates and numbers
+    workbook = XLSX.read(buffer, { type: 'array', raw: true });
+  } catch (err) {
+    throw new ImportError(`${source} is not a readable XLSX or CSV file`, [err.message]);
+  }
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  if (!sheet) throw new ImportError(`${source} contains no worksheets`);
+  return parseApplicantRows(XLSX.utils.sheet_to_json(sheet, { header: 1, raw: true, defval: null }), source);
+};
@@ -0,0 +1,44 @@
+import { describe, expect, it } from 'vitest';
+import { dataFile } from '../test/datasets.js';
+import { APPLICANT_COLUMNS, ImportError, importApplicants } from './importApplicants.js';
+
+const HEADER = Object.keys(APPLICANT_COLUMNS);
+const ROW = ['A2001', '35', 'F', 'Salaried', '6', '85000', '720', '5000', '1', 'Personal', '400000', '36'];
+
+const csv = lines => new TextEncoder().encode(lines.map(l => l.join(',')).join('\n'));
+
+describe('importApplicants()', () => {
+  it('maps the Base_Applicant_Dataset_20 sheet onto the wizard applicant model', () => {
+    const { applicants, issues } = importApplicants(dataFile('Base_Applicant_Dataset_20.xlsx'), 'Base_Applicant_Dataset_20.xlsx');
+    expect(applicants).toHaveLength(20);
+    expect(issues).toEqual([]);
+    expect(applicants[0]).toEqual({
+      name: 'A1001', applicantId: 'A1001', age: '22', gender: 'M', employmentType: 'Salaried', employmentYears: '1',
+      income: '18000', creditScore: '620', existingEmi: '2000', existingLoansCount: '1', loanType: 'Education',
+      loanAmount: '300000', tenure: '48', applicationTimestamp: '2026-02-07 10:15'
+    });
+  });
+
+  it('reads CSV with loose header case, keeping cells as text and blanks as empty strings', () => {
+    const { applicants } = importApplicants(csv([
+      [...HEADER.map(h => ` ${h.toUpperCase()} `), 'notes'],
+      [...ROW.slice(0, 5), '', '0720', ...ROW.slice(7), 'ignored']
+    ]), 'applicants.csv');
+    expect(applicants).toEqual([expect.objectContaining({ applicantId: 'A2001', income: '', creditScore: '0720', tenure: '36' })]);
+    expect(applicants[0]).not.toHaveProperty('notes');
+  });
+
+  it('skips rows with an empty or duplicated applicant ID and reports them', () => {
+    const { applicants, issues } = importApplicants(csv([HEADER, ROW, ['', ...ROW.slice(1)], ROW, ['A2002', ...ROW.slice(1)]]), 'dupes.csv');
+    expect(applicants.map(a => a.applicantId)).toEqual(['A2001', 'A2002']);
+    expect(issues).toEqual(['Row 3: applicant_id is empty; row skipped', 'Row 4: applicant_id "A2001" is duplicated; row skipped']);
+  });
+
+  it('refuses sheets missing required columns or without usable rows', () => {
+    expect(() => importApplicants(csv([HEADER.filter(h => h !== 'credit_score'), ROW.slice(1)]), 'short.csv'))
+      .toThrow(expect.objectContaining({ name: 'ImportError', message: 'short.csv is missing required columns', issues: ['Column "credit_score" not found in header row'] }));
+    expect(() => importApplicants(csv([HEADER, ['', ...ROW.slice(1)]]), 'empty.csv'))
+      .toThrow(expect.objectContaining({ message: 'empty.csv contains no applicant rows', issues: ['Row 2: applicant_id is empty; row skipped'] }));
+    expect(() => importApplicants(csv([HEADER]), 'header-only.csv')).toThrow(ImportError);
+  });
+});
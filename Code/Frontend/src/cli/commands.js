@@ -0,0 +1,174 @@
+import { readFileSync, writeFileSync } from 'node:fs';
+import { basename } from 'node:path';
+import { parseArgs } from 'node:util';
+import { assess } from '../engine/assess.js';
+import { suggestImprovements } from '../engine/suggestions.js';
+import { ImportError, importApplicants } from '../batch/importApplicants.js';
+import { buildDecisionReport } from '../report/report.js';
+import { PolicyError } from '../policy/errors.js';
+import { DATASET_FILES } from '../policy/buildPolicy.js';
+import { DEFAULT_DATA_DIR, readPolicy } from './files.js';
+
+// --- LOAN-ASSESS CLI ---
+// The browser app's engine, datasets and report format, driven from the command line.
+// runCli() never touches the process; bin/loan-assess.js prints its result and exits
+// with the code, so scripts and pipelines can gate on it.
+
+export const EXIT = Object.freeze({ OK: 0, USAGE: 1, POLICY: 2, ESCALATED: 3 });
+
+export const USAGE = `Usage: loan-assess <command> [options]
+
+Commands:
+  assess <applicant.json>   Assess one applicant (a JSON object with the app's field names)
+  batch <sheet.xlsx|.csv>   Assess every row of a Base_Applicant_Dataset-style sheet
+  validate                  Load and validate the policy datasets only
+
+Options:
+  --data <dir>              Policy dataset directory (default: the repository Data/ folder)
+  --format <json|csv>       Output format for batch (default: json)
+  --out <file>              Write the output to a file instead of stdout
+  -h, --help                Show this help
+
+Exit codes:
+  0  every applicant was decided, or the datasets are valid
+  1  usage error or unreadable input
+  2  the policy datasets could not be loaded or failed validation
+  3  at least one applicant was escalated, or a sheet row was skipped`;
+
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+const OPTIONS = {
+  data: { type: 'string' },
+  format: { type: 'string' },
+  out: { type: 'string' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+const result = (exitCode, stdout = '', stderr = '') => ({ exitCode, stdout, stderr });
+
+const readInput = (file) => {
+  try {
+    return readFileSync(file);
+  } catch (err) {
+    throw new UsageError(`${file} could not be read: ${err.message}`);
+  }
+};
+
+// Output goes to --out when given; the summary line still reaches stderr either way.
+const emit = (values, output) => {
+  if (!values.out) return output;
+  writeFileSync(values.out, output);
+  return '';
+};
+
+const BATCH_COLUMNS = ['applicantId', 'decision', 'probability', 'loanType', 'annualRate', 'emi', 'dti', 'failedRules', 'warnRules', 'reasons'];
+
+const batchRow = (applicant, assessment) => ({
+  applicantId: applicant.applicantId,
+  decision: assessment.decision,
+  probability: assessment.probability,
+  loanType: assessment.loanType,
+  annualRate: assessment.annualRate,
+  emi: assessment.emi === null ? null : Math.round(assessment.emi * 100) / 100,
+  dti: assessment.dti === null ? null : Math.round(assessment.dti * 10000) / 10000,
+  failedRules: assessment.checks.filter(c => c.status === 'fail').map(c => c.ruleId),
+  warnRules: assessment.checks.filter(c => c.status === 'warn').map(c => c.ruleId),
+  reasons: assessment.reasons.map(r => `${r.field}: ${r.message}`)
+});
+
+const csvCell = (v) => {
+  const text = v === null ? '' : Array.isArray(v) ? v.join('; ') : String(v);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = rows => [BATCH_COLUMNS.join(','), ...rows.map(r => BATCH_COLUMNS.map(c => csvCell(r[c])).join(','))].join('\n');
+
+const countBy = (rows, key) => rows.reduce((acc, r) => ({ ...acc, [r[key]]: (acc[r[key]] || 0) + 1 }), {});
+
+const runAssess = (file, values) => {
+  if (!file) throw new UsageError('assess needs an applicant JSON file');
+  let applicant;
+  try {
+    applicant = JSON.parse(readInput(file));
+  } catch (err) {
+    if (err instanceof UsageError) throw err;
+    throw new UsageError(`${file} is not valid JSON: ${err.message}`);
+  }
+  if (applicant === null || typeof applicant !== 'object' || Array.isArray(applicant)) throw new UsageError(`${file} must contain a single applicant object`);
+  // Verified figures come from a verification provider, never from the input itself;
+  // the API's applicant schema rejects the block for the same reason.
+  if ('verification' in applicant) throw new UsageError(`${file} must not contain a verification block; verified figures come from a verification provider`);
+  // Anything but a list would otherwise be read as a sole applicant and assessed alone.
+  if ('coApplicants' in applicant && !Array.isArray(applicant.coApplicants)) throw new UsageError(`${file} must give coApplicants as a list of co-applicant objects`);
+
+  const policy = readPolicy(values.data);
+  const assessment = { ...assess(applicant, policy), traceId: null };
+  const report = buildDecisionReport({
+    applicant, assessment, policy,
+    suggestions: suggestImprovements(applicant, assessment, policy),
+    generatedAt: new Date().toISOString()
+  });
+  const code = assessment.decision === 'ESCALATED' ? EXIT.ESCALATED : EXIT.OK;
+  return result(code, emit(values, `${JSON.stringify(report, null, 2)}\n`), `${basename(file)}: ${assessment.decision}\n`);
+};
+
+const runBatch = (file, values) => {
+  if (!file) throw new UsageError('batch needs an XLSX or CSV file');
+  const format = values.format ?? 'json';
+  if (!['json', 'csv'].includes(format)) throw new UsageError(`Unknown format "${format}"; use json or csv`);
+
+  const policy = readPolicy(values.data);
+  const { applicants, issues } = importApplicants(readInput(file), basename(file));
+  const rows = applicants.map(a => batchRow(a, assess(a, policy)));
+  const output = format === 'csv' ? `${toCsv(rows)}\n` : `${JSON.stringify(rows, null, 2)}\n`;
+
+  const counts = countBy(rows, 'decision');
+  const summary = `${basename(file)}: ${rows.length} assessed (${Object.entries(counts).map(([d, n]) => `${d} ${n}`).join(', ')})`;
+  const code = counts.ESCALATED || issues.length ? EXIT.ESCALATED : EXIT.OK;
+  return result(code, emit(values, output), [...issues, summary].join('\n') + '\n');
+};
+
+const runValidate = (values) => {
+  const policy = readPolicy(values.data);
+  const lines = [
+    `${DATASET_FILES.lendingRules}: v${policy.versions.lending_rules}`,
+    `${DATASET_FILES.approvalThresholds}: v${policy.versions.approval_thresholds}`,
+    `${DATASET_FILES.approvalProbability}: v${policy.versions.approval_probability}`,
+    `${DATASET_FILES.productRules}: ${policy.products.length} products`,
+    `${DATASET_FILES.productPricing}: v${policy.versions.product_pricing}`,
+    'Policy datasets are valid'
+  ];
+  return result(EXIT.OK, `${lines.join('\n')}\n`);
+};
+
+const COMMANDS = {
+  assess: (args, values) => runAssess(args[0], values),
+  batch: (args, values) => runBatch(args[0], values),
+  validate: (args, values) => runValidate(values)
+};
+
+export const runCli = (argv) => {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (err) {
+    return result(EXIT.USAGE, '', `${err.message}\n\n${USAGE}\n`);
+  }
+  const { values, positionals: [command, ...args] } = parsed;
+  if (values.help) return result(EXIT.OK, `${USAGE}\n`);
+  if (!COMMANDS[command]) return result(EXIT.USAGE, '', `${command ? `Unknown command "${command}"` : 'No command given'}\n\n${USAGE}\n`);
+
+  try {
+    return COMMANDS[command](args, { ...values, data: values.data ?? DEFAULT_DATA_DIR });
+  } catch (err) {
+    if (err instanceof PolicyError) return result(EXIT.POLICY, '', [`Policy error: ${err.message}`, ...err.issues.map(i => `  ${i}`)].join('\n') + '\n');
+    if (err instanceof UsageError) return result(EXIT.USAGE, '', `${err.message}\n`);
+    if (err instanceof ImportError) return result(EXIT.USAGE, '', [err.message, ...err.issues.map(i => `  ${i}`)].join('\n') + '\n');
+    throw err;
+  }
+};
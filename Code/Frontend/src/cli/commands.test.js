@@ -0,0 +1,143 @@
+import { afterAll, describe, expect, it } from 'vitest';
+import { copyFileSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { DATASET_FILES } from '../policy/buildPolicy.js';
+import { DEFAULT_DATA_DIR } from './files.js';
+import { EXIT, runCli } from './commands.js';
+
+const work = mkdtempSync(join(tmpdir(), 'loan-assess-'));
+afterAll(() => rmSync(work, { recursive: true, force: true }));
+
+const SHEET = join(DEFAULT_DATA_DIR, 'Base_Applicant_Dataset_20.xlsx');
+
+const APPLICANT = {
+  age: '35', employmentType: 'Self-Employed', employmentYears: '8', income: '120000', creditScore: '750',
+  existingEmi: '25000', existingLoansCount: '1', loanType: 'Vehicle', loanAmount: '600000', tenure: '48'
+};
+
+const writeJson = (name, value) => {
+  const file = join(work, name);
+  writeFileSync(file, typeof value === 'string' ? value : JSON.stringify(value));
+  return file;
+};
+
+// A copy of Data/ with one dataset replaced, for the policy-error paths.
+const dataDirWith = (file, content) => {
+  const dir = mkdtempSync(join(work, 'data-'));
+  Object.values(DATASET_FILES).forEach(f => copyFileSync(join(DEFAULT_DATA_DIR, f), join(dir, f)));
+  writeFileSync(join(dir, file), content);
+  return dir;
+};
+
+describe('loan-assess assess', () => {
+  it('prints the decision report and exits 0 for a decided applicant', () => {
+    const { exitCode, stdout, stderr } = runCli(['assess', writeJson('a.json', APPLICANT)]);
+    const report = JSON.parse(stdout);
+    expect(exitCode).toBe(EXIT.OK);
+    expect(report.decision.outcome).toBe('APPROVED');
+    expect(report.schema).toBe('compliance-hub.decision-report');
+    expect(stderr).toBe('a.json: APPROVED\n');
+  });
+
+  it('exits 3 when the applicant is escalated', () => {
+    const { exitCode, stdout } = runCli(['assess', writeJson('b.json', { ...APPLICANT, income: '' })]);
+    expect(exitCode).toBe(EXIT.ESCALATED);
+    expect(JSON.parse(stdout).decision.reasons).toEqual([expect.objectContaining({ field: 'income', kind: 'missing' })]);
+  });
+
+  it('exits 1 for unreadable input', () => {
+    expect(runCli(['assess', writeJson('c.json', '{ nope')]).exitCode).toBe(EXIT.USAGE);
+    expect(runCli(['assess', writeJson('d.json', [APPLICANT])]).stderr).toContain('single applicant object');
+    expect(runCli(['assess', join(work, 'missing.json')]).exitCode).toBe(EXIT.USAGE);
+  });
+
+  it('rejects a verification block in the input file', () => {
+    const verification = { creditScore: { value: 800, source: 'self', reference: 'x' } };
+    expect(runCli(['assess', writeJson('e.json', { ...APPLICANT, verification })])).toMatchObject({
+      exitCode: EXIT.USAGE, stdout: '', stderr: expect.stringContaining('must not contain a verification block')
+    });
+  });
+
+  it('rejects co-applicants that are not a list', () => {
+    const co = { name: 'J. Partner', age: '40', employmentType: 'Salaried', employmentYears: '5', income: '60000', creditScore: '700', existingEmi: '0', existingLoansCount: '0' };
+    expect(runCli(['assess', writeJson('f.json', { ...APPLICANT, coApplicants: co })])).toMatchObject({
+      exitCode: EXIT.USAGE, stdout: '', stderr: expect.stringContaining('must give coApplicants as a list')
+    });
+  });
+});
+
+describe('loan-assess batch', () => {
+  it('assesses every row as JSON by default', () => {
+    const { exitCode, stdout, stderr } = runCli(['batch', SHEET]);
+    const rows = JSON.parse(stdout);
+    expect(exitCode).toBe(EXIT.OK);
+    expect(rows).toHaveLength(20);
+    expect(rows.find(r => r.applicantId === 'A1019')).toMatchObject({
+      decision: 'REJECTED',
+      failedRules: ['lending_rules.loan_to_income_ratio.vehicle', 'lending_rules.emi_income_ratio.reject']
+    });
+    expect(stderr).toContain('20 assessed');
+  });
+
+  it('writes CSV to --out', () => {
+    const out = join(work, 'batch.csv');
+    const { stdout } = runCli(['batch', SHEET, '--format', 'csv', '--out', out]);
+    const lines = readFileSync(out, 'utf8').trim().split('\n');
+    expect(stdout).toBe('');
+    expect(lines[0]).toBe('applicantId,decision,probability,loanType,annualRate,emi,dti,failedRules,warnRules,reasons');
+    expect(lines).toHaveLength(21);
+    expect(lines.find(l => l.startsWith('A1006,'))).toContain(',Personal_SelfEmployed,');
+  });
+
+  it('exits 3 when any row is escalated or skipped', () => {
+    const csv = writeJson('rows.csv', [
+      'applicant_id,age,gender,employment_type,employment_years,monthly_income,credit_score,existing_emi,existing_loans_count,loan_type,requested_loan_amount,requested_tenure_months',
+      'X1,35,M,Salaried,8,120000,750,0,0,Vehicle,600000,48',
+      'X2,35,M,Salaried,8,,750,0,0,Vehicle,600000,48',
+      ',35,M,Salaried,8,120000,750,0,0,Vehicle,600000,48'
+    ].join('\n'));
+    const { exitCode, stderr } = runCli(['batch', csv]);
+    expect(exitCode).toBe(EXIT.ESCALATED);
+    expect(stderr).toContain('Row 4: applicant_id is empty; row skipped');
+    expect(stderr).toContain('ESCALATED 1');
+  });
+
+  it('rejects an unknown output format', () => {
+    expect(runCli(['batch', SHEET, '--format', 'xml'])).toMatchObject({ exitCode: EXIT.USAGE, stderr: expect.stringContaining('Unknown format') });
+  });
+});
+
+describe('loan-assess validate', () => {
+  it('reports the dataset versions', () => {
+    const { exitCode, stdout } = runCli(['validate']);
+    expect(exitCode).toBe(EXIT.OK);
+    expect(stdout).toContain('Policy datasets are valid');
+  });
+
+  it('exits 2 with every schema issue when a dataset is invalid', () => {
+    const thresholds = JSON.parse(readFileSync(join(DEFAULT_DATA_DIR, DATASET_FILES.approvalThresholds)));
+    thresholds.thresholds.approve_if_probability_above = 120;
+    const { exitCode, stderr } = runCli(['validate', '--data', dataDirWith(DATASET_FILES.approvalThresholds, JSON.stringify(thresholds))]);
+    expect(exitCode).toBe(EXIT.POLICY);
+    expect(stderr).toContain('approve_if_probability_above must be a number between 0 and 100');
+  });
+
+  it('exits 2 for a dataset that is not JSON', () => {
+    const { exitCode, stderr } = runCli(['assess', writeJson('e.json', APPLICANT), '--data', dataDirWith(DATASET_FILES.lendingRules, 'not json')]);
+    expect(exitCode).toBe(EXIT.POLICY);
+    expect(stderr).toContain(`${DATASET_FILES.lendingRules} is not valid JSON`);
+  });
+});
+
+describe('loan-assess usage', () => {
+  it('exits 1 for an unknown command or option', () => {
+    expect(runCli(['frob']).exitCode).toBe(EXIT.USAGE);
+    expect(runCli(['validate', '--nope']).exitCode).toBe(EXIT.USAGE);
+    expect(runCli([]).stderr).toContain('No command given');
+  });
+
+  it('prints help and exits 0', () => {
+    expect(runCli(['--help'])).toMatchObject({ exitCode: EXIT.OK, stdout: expect.stringContaining('Exit codes:') });
+  });
+});
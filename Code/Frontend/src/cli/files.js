@@ -0,0 +1,37 @@
+import { readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { DATASET_FILES, buildPolicy } from '../policy/buildPolicy.js';
+import { importProductRules } from '../policy/productRules.js';
+import { PolicyError } from '../policy/errors.js';
+
+// --- DATASET FILES (NODE) ---
+// The Node counterpart of policy/loadPolicy.js: the same dataset files, read from a
+// directory instead of fetched, and validated by the same buildPolicy().
+
+export const DEFAULT_DATA_DIR = fileURLToPath(new URL('../../../../Data/', import.meta.url));
+
+const readFile = (dir, file) => {
+  try {
+    return readFileSync(join(dir, file));
+  } catch (err) {
+    throw new PolicyError(`${file} could not be read`, [err.message]);
+  }
+};
+
+const readDataset = (dir, file) => {
+  try {
+    return JSON.parse(readFile(dir, file));
+  } catch (err) {
+    if (err instanceof PolicyError) throw err;
+    throw new PolicyError(`${file} is not valid JSON`, [err.message]);
+  }
+};
+
+export const readPolicy = (dir = DEFAULT_DATA_DIR) => buildPolicy({
+  lendingRules: readDataset(dir, DATASET_FILES.lendingRules),
+  approvalThresholds: readDataset(dir, DATASET_FILES.approvalThresholds),
+  approvalProbability: readDataset(dir, DATASET_FILES.approvalProbability),
+  products: importProductRules(readFile(dir, DATASET_FILES.productRules), DATASET_FILES.productRules),
+  productPricing: readDataset(dir, DATASET_FILES.productPricing)
+});
@@ -0,0 +1,62 @@
+import React from 'react';
+import { CalendarRange, Download } from 'lucide-react';
+import { amortizationSchedule, scheduleToCsv } from '../engine/emi.js';
+import { downloadFile } from '../report/download.js';
+
+const fmt = v => `$${v.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const AmortizationPanel = ({ applicant, assessment }) => {
+  const principal = Number(applicant.loanAmount);
+  const months = Number(applicant.tenure);
+  const rows = amortizationSchedule(principal, months, assessment.annualRate);
+  const totalInterest = rows.reduce((sum, r) => sum + r.interest, 0);
+
+  const download = () => downloadFile(scheduleToCsv(rows), 'text/csv', `amortization-${assessment.traceId ?? 'schedule'}.csv`);
+
+  return (
+    <div className="space-y-8 animate-in fade-in slide-in-from-right-4 duration-500">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-3 text-slate-500 font-black text-xs uppercase tracking-[0.3em]"><CalendarRange size={20} /> Amortization Schedule</div>
+        <button onClick={download} className="px-5 py-3 bg-white/5 rounded-2xl text-[10px] font-black uppercase tracking-widest text-slate-400 hover:text-white hover:bg-white/10 transition-all flex items-center gap-2"><Download size={14} /> CSV</button>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        {[
+          ['Principal', fmt(principal)],
+          ['Rate', `${(assessment.annualRate * 100).toFixed(2)}% APR`],
+          ['Total Interest', fmt(totalInterest)],
+          ['Total Repaid', fmt(principal + totalInterest)]
+        ].map(([label, value]) => (
+          <div key={label} className="p-5 bg-white/5 rounded-3xl border border-white/10">
+            <div className="text-[10px] font-black text-slate-500 uppercase tracking-widest mb-1">{label}</div>
+            <div className="text-lg font-black text-white">{value}</div>
+          </div>
+        ))}
+      </div>
+      <p className="text-[10px] font-bold text-slate-600 uppercase tracking-widest">Rate source: {assessment.rateRuleId}</p>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-right text-sm">
+          <thead>
+            <tr className="border-b border-white/10 text-[10px] font-black uppercase tracking-widest text-slate-500">
+              <th className="py-3 px-3 text-left">Month</th><th className="py-3 px-3">Payment</th><th className="py-3 px-3">Interest</th><th className="py-3 px-3">Principal</th><th className="py-3 px-3">Balance</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(r => (
+              <tr key={r.month} className="border-b border-white/5 text-slate-300 font-semibold">
+                <td className="py-2 px-3 text-left text-slate-500">{r.month}</td>
+                <td className="py-2 px-3">{fmt(r.payment)}</td>
+                <td className="py-2 px-3">{fmt(r.interest)}</td>
+                <td className="py-2 px-3">{fmt(r.principal)}</td>
+                <td className="py-2 px-3 text-white">{fmt(r.balance)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default AmortizationPanel;
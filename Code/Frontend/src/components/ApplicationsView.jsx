@@ -0,0 +1,61 @@
+import React from 'react';
+import { ArrowLeft, FolderOpen, Lock, PencilLine, Trash2 } from 'lucide-react';
+import { isEditable } from '../lifecycle/stateMachine.js';
+
+const STATUS_STYLES = {
+  DRAFT: 'bg-blue-500/10 text-blue-400 border-blue-500/20',
+  SUBMITTED: 'bg-slate-500/10 text-slate-300 border-slate-500/20',
+  ELIGIBILITY_CHECKED: 'bg-slate-500/10 text-slate-300 border-slate-500/20',
+  RISK_ASSESSED: 'bg-slate-500/10 text-slate-300 border-slate-500/20',
+  DECIDED: 'bg-emerald-500/10 text-emerald-400 border-emerald-500/20',
+  ESCALATED: 'bg-violet-500/10 text-violet-400 border-violet-500/20'
+};
+
+const ApplicationsView = ({ applications, onOpen, onDiscard, onBack }) => (
+  <div className="flex-1 flex flex-col max-w-5xl mx-auto w-full animate-in fade-in slide-in-from-bottom-6 duration-500">
+    <div className="mb-8">
+      <h2 className="text-4xl font-black text-white tracking-tight mb-2">Applications</h2>
+      <p className="text-slate-400 font-medium text-sm tracking-wide">Drafts can be resumed where they were left. Submitted and decided cases open read-only.</p>
+      <div className="h-1.5 w-24 bg-blue-600 rounded-full mt-4 shadow-[0_0_15px_rgba(37,99,235,0.4)]" />
+    </div>
+
+    <div className="flex-1 glass shadow-2xl rounded-[3rem] p-10 border border-white/5 mb-8 space-y-4">
+      {applications.length === 0 ? (
+        <div className="flex flex-col items-center justify-center text-center py-20 text-slate-500">
+          <FolderOpen size={48} className="mb-6 text-slate-600" />
+          <p className="text-sm font-bold uppercase tracking-widest">No saved applications</p>
+        </div>
+      ) : applications.map(app => (
+        <div key={app.id} className="flex items-center justify-between gap-6 p-6 bg-white/5 border border-white/10 rounded-[2rem]">
+          <div className="flex items-center gap-5 min-w-0">
+            <span className={`w-44 shrink-0 text-center px-3 py-1 rounded-full border text-[10px] font-black uppercase tracking-widest ${STATUS_STYLES[app.status]}`}>{app.status.replace(/_/g, ' ')}</span>
+            <div className="min-w-0">
+              <div className="text-sm font-black text-white uppercase tracking-widest truncate">{app.applicant.name || 'Unnamed applicant'}</div>
+              <div className="text-[11px] text-slate-500 font-bold uppercase tracking-widest">
+                {app.id} · {app.applicant.loanType} · {app.applicant.loanAmount ? `$${Number(app.applicant.loanAmount).toLocaleString()}` : 'No amount'}
+                {app.assessment && ` · ${app.assessment.decision}`}
+              </div>
+            </div>
+          </div>
+          <div className="flex items-center gap-3 shrink-0">
+            <span className="text-[10px] font-black text-slate-600 uppercase tracking-[0.2em]">{new Date(app.updatedAt).toLocaleString()}</span>
+            {isEditable(app) && (
+              <button onClick={() => onDiscard(app)} className="p-3 text-slate-600 hover:text-rose-400 transition-all" title="Discard draft"><Trash2 size={16} /></button>
+            )}
+            <button onClick={() => onOpen(app)} className="px-5 py-3 bg-white/5 rounded-2xl text-[10px] font-black uppercase tracking-widest text-slate-300 hover:text-white hover:bg-white/10 transition-all flex items-center gap-2">
+              {isEditable(app) ? <><PencilLine size={14} /> Resume</> : <><Lock size={14} /> View</>}
+            </button>
+          </div>
+        </div>
+      ))}
+    </div>
+
+    <div className="flex justify-between items-center px-4">
+      <button onClick={onBack} className="text-slate-500 font-black text-xs tracking-[0.2em] flex items-center gap-2 hover:text-white transition-all group">
+        <ArrowLeft size={16} className="group-hover:-translate-x-1 transition-transform" /> BACK
+      </button>
+    </div>
+  </div>
+);
+
+export default ApplicationsView;
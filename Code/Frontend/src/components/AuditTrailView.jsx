@@ -0,0 +1,134 @@
+import React, { useState } from 'react';
+import { ArrowLeft, Fingerprint, Link2, RotateCcw, ShieldCheck, ShieldX, ChevronDown, ChevronRight } from 'lucide-react';
+import { verifyChain, verifyRecord } from '../audit/trail.js';
+
+const DECISION_TEXT = {
+  APPROVED: 'text-emerald-400',
+  REVIEW: 'text-amber-400',
+  REJECTED: 'text-rose-400',
+  ESCALATED: 'text-violet-400'
+};
+
+const STATUS_TEXT = { pass: 'text-emerald-400', warn: 'text-amber-400', fail: 'text-rose-400' };
+
+// A record is only verified under the exact policy it names; any other policy proves nothing.
+const Verdict = ({ result }) => {
+  if (result.unavailable || !result.policyMatches) {
+    return <span className="text-[10px] font-black text-slate-400 uppercase tracking-widest">Policy revision unavailable · not verified</span>;
+  }
+  if (result.reproduced) return <span className="text-[10px] font-black text-emerald-400 uppercase tracking-widest">Reproduced</span>;
+  return <span className="text-[10px] font-black text-rose-400 uppercase tracking-widest">Not reproducible: {result.differences.join(', ')}</span>;
+};
+
+const AuditTrailView = ({ records, resolvePolicy, onBack }) => {
+  const [chain, setChain] = useState(null);
+  const [results, setResults] = useState({});
+  const [expanded, setExpanded] = useState(null);
+
+  const checkChain = () => verifyChain(records).then(setChain);
+  // Re-runs under the policy the decision was made under; `resolvePolicy` gives null when
+  // that revision is not on record, and the record is then left unverified.
+  const rerun = async (record) => {
+    const policy = await resolvePolicy(record);
+    const result = policy ? await verifyRecord(record, policy) : { unavailable: true };
+    setResults(prev => ({ ...prev, [record.traceId]: result }));
+  };
+
+  return (
+    <div className="flex-1 flex flex-col max-w-5xl mx-auto w-full animate-in fade-in slide-in-from-bottom-6 duration-500">
+      <div className="mb-8">
+        <h2 className="text-4xl font-black text-white tracking-tight mb-2">Decision Audit Trail</h2>
+        <p className="text-slate-400 font-medium text-sm tracking-wide">Append-only, hash-chained decision records. Each trace ID is derived from the record's content and can be re-run against the engine.</p>
+        <div className="h-1.5 w-24 bg-blue-600 rounded-full mt-4 shadow-[0_0_15px_rgba(37,99,235,0.4)]" />
+      </div>
+
+      <div className="flex-1 glass shadow-2xl rounded-[3rem] p-10 border border-white/5 mb-8 space-y-6">
+        <div className="flex items-center justify-between gap-6">
+          <div className="text-xs font-black text-slate-400 uppercase tracking-widest">{records.length} record{records.length === 1 ? '' : 's'}</div>
+          <div className="flex items-center gap-4">
+            {chain && (
+              <span className={`flex items-center gap-2 text-[10px] font-black uppercase tracking-widest ${chain.valid ? 'text-emerald-400' : 'text-rose-400'}`}>
+                {chain.valid ? <ShieldCheck size={16} /> : <ShieldX size={16} />}
+                {chain.valid ? `Chain intact (${chain.checked} records)` : `${chain.problems.length} integrity problem${chain.problems.length === 1 ? '' : 's'}`}
+              </span>
+            )}
+            <button onClick={checkChain} disabled={!records.length} className="px-5 py-3 bg-blue-600 rounded-2xl text-[10px] font-black uppercase tracking-widest text-white hover:bg-blue-500 disabled:opacity-20 transition-all flex items-center gap-2">
+              <Link2 size={14} /> Verify Chain
+            </button>
+          </div>
+        </div>
+
+        {chain && !chain.valid && (
+          <ul className="space-y-2 p-6 bg-rose-500/5 border border-rose-500/20 rounded-3xl">
+            {chain.problems.map((p, i) => <li key={i} className="text-sm text-rose-400 font-semibold">#{p.sequence} {p.traceId}: {p.problem}</li>)}
+          </ul>
+        )}
+
+        {records.length === 0 ? (
+          <div className="flex flex-col items-center justify-center text-center py-20 text-slate-500">
+            <Fingerprint size={48} className="mb-6 text-slate-600" />
+            <p className="text-sm font-bold uppercase tracking-widest">No decisions recorded yet</p>
+          </div>
+        ) : [...records].reverse().map(record => (
+          <div key={record.traceId} className="p-6 bg-white/5 border border-white/10 rounded-[2rem] space-y-4">
+            <div className="flex items-center justify-between gap-6">
+              <button onClick={() => setExpanded(expanded === record.traceId ? null : record.traceId)} className="flex items-center gap-4 text-left min-w-0">
+                {expanded === record.traceId ? <ChevronDown size={16} className="text-slate-500" /> : <ChevronRight size={16} className="text-slate-500" />}
+                <div className="min-w-0">
+                  <div className="text-sm font-black text-white uppercase tracking-widest">
+                    #{record.sequence} · {record.traceId} · <span className={DECISION_TEXT[record.outcome.decision]}>{record.outcome.decision}</span>
+                  </div>
+                  <div className="text-[11px] text-slate-500 font-bold uppercase tracking-widest truncate">
+                    {record.subject.name || record.subject.applicantId || 'Unnamed applicant'} · {record.input.loanType} · {new Date(record.createdAt).toLocaleString()}
+                  </div>
+                </div>
+              </button>
+              <div className="flex items-center gap-4 shrink-0">
+                {results[record.traceId] && <Verdict result={results[record.traceId]} />}
+                <button onClick={() => rerun(record)} className="px-5 py-3 bg-white/5 rounded-2xl text-[10px] font-black uppercase tracking-widest text-slate-300 hover:text-white hover:bg-white/10 transition-all flex items-center gap-2">
+                  <RotateCcw size={14} /> Re-run
+                </button>
+              </div>
+            </div>
+
+            {expanded === record.traceId && (
+              <div className="space-y-4 pt-4 border-t border-white/5">
+                <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+                  {Object.entries(record.input).map(([k, v]) => (
+                    <div key={k} className="p-3 bg-black/30 rounded-2xl">
+                      <div className="text-[9px] font-black text-slate-600 uppercase tracking-widest">{k}</div>
+                      <div className="text-sm font-black text-slate-300 truncate">{v ?? '—'}</div>
+                    </div>
+                  ))}
+                </div>
+                <ul className="space-y-2">
+                  {record.checks.map(c => (
+                    <li key={c.id} className="flex items-center gap-4 text-sm font-semibold">
+                      <span className={`w-12 shrink-0 text-[10px] font-black uppercase tracking-widest ${STATUS_TEXT[c.status]}`}>{c.status}</span>
+                      <span className="text-slate-300 flex-1">{c.label}: {c.detail}</span>
+                      <span className="text-[10px] font-black text-slate-600 uppercase tracking-tighter">{c.ruleId}</span>
+                    </li>
+                  ))}
+                </ul>
+                <div className="text-[10px] font-bold text-slate-600 uppercase tracking-widest leading-relaxed break-all">
+                  <div>Policy: Lending Rules v{record.policy.versions.lending_rules} · Thresholds v{record.policy.versions.approval_thresholds} · Probability v{record.policy.versions.approval_probability} · Pricing v{record.policy.versions.product_pricing ?? '—'} · Products v{record.policy.versions.product_rules ?? '—'}</div>
+                  {Object.entries(record.policy.hashes).map(([k, h]) => <div key={k}>{k}: {h}</div>)}
+                  <div className="mt-2">Hash: {record.hash}</div>
+                  <div>Previous: {record.previousHash}</div>
+                </div>
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <div className="flex justify-between items-center px-4">
+        <button onClick={onBack} className="text-slate-500 font-black text-xs tracking-[0.2em] flex items-center gap-2 hover:text-white transition-all group">
+          <ArrowLeft size={16} className="group-hover:-translate-x-1 transition-transform" /> BACK
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default AuditTrailView;
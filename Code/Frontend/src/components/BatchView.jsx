@@ -0,0 +1,189 @@
+import React, { useMemo, useState } from 'react';
+import { ArrowLeft, ArrowUpDown, FileSpreadsheet, Search, Upload, AlertCircle, Scale } from 'lucide-react';
+import { partyLabel } from '../engine/parties.js';
+
+const DECISION_STYLES = {
+  APPROVED: 'bg-emerald-500/10 text-emerald-400 border-emerald-500/20',
+  REVIEW: 'bg-amber-500/10 text-amber-400 border-amber-500/20',
+  REJECTED: 'bg-rose-500/10 text-rose-400 border-rose-500/20',
+  ESCALATED: 'bg-violet-500/10 text-violet-400 border-violet-500/20'
+};
+
+const failedChecks = row => row.assessment.checks.filter(s => s.status === 'fail').map(s => s.label);
+
+const COLUMNS = [
+  { key: 'applicantId', label: 'Applicant', value: r => r.applicant.applicantId },
+  { key: 'loanType', label: 'Product', value: r => r.applicant.loanType },
+  { key: 'loanAmount', label: 'Amount', value: r => parseFloat(r.applicant.loanAmount), numeric: true },
+  { key: 'decision', label: 'Decision', value: r => r.assessment.decision },
+  { key: 'probability', label: 'Probability', value: r => r.assessment.probability ?? -1, numeric: true },
+  { key: 'dti', label: 'DTI', value: r => r.assessment.dti ?? -1, numeric: true },
+  { key: 'failed', label: 'Failed Checks', value: r => failedChecks(r).length, numeric: true }
+];
+
+const pct = v => v === null ? '—' : `${(v * 100).toFixed(0)}%`;
+
+const FairnessReport = ({ fairness }) => (
+  <div className="space-y-6 pt-4 border-t border-white/10">
+    <div className="flex items-center justify-between">
+      <div className="flex items-center gap-3 text-xs font-black text-slate-400 uppercase tracking-widest"><Scale size={18} className="text-indigo-400" /> Fairness Report</div>
+      <span className={`px-3 py-1 rounded-full border text-[10px] font-black tracking-widest ${fairness.anomalies.length ? DECISION_STYLES.REJECTED : DECISION_STYLES.APPROVED}`}>
+        {fairness.anomalies.length} counterfactual anomal{fairness.anomalies.length === 1 ? 'y' : 'ies'}
+      </span>
+    </div>
+    {fairness.anomalies.map((a, i) => (
+      <div key={i} className="text-sm text-rose-400 font-semibold">{a.applicantId}: {a.party && `${partyLabel(a.party)} `}{a.attribute} {a.from} → {a.to} changed the outcome to {a.decision}{a.probability !== null && ` at ${a.probability}%`}</div>
+    ))}
+    <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+      {fairness.report.map(d => (
+        <div key={d.dimension} className="p-6 bg-white/5 rounded-3xl border border-white/10">
+          <div className="text-[10px] font-black text-slate-500 uppercase tracking-widest mb-4">{d.label}</div>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-[10px] font-black text-slate-600 uppercase tracking-widest">
+                <th className="text-left pb-2">Group</th><th className="text-right pb-2">n</th><th className="text-right pb-2">Approved</th><th className="text-right pb-2">Ratio</th>
+              </tr>
+            </thead>
+            <tbody>
+              {d.groups.map(g => (
+                <tr key={g.group} className={g.flagged ? 'text-rose-400 font-black' : 'text-slate-300 font-semibold'}>
+                  <td className="py-1">{g.group}</td>
+                  <td className="py-1 text-right">{g.total}</td>
+                  <td className="py-1 text-right">{pct(g.approvalRate)}</td>
+                  <td className="py-1 text-right">{g.disparityRatio === null ? '—' : g.disparityRatio.toFixed(2)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ))}
+    </div>
+    <p className="text-[10px] font-bold text-slate-600 uppercase tracking-widest leading-relaxed">Ratio is each group's approval rate over the highest group's rate; values below 0.80 are highlighted for review. Escalated cases are excluded from rates.</p>
+  </div>
+);
+
+const BatchView = ({ batch, onImport, onOpen, onBack }) => {
+  const [sort, setSort] = useState({ key: 'applicantId', dir: 1 });
+  const [decisionFilter, setDecisionFilter] = useState('ALL');
+  const [query, setQuery] = useState('');
+
+  const rows = useMemo(() => {
+    if (!batch) return [];
+    const column = COLUMNS.find(c => c.key === sort.key);
+    const q = query.trim().toLowerCase();
+    return batch.rows
+      .filter(r => decisionFilter === 'ALL' || r.assessment.decision === decisionFilter)
+      .filter(r => !q || [r.applicant.applicantId, r.applicant.loanType, ...failedChecks(r)].some(v => v.toLowerCase().includes(q)))
+      .sort((a, b) => {
+        const x = column.value(a), y = column.value(b);
+        return (column.numeric ? x - y : String(x).localeCompare(String(y))) * sort.dir;
+      });
+  }, [batch, sort, decisionFilter, query]);
+
+  const counts = (batch?.rows || []).reduce((acc, r) => ({ ...acc, [r.assessment.decision]: (acc[r.assessment.decision] || 0) + 1 }), {});
+  const toggleSort = key => setSort(s => ({ key, dir: s.key === key ? -s.dir : 1 }));
+
+  return (
+    <div className="flex-1 flex flex-col max-w-7xl mx-auto w-full animate-in fade-in slide-in-from-bottom-6 duration-500">
+      <div className="mb-8 flex items-end justify-between gap-6">
+        <div>
+          <h2 className="text-4xl font-black text-white tracking-tight mb-2">Portfolio Batch Assessment</h2>
+          <p className="text-slate-400 font-medium text-sm tracking-wide">Upload an XLSX or CSV in the Base_Applicant_Dataset layout. Every row runs through the same policy engine.</p>
+          <div className="h-1.5 w-24 bg-blue-600 rounded-full mt-4 shadow-[0_0_15px_rgba(37,99,235,0.4)]" />
+        </div>
+        <label className="bg-blue-600 text-white px-10 py-5 rounded-[2rem] font-black text-sm tracking-widest uppercase flex items-center gap-3 shadow-xl shadow-blue-900/40 hover:bg-blue-500 transition-all cursor-pointer shrink-0">
+          <Upload size={18} /> Upload Sheet
+          <input
+            type="file"
+            accept=".xlsx,.xls,.csv"
+            className="hidden"
+            onChange={e => { if (e.target.files[0]) onImport(e.target.files[0]); e.target.value = ''; }}
+          />
+        </label>
+      </div>
+
+      <div className="flex-1 glass shadow-2xl rounded-[3rem] p-10 border border-white/5 mb-8 space-y-8">
+        {!batch ? (
+          <div className="flex flex-col items-center justify-center text-center py-20 text-slate-500">
+            <FileSpreadsheet size={48} className="mb-6 text-slate-600" />
+            <p className="text-sm font-bold uppercase tracking-widest">No portfolio loaded</p>
+          </div>
+        ) : (
+          <>
+            <div className="flex flex-wrap items-center justify-between gap-6">
+              <div className="flex items-center gap-3 text-xs font-black text-slate-400 uppercase tracking-widest">
+                <FileSpreadsheet size={18} className="text-blue-500" /> {batch.fileName}
+                <span className="text-slate-600">·</span> {batch.rows.length} applicants
+                {Object.keys(DECISION_STYLES).map(d => (
+                  <span key={d} className={`px-3 py-1 rounded-full border text-[10px] ${DECISION_STYLES[d]}`}>{d} {counts[d] || 0}</span>
+                ))}
+              </div>
+              <div className="flex items-center gap-4">
+                <div className="relative">
+                  <Search className="absolute left-4 top-1/2 -translate-y-1/2 text-slate-600 pointer-events-none" size={16} />
+                  <input className="input-base !py-3 !pl-11 !text-sm" value={query} onChange={e => setQuery(e.target.value)} placeholder="Filter ID, product, check" />
+                </div>
+                <select className="input-base !py-3 !text-sm appearance-none cursor-pointer" value={decisionFilter} onChange={e => setDecisionFilter(e.target.value)}>
+                  <option value="ALL">All decisions</option>
+                  <option value="APPROVED">Approved</option>
+                  <option value="REVIEW">Review</option>
+                  <option value="REJECTED">Rejected</option>
+                  <option value="ESCALATED">Escalated</option>
+                </select>
+              </div>
+            </div>
+
+            {(batch.error || batch.issues.length > 0) && (
+              <div className="p-6 bg-rose-500/5 border border-rose-500/20 rounded-3xl space-y-2">
+                {batch.error && <div className="text-xs font-black text-rose-400 uppercase tracking-widest flex items-center gap-2"><AlertCircle size={16} /> {batch.error}</div>}
+                {batch.issues.map((issue, i) => <div key={i} className="text-sm text-slate-400 font-mono">{issue}</div>)}
+              </div>
+            )}
+
+            {batch.rows.length > 0 && (
+              <div className="overflow-x-auto">
+                <table className="w-full text-left">
+                  <thead>
+                    <tr className="border-b border-white/10">
+                      {COLUMNS.map(c => (
+                        <th key={c.key} className="py-4 px-4">
+                          <button onClick={() => toggleSort(c.key)} className={`text-[10px] font-black uppercase tracking-widest flex items-center gap-2 ${sort.key === c.key ? 'text-blue-400' : 'text-slate-500 hover:text-white'}`}>
+                            {c.label} <ArrowUpDown size={12} />
+                          </button>
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {rows.map(r => (
+                      <tr key={r.applicant.applicantId} onClick={() => onOpen(r)} className="border-b border-white/5 hover:bg-white/5 cursor-pointer transition-all">
+                        <td className="py-4 px-4 font-black text-white">{r.applicant.applicantId}</td>
+                        <td className="py-4 px-4 text-slate-300 font-semibold">{r.applicant.loanType}</td>
+                        <td className="py-4 px-4 text-slate-300 font-semibold">${parseFloat(r.applicant.loanAmount).toLocaleString()}</td>
+                        <td className="py-4 px-4"><span className={`px-3 py-1 rounded-full border text-[10px] font-black tracking-widest ${DECISION_STYLES[r.assessment.decision]}`}>{r.assessment.decision}</span></td>
+                        <td className="py-4 px-4 font-black text-white">{r.assessment.probability === null ? '—' : `${r.assessment.probability}%`}</td>
+                        <td className="py-4 px-4 font-black text-white">{r.assessment.dti === null ? '—' : `${(r.assessment.dti * 100).toFixed(1)}%`}</td>
+                        <td className="py-4 px-4 text-sm text-slate-400">{failedChecks(r).join(', ') || '—'}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                {rows.length === 0 && <p className="text-center py-10 text-xs font-bold text-slate-600 uppercase tracking-widest">No applicants match the current filter</p>}
+              </div>
+            )}
+
+            {batch.fairness && <FairnessReport fairness={batch.fairness} />}
+          </>
+        )}
+      </div>
+
+      <div className="flex justify-between items-center px-4">
+        <button onClick={onBack} className="text-slate-500 font-black text-xs tracking-[0.2em] flex items-center gap-2 hover:text-white transition-all group">
+          <ArrowLeft size={16} className="group-hover:-translate-x-1 transition-transform" /> BACK
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default BatchView;
@@ -0,0 +1,378 @@
+import React, { useState } from 'react';
+import { ArrowLeft, AlertCircle, Inbox, ShieldAlert, Scale, FileText, Gavel, UserCheck, ChevronDown, ChevronRight, RefreshCw } from 'lucide-react';
+import {
+  CASE_STATUS, DOCUMENT_TYPES, OFFICER_OUTCOMES, REASON_CODES, caseApplicant, caseAssessment, correctableFields, correctedApplicant,
+  hardFailures, isOpen, needsReassessment, reassessCase, recordOutcome, requestDocuments, signOff
+} from '../officer/review.js';
+import { productLabel } from '../policy/productRules.js';
+
+const KIND_STYLES = {
+  missing: 'bg-slate-500/10 text-slate-300 border-slate-500/20',
+  invalid: 'bg-rose-500/10 text-rose-400 border-rose-500/20',
+  contradictory: 'bg-violet-500/10 text-violet-400 border-violet-500/20'
+};
+
+const DECISION_STYLES = {
+  APPROVED: 'bg-emerald-500/10 text-emerald-400 border-emerald-500/20',
+  REVIEW: 'bg-amber-500/10 text-amber-400 border-amber-500/20',
+  REJECTED: 'bg-rose-500/10 text-rose-400 border-rose-500/20',
+  ESCALATED: 'bg-violet-500/10 text-violet-400 border-violet-500/20'
+};
+
+const CHECK_STYLES = {
+  pass: 'bg-emerald-500/10 text-emerald-400 border-emerald-500/20',
+  warn: 'bg-amber-500/10 text-amber-400 border-amber-500/20',
+  fail: 'bg-rose-500/10 text-rose-400 border-rose-500/20'
+};
+
+const STATUS_LABELS = {
+  PENDING: 'Awaiting officer',
+  DOCUMENTS_REQUESTED: 'Documents requested',
+  AWAITING_SIGN_OFF: 'Awaiting second sign-off',
+  CLOSED: 'Closed'
+};
+
+const ACTION_LABELS = {
+  DOCUMENTS_REQUESTED: 'Requested documents',
+  REASSESSED: 'Re-assessed on corrected data',
+  OUTCOME_PROPOSED: 'Proposed an override for sign-off',
+  OUTCOME_RECORDED: 'Recorded the final outcome',
+  SIGNED_OFF: 'Signed off the override',
+  SIGN_OFF_DECLINED: 'Declined the override'
+};
+
+const FILTERS = [
+  { id: 'open', label: 'Open', match: c => c.status === CASE_STATUS.PENDING || c.status === CASE_STATUS.DOCUMENTS_REQUESTED },
+  { id: 'sign-off', label: 'Sign-off', match: c => c.status === CASE_STATUS.AWAITING_SIGN_OFF },
+  { id: 'closed', label: 'Closed', match: c => !isOpen(c) }
+];
+
+const label = 'text-[10px] font-black text-slate-500 uppercase tracking-widest';
+const field = 'input-base !py-3 !px-4 !text-sm !rounded-xl';
+const reasonLabel = code => REASON_CODES.find(r => r.code === code)?.label || code;
+
+const Badge = ({ className, children }) => (
+  <span className={`px-3 py-1 rounded-full border text-[10px] font-black uppercase tracking-widest whitespace-nowrap ${className}`}>{children}</span>
+);
+
+const Panel = ({ title, icon, children }) => (
+  <div className="p-6 bg-black/30 rounded-[2rem] border border-white/5 space-y-4">
+    <div className="text-[11px] font-black text-slate-400 uppercase tracking-widest flex items-center gap-2">{icon} {title}</div>
+    {children}
+  </div>
+);
+
+const ErrorBox = ({ error }) => (
+  <div className="p-5 bg-rose-500/5 border border-rose-500/20 rounded-2xl space-y-1">
+    <div className="text-xs font-black text-rose-400 uppercase tracking-widest flex items-center gap-2"><AlertCircle size={14} /> {error.message}</div>
+    {(error.issues || []).map((issue, i) => <div key={i} className="text-sm text-slate-400 font-mono">{issue}</div>)}
+  </div>
+);
+
+const Checks = ({ assessment }) => (
+  <>
+    <ul className="space-y-2">
+      {assessment.checks.map(c => (
+        <li key={c.id} className="flex items-start gap-4 text-sm text-slate-300 font-semibold">
+          <Badge className={`w-16 text-center ${CHECK_STYLES[c.status]}`}>{c.status}</Badge>
+          <span><span className="text-white">{c.label}</span>: {c.detail}<span className="block text-[10px] text-slate-600 font-mono">{c.ruleId}</span></span>
+        </li>
+      ))}
+    </ul>
+    {assessment.reasons.length > 0 && (
+      <ul className="space-y-2 pt-2">
+        {assessment.reasons.map((r, i) => (
+          <li key={i} className="flex items-center gap-4 text-sm text-slate-300 font-semibold">
+            <span className={`w-32 shrink-0 text-center px-3 py-1 rounded-full border text-[10px] font-black uppercase tracking-widest ${KIND_STYLES[r.kind]}`}>{r.kind}</span>
+            {r.message}
+          </li>
+        ))}
+      </ul>
+    )}
+  </>
+);
+
+const Outcome = ({ outcome }) => (
+  <div className="space-y-2 text-sm text-slate-300 font-semibold">
+    <div className="flex flex-wrap items-center gap-3">
+      <Badge className={DECISION_STYLES[outcome.decision]}>{outcome.decision}</Badge>
+      <span>{reasonLabel(outcome.reasonCode)}</span>
+    </div>
+    <p className="text-slate-400">"{outcome.justification}"</p>
+    <div className={label}>{outcome.officer.name} · {new Date(outcome.at).toLocaleString()}</div>
+    {outcome.overrides.length > 0 && <div className="text-[11px] text-rose-400 font-bold">Overrides {outcome.overrides.join(', ')}</div>}
+    {outcome.signOff && <div className={label}>Signed off by {outcome.signOff.officer.name} · {new Date(outcome.signOff.at).toLocaleString()}{outcome.signOff.note && ` · "${outcome.signOff.note}"`}</div>}
+  </div>
+);
+
+const DocumentRequestForm = ({ onSubmit }) => {
+  const [documents, setDocuments] = useState([]);
+  const [note, setNote] = useState('');
+  const toggle = doc => setDocuments(d => d.includes(doc) ? d.filter(x => x !== doc) : [...d, doc]);
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+        {DOCUMENT_TYPES.map(doc => (
+          <label key={doc} className="flex items-center gap-3 text-sm text-slate-300 font-semibold cursor-pointer">
+            <input type="checkbox" className="accent-blue-500" checked={documents.includes(doc)} onChange={() => toggle(doc)} /> {doc}
+          </label>
+        ))}
+      </div>
+      <input className={field} value={note} onChange={e => setNote(e.target.value)} placeholder="Anything else the applicant must provide" />
+      <button onClick={() => onSubmit({ documents, note })} className="px-5 py-3 bg-white/5 rounded-2xl text-[10px] font-black uppercase tracking-widest text-slate-300 hover:text-white hover:bg-white/10 transition-all flex items-center gap-2">
+        <FileText size={14} /> Request Documents
+      </button>
+    </div>
+  );
+};
+
+// One input per escalated field, starting from the value last assessed.
+const ReassessForm = ({ reviewCase, onSubmit }) => {
+  const fields = correctableFields(caseAssessment(reviewCase));
+  const current = caseApplicant(reviewCase);
+  const valueAt = path => path.split(/[.[\]]+/).filter(Boolean).reduce((v, k) => v?.[k], current) ?? '';
+  const [corrections, setCorrections] = useState(() => Object.fromEntries(fields.map(f => [f, valueAt(f)])));
+  const [note, setNote] = useState('');
+  return (
+    <div className="space-y-4">
+      {fields.length === 0
+        ? <p className="text-sm text-slate-400 font-semibold">None of the escalated fields can be corrected here; re-running verification may still resolve the case.</p>
+        : (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {fields.map(f => (
+              <label key={f} className="space-y-2">
+                <span className={label}>{f}</span>
+                <input className={field} value={corrections[f]} onChange={e => setCorrections(c => ({ ...c, [f]: e.target.value }))} />
+              </label>
+            ))}
+          </div>
+        )}
+      <input className={field} value={note} onChange={e => setNote(e.target.value)} placeholder="Documents the corrected values come from" />
+      <button onClick={() => onSubmit({ corrections, note })} className="px-5 py-3 bg-white/5 rounded-2xl text-[10px] font-black uppercase tracking-widest text-slate-300 hover:text-white hover:bg-white/10 transition-all flex items-center gap-2">
+        <RefreshCw size={14} /> Re-assess
+      </button>
+    </div>
+  );
+};
+
+const OutcomeForm = ({ reviewCase, onSubmit }) => {
+  const [decision, setDecision] = useState('APPROVED');
+  const [reasonCode, setReasonCode] = useState('');
+  const [justification, setJustification] = useState('');
+  const blocked = decision === 'APPROVED' && needsReassessment(reviewCase);
+  const failures = decision === 'APPROVED' ? hardFailures(caseAssessment(reviewCase)) : [];
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <select className={field} value={decision} onChange={e => { setDecision(e.target.value); setReasonCode(''); }}>
+          {OFFICER_OUTCOMES.map(o => <option key={o} value={o}>{o}</option>)}
+        </select>
+        <select className={field} value={reasonCode} onChange={e => setReasonCode(e.target.value)}>
+          <option value="">Reason code…</option>
+          {REASON_CODES.filter(r => r.outcome === decision).map(r => <option key={r.code} value={r.code}>{r.code}: {r.label}</option>)}
+        </select>
+      </div>
+      <textarea className={`${field} min-h-24`} value={justification} onChange={e => setJustification(e.target.value)} placeholder="Justification, citing the evidence relied on" />
+      {blocked && (
+        <div className="p-4 bg-violet-500/5 border border-violet-500/20 rounded-2xl text-[11px] text-violet-300 font-bold leading-relaxed">
+          An ESCALATED case was never assessed against the lending policy. Re-assess it on the corrected data before approving.
+        </div>
+      )}
+      {!blocked && failures.length > 0 && (
+        <div className="p-4 bg-rose-500/5 border border-rose-500/20 rounded-2xl text-[11px] text-rose-300 font-bold leading-relaxed">
+          Approving overrides {failures.length} failed check{failures.length === 1 ? '' : 's'} ({failures.map(c => c.label).join(', ')}). The outcome takes effect only after a second officer signs off.
+        </div>
+      )}
+      <button onClick={() => onSubmit({ decision, reasonCode, justification })} disabled={blocked} className="px-5 py-3 bg-blue-600 rounded-2xl text-[10px] font-black uppercase tracking-widest text-white hover:bg-blue-500 transition-all flex items-center gap-2 disabled:opacity-30">
+        <Gavel size={14} /> {failures.length ? 'Propose Outcome' : 'Record Outcome'}
+      </button>
+    </div>
+  );
+};
+
+const SignOffForm = ({ onSubmit }) => {
+  const [note, setNote] = useState('');
+  return (
+    <div className="space-y-4">
+      <input className={field} value={note} onChange={e => setNote(e.target.value)} placeholder="Sign-off note (required to decline)" />
+      <div className="flex gap-3">
+        <button onClick={() => onSubmit({ approve: true, note })} className="px-5 py-3 bg-emerald-600 rounded-2xl text-[10px] font-black uppercase tracking-widest text-white hover:bg-emerald-500 transition-all flex items-center gap-2"><UserCheck size={14} /> Sign Off</button>
+        <button onClick={() => onSubmit({ approve: false, note })} className="px-5 py-3 bg-white/5 rounded-2xl text-[10px] font-black uppercase tracking-widest text-rose-400 hover:bg-rose-500/10 transition-all">Decline</button>
+      </div>
+    </div>
+  );
+};
+
+const CaseDetail = ({ reviewCase, user, onUpdate, onReassess }) => {
+  const [error, setError] = useState(null);
+  const [reassessing, setReassessing] = useState(false);
+  const { assessment } = reviewCase;
+
+  const act = (fn, input) => {
+    setError(null);
+    try {
+      onUpdate(fn(reviewCase, { ...input, officer: user, at: new Date().toISOString() }));
+    } catch (err) {
+      setError(err);
+    }
+  };
+
+  const reassess = async ({ corrections, note }) => {
+    setError(null);
+    setReassessing(true);
+    try {
+      const decided = await onReassess(reviewCase, correctedApplicant(caseApplicant(reviewCase), corrections));
+      onUpdate(reassessCase(reviewCase, { ...decided, note, officer: user, at: new Date().toISOString() }));
+    } catch (err) {
+      setError(err);
+    }
+    setReassessing(false);
+  };
+
+  return (
+    <div className="space-y-5 pt-2">
+      <Panel title="Compliance Checkpoints" icon={<Scale size={16} />}>
+        <Checks assessment={assessment} />
+      </Panel>
+
+      {reviewCase.reassessment && (
+        <Panel title="Re-assessment" icon={<RefreshCw size={16} />}>
+          <div className="flex flex-wrap items-center gap-3">
+            <Badge className={DECISION_STYLES[reviewCase.reassessment.assessment.decision]}>{reviewCase.reassessment.assessment.decision}</Badge>
+            <span className={label}>{reviewCase.reassessment.officer.name} · {new Date(reviewCase.reassessment.at).toLocaleString()}</span>
+          </div>
+          <Checks assessment={reviewCase.reassessment.assessment} />
+        </Panel>
+      )}
+
+      {reviewCase.actions.length > 0 && (
+        <Panel title="History" icon={<FileText size={16} />}>
+          <ul className="space-y-2">
+            {reviewCase.actions.map((a, i) => (
+              <li key={i} className="text-sm text-slate-300 font-semibold">
+                <span className="text-white">{a.officer.name}</span> · {ACTION_LABELS[a.type]}
+                {a.documents?.length > 0 && `: ${a.documents.join(', ')}`}
+                {a.decision && `: ${a.decision} (${a.reasonCode})`}
+                {a.result && `: ${a.result}`}
+                {a.note && ` · "${a.note}"`}
+                <span className="block text-[10px] text-slate-600 font-bold uppercase tracking-widest">{new Date(a.at).toLocaleString()}</span>
+              </li>
+            ))}
+          </ul>
+        </Panel>
+      )}
+
+      {reviewCase.outcome && (
+        <Panel title="Officer Outcome" icon={<Gavel size={16} />}>
+          <Outcome outcome={reviewCase.outcome} />
+          <div className={label}>Recorded alongside the automated {assessment.decision} decision, which is unchanged</div>
+        </Panel>
+      )}
+
+      {reviewCase.proposal && (
+        <Panel title="Proposed Override" icon={<Gavel size={16} />}>
+          <Outcome outcome={reviewCase.proposal} />
+          {!user.canReview ? null : user.id === reviewCase.proposal.officer.id
+            ? <div className={label}>Waiting for a second officer to sign off</div>
+            : <SignOffForm onSubmit={input => act(signOff, input)} />}
+        </Panel>
+      )}
+
+      {isOpen(reviewCase) && !user.canReview && (
+        <div className={label}>Switch to a credit officer to act on this case</div>
+      )}
+
+      {user.canReview && assessment.decision === 'ESCALATED' && (reviewCase.status === CASE_STATUS.PENDING || reviewCase.status === CASE_STATUS.DOCUMENTS_REQUESTED) && (
+        <Panel title="Re-assess on Corrected Data" icon={<RefreshCw size={16} />}>
+          {reassessing ? <div className={label}>Re-assessing…</div> : <ReassessForm reviewCase={reviewCase} onSubmit={reassess} />}
+        </Panel>
+      )}
+
+      {user.canReview && (reviewCase.status === CASE_STATUS.PENDING || reviewCase.status === CASE_STATUS.DOCUMENTS_REQUESTED) && (
+        <div className="grid grid-cols-1 xl:grid-cols-2 gap-5">
+          <Panel title="Request More Documents" icon={<FileText size={16} />}>
+            <DocumentRequestForm onSubmit={input => act(requestDocuments, input)} />
+          </Panel>
+          <Panel title="Record Final Outcome" icon={<Gavel size={16} />}>
+            <OutcomeForm reviewCase={reviewCase} onSubmit={input => act(recordOutcome, input)} />
+          </Panel>
+        </div>
+      )}
+
+      {error && <ErrorBox error={error} />}
+    </div>
+  );
+};
+
+const OfficerQueueView = ({ queue, user, users, onSwitchUser, onUpdate, onReassess, onBack }) => {
+  const [filter, setFilter] = useState('open');
+  const [expanded, setExpanded] = useState(null);
+  const cases = queue.filter(FILTERS.find(f => f.id === filter).match);
+
+  return (
+    <div className="flex-1 flex flex-col max-w-5xl mx-auto w-full animate-in fade-in slide-in-from-bottom-6 duration-500">
+      <div className="mb-8 flex flex-wrap items-end justify-between gap-6">
+        <div>
+          <h2 className="text-4xl font-black text-white tracking-tight mb-2">Officer Review Workspace</h2>
+          <p className="text-slate-400 font-medium text-sm tracking-wide">REVIEW and ESCALATED decisions, and REJECTED decisions referred by an officer. Officer outcomes are recorded next to the automated decision, never in place of it.</p>
+          <div className="h-1.5 w-24 bg-violet-600 rounded-full mt-4 shadow-[0_0_15px_rgba(124,58,237,0.4)]" />
+        </div>
+        <label className="space-y-2">
+          <span className={label}>Acting as</span>
+          <select className={field} value={user.id} onChange={e => onSwitchUser(users.find(u => u.id === e.target.value))}>
+            {users.map(u => <option key={u.id} value={u.id}>{u.name} ({u.role})</option>)}
+          </select>
+        </label>
+      </div>
+
+      <div className="flex gap-3 mb-6">
+        {FILTERS.map(f => (
+          <button key={f.id} onClick={() => setFilter(f.id)} className={`px-5 py-3 rounded-2xl text-[10px] font-black uppercase tracking-widest transition-all ${filter === f.id ? 'bg-violet-600 text-white' : 'bg-white/5 text-slate-400 hover:text-white'}`}>
+            {f.label} ({queue.filter(f.match).length})
+          </button>
+        ))}
+      </div>
+
+      <div className="flex-1 glass shadow-2xl rounded-[3rem] p-10 border border-white/5 mb-8 space-y-6">
+        {cases.length === 0 ? (
+          <div className="flex flex-col items-center justify-center text-center py-20 text-slate-500">
+            <Inbox size={48} className="mb-6 text-slate-600" />
+            <p className="text-sm font-bold uppercase tracking-widest">No {FILTERS.find(f => f.id === filter).label.toLowerCase()} cases</p>
+          </div>
+        ) : cases.map(c => (
+          <div key={c.id} className="p-8 bg-white/5 border border-white/10 rounded-[2.5rem] space-y-5">
+            <button onClick={() => setExpanded(expanded === c.id ? null : c.id)} className="w-full flex items-center justify-between gap-6 text-left">
+              <div className="flex items-center gap-4 min-w-0">
+                <div className="w-12 h-12 shrink-0 rounded-2xl bg-violet-500/10 text-violet-400 flex items-center justify-center"><ShieldAlert size={24} /></div>
+                <div className="min-w-0">
+                  <div className="text-sm font-black text-white uppercase tracking-widest truncate">{c.applicant.name || c.applicantId || 'Unnamed applicant'}</div>
+                  <div className="text-[11px] text-slate-500 font-bold uppercase tracking-widest">
+                    {c.applicant.loanType ? productLabel(c.applicant.loanType) : 'No product'} · {c.applicant.loanAmount ? `$${Number(c.applicant.loanAmount).toLocaleString()}` : 'No amount'}
+                    {hardFailures(caseAssessment(c)).length > 0 && ` · ${hardFailures(caseAssessment(c)).length} failed check${hardFailures(caseAssessment(c)).length === 1 ? '' : 's'}`}
+                  </div>
+                </div>
+              </div>
+              <div className="flex items-center gap-3 shrink-0">
+                <Badge className={DECISION_STYLES[c.assessment.decision]}>{c.assessment.decision}</Badge>
+                {c.reassessment && <Badge className={DECISION_STYLES[c.reassessment.assessment.decision]}>Re-assessed: {c.reassessment.assessment.decision}</Badge>}
+                {c.outcome && <Badge className={DECISION_STYLES[c.outcome.decision]}>Officer: {c.outcome.decision}</Badge>}
+                <Badge className="bg-white/5 text-slate-400 border-white/10">{STATUS_LABELS[c.status]}</Badge>
+                {expanded === c.id ? <ChevronDown size={18} className="text-slate-500" /> : <ChevronRight size={18} className="text-slate-500" />}
+              </div>
+            </button>
+            <div className="text-[10px] font-black text-slate-600 uppercase tracking-[0.2em]">Trace {c.id} · {new Date(c.receivedAt).toLocaleString()}{c.referredBy && ` · Referred by ${c.referredBy.name}`}</div>
+            {expanded === c.id && <CaseDetail key={`${c.id}-${c.status}-${c.actions.length}`} reviewCase={c} user={user} onUpdate={onUpdate} onReassess={onReassess} />}
+          </div>
+        ))}
+      </div>
+
+      <div className="flex justify-between items-center px-4">
+        <button onClick={onBack} className="text-slate-500 font-black text-xs tracking-[0.2em] flex items-center gap-2 hover:text-white transition-all group">
+          <ArrowLeft size={16} className="group-hover:-translate-x-1 transition-transform" /> BACK
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default OfficerQueueView;
@@ -0,0 +1,358 @@
+import React, { useMemo, useState } from 'react';
+import { ArrowLeft, AlertCircle, Plus, Trash2, Save, Upload, Rocket, History, GitCompare } from 'lucide-react';
+import { compileRevision, draftFromPolicy } from '../policy/revisions.js';
+import { impactPreview } from '../policy/impact.js';
+import { policyFromRecord } from '../policy/store.js';
+import { importApplicants } from '../batch/importApplicants.js';
+import { productLabel } from '../policy/productRules.js';
+import { CREDIT_BAND_DECISIONS, EMI_RATIO_DECISIONS } from '../policy/schema.js';
+import { CREDIT_SCORE_BASES } from '../engine/parties.js';
+
+const DECISION_STYLES = {
+  APPROVED: 'bg-emerald-500/10 text-emerald-400 border-emerald-500/20',
+  REVIEW: 'bg-amber-500/10 text-amber-400 border-amber-500/20',
+  REJECTED: 'bg-rose-500/10 text-rose-400 border-rose-500/20',
+  ESCALATED: 'bg-violet-500/10 text-violet-400 border-violet-500/20'
+};
+
+const VERSION_KEYS = ['lending_rules', 'approval_thresholds', 'product_rules', 'product_pricing'];
+
+const num = v => (v === '' ? null : Number(v));
+const cell = 'input-base !py-2 !px-3 !text-sm !rounded-xl';
+const label = 'text-[10px] font-black text-slate-500 uppercase tracking-widest';
+
+const Section = ({ title, children }) => (
+  <div className="p-8 bg-white/5 rounded-[2.5rem] border border-white/10 space-y-6">
+    <div className="text-xs font-black text-slate-400 uppercase tracking-widest">{title}</div>
+    {children}
+  </div>
+);
+
+const Decision = ({ result }) => (
+  <span className={`px-3 py-1 rounded-full border text-[10px] font-black tracking-widest ${DECISION_STYLES[result.decision]}`}>
+    {result.decision}{result.probability !== null && ` ${result.probability}%`}
+  </span>
+);
+
+// Routing is kept as { employmentType: { requested: routed } }; the editor works on rows.
+const routeRows = routing => Object.entries(routing || {}).flatMap(([type, routes]) => Object.entries(routes).map(([from, to]) => ({ type, from, to })));
+const routingFrom = rows => rows.reduce((acc, r) => ({ ...acc, [r.type]: { ...acc[r.type], [r.from]: r.to } }), {});
+
+// A band table whose last band is open-ended (or starts from 0); new bands go in before it.
+const BandTable = ({ bands, keyField, keyLabel, lastLabel, onEdit }) => (
+  <div className="space-y-3">
+    <table className="w-full text-left">
+      <thead><tr className={label}><th className="pb-2">{keyLabel}</th><th className="pb-2">Decision</th><th /></tr></thead>
+      <tbody>
+        {bands.map((b, i) => (
+          <tr key={i}>
+            <td className="py-1 pr-2">
+              {i === bands.length - 1
+                ? <div className="text-sm font-black text-white py-2">{lastLabel}</div>
+                : <input type="number" className={cell} value={b[keyField] ?? ''} onChange={e => onEdit(list => { list[i][keyField] = num(e.target.value); })} />}
+            </td>
+            <td className="py-1 pr-2"><select className={cell} value={b.decision} onChange={e => onEdit(list => { list[i].decision = e.target.value; })}>{CREDIT_BAND_DECISIONS.map(o => <option key={o}>{o}</option>)}</select></td>
+            <td className="py-1">
+              {i < bands.length - 1 && <button onClick={() => onEdit(list => { list.splice(i, 1); })} className="p-2 text-slate-600 hover:text-rose-400 transition-all" title="Remove band"><Trash2 size={16} /></button>}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+    <button onClick={() => onEdit(list => { list.splice(list.length - 1, 0, { [keyField]: null, decision: 'review' }); })} className="px-4 py-2 bg-white/5 rounded-xl text-[10px] font-black uppercase tracking-widest text-slate-400 hover:text-white hover:bg-white/10 transition-all flex items-center gap-2">
+      <Plus size={12} /> Add band
+    </button>
+  </div>
+);
+
+const versionLine = versions => VERSION_KEYS.map(k => `${k.replace(/_/g, ' ')} v${versions[k]}`).join(' · ');
+
+const PolicyEditorView = ({ policy, records, applicants, onSave, onPublish, onBack }) => {
+  const [draft, setDraft] = useState(() => draftFromPolicy(policy));
+  const [author, setAuthor] = useState('');
+  const [note, setNote] = useState('');
+  const [error, setError] = useState(null);
+  const [candidate, setCandidate] = useState(null);
+  const [uploaded, setUploaded] = useState(null);
+
+  const edit = fn => setDraft(d => { const next = structuredClone(d); fn(next); return next; });
+  const rules = draft.lendingRules;
+  const thresholds = draft.approvalThresholds.thresholds;
+  const routes = routeRows(rules.product_routing);
+  const employmentTypes = Object.keys(rules.employment_stability);
+  const loanTypes = draft.products.map(p => p.loan_type).filter(Boolean);
+
+  const editRoutes = fn => edit(d => {
+    const rows = routeRows(d.lendingRules.product_routing);
+    fn(rows);
+    d.lendingRules.product_routing = routingFrom(rows);
+  });
+
+  // The review band always spans reject..approve, so it is derived rather than edited.
+  const setThreshold = (key, value) => edit(d => {
+    const t = d.approvalThresholds.thresholds;
+    t[key] = num(value);
+    t.review_if_probability_between = [t.reject_if_probability_below, t.approve_if_probability_above];
+  });
+
+  const pool = useMemo(() => [...applicants, ...(uploaded?.applicants || [])], [applicants, uploaded]);
+  const preview = useMemo(() => candidate && impactPreview(pool, policy, candidate.policy), [candidate, pool, policy]);
+
+  const select = async (record) => {
+    setError(null);
+    try {
+      setCandidate({ record, policy: await policyFromRecord(record) });
+    } catch (err) {
+      setError(err);
+    }
+  };
+
+  const save = async () => {
+    setError(null);
+    try {
+      const taken = Object.fromEntries(VERSION_KEYS.map(k => [k, records.map(r => r.versions[k])]));
+      const compiled = compileRevision({ base: policy, draft, author, note, at: new Date().toISOString(), taken });
+      setCandidate({ record: await onSave(compiled), policy: compiled.policy });
+    } catch (err) {
+      setError(err);
+    }
+  };
+
+  const upload = async (file) => {
+    try {
+      const { applicants: imported, issues } = importApplicants(await file.arrayBuffer(), file.name);
+      setUploaded({ fileName: file.name, applicants: imported, issues });
+    } catch (err) {
+      setUploaded({ fileName: file.name, applicants: [], issues: [err.message, ...(err.issues || [])] });
+    }
+  };
+
+  return (
+    <div className="flex-1 flex flex-col max-w-7xl mx-auto w-full animate-in fade-in slide-in-from-bottom-6 duration-500">
+      <div className="mb-8">
+        <h2 className="text-4xl font-black text-white tracking-tight mb-2">Policy Editor</h2>
+        <p className="text-slate-400 font-medium text-sm tracking-wide">Edits are saved as new dataset versions and checked against the dataset schemas. Preview the impact on stored and uploaded applicants before publishing.</p>
+        <p className="text-[10px] font-bold text-slate-600 tracking-[0.3em] uppercase mt-3">Active: {versionLine(policy.versions)} · Policy {policy.id}</p>
+        <div className="h-1.5 w-24 bg-blue-600 rounded-full mt-4 shadow-[0_0_15px_rgba(37,99,235,0.4)]" />
+      </div>
+
+      <div className="flex-1 glass shadow-2xl rounded-[3rem] p-10 border border-white/5 mb-8 space-y-8">
+        <Section title="Lending Rules">
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            <label className="space-y-2"><span className={label}>Minimum age</span><input type="number" className={cell} value={rules.age_limits.min ?? ''} onChange={e => edit(d => { d.lendingRules.age_limits.min = num(e.target.value); })} /></label>
+            <label className="space-y-2"><span className={label}>Maximum age</span><input type="number" className={cell} value={rules.age_limits.max ?? ''} onChange={e => edit(d => { d.lendingRules.age_limits.max = num(e.target.value); })} /></label>
+            {rules.credit_score_range && (
+              <>
+                <label className="space-y-2"><span className={label}>Lowest credit score</span><input type="number" className={cell} value={rules.credit_score_range.min ?? ''} onChange={e => edit(d => { d.lendingRules.credit_score_range.min = num(e.target.value); })} /></label>
+                <label className="space-y-2"><span className={label}>Highest credit score</span><input type="number" className={cell} value={rules.credit_score_range.max ?? ''} onChange={e => edit(d => { d.lendingRules.credit_score_range.max = num(e.target.value); })} /></label>
+              </>
+            )}
+            {rules.age_limits.max_at_tenure_end !== undefined && (
+              <label className="space-y-2"><span className={label}>Max age at tenure end</span><input type="number" className={cell} value={rules.age_limits.max_at_tenure_end ?? ''} onChange={e => edit(d => { d.lendingRules.age_limits.max_at_tenure_end = num(e.target.value); })} /></label>
+            )}
+            {rules.joint_applications && (
+              <>
+                <label className="space-y-2"><span className={label}>Max co-applicants</span><input type="number" className={cell} value={rules.joint_applications.max_co_applicants ?? ''} onChange={e => edit(d => { d.lendingRules.joint_applications.max_co_applicants = num(e.target.value); })} /></label>
+                <label className="space-y-2"><span className={label}>Joint credit score</span><select className={cell} value={rules.joint_applications.credit_score_basis} onChange={e => edit(d => { d.lendingRules.joint_applications.credit_score_basis = e.target.value; })}>{CREDIT_SCORE_BASES.map(o => <option key={o}>{o}</option>)}</select></label>
+              </>
+            )}
+            {rules.verification && (
+              <>
+                <label className="space-y-2"><span className={label}>Verified score tolerance</span><input type="number" className={cell} value={rules.verification.credit_score_tolerance_points ?? ''} onChange={e => edit(d => { d.lendingRules.verification.credit_score_tolerance_points = num(e.target.value); })} /></label>
+                <label className="space-y-2"><span className={label}>Verified income tolerance</span><input type="number" step="0.01" className={cell} value={rules.verification.income_tolerance_ratio ?? ''} onChange={e => edit(d => { d.lendingRules.verification.income_tolerance_ratio = num(e.target.value); })} /></label>
+              </>
+            )}
+            {Object.keys(rules.loan_to_income_ratio).map(family => (
+              <label key={family} className="space-y-2"><span className={label}>LTI cap · {family}</span><input type="number" className={cell} value={rules.loan_to_income_ratio[family] ?? ''} onChange={e => edit(d => { d.lendingRules.loan_to_income_ratio[family] = num(e.target.value); })} /></label>
+            ))}
+          </div>
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <table className="w-full text-left">
+              <thead><tr className={label}><th className="pb-2">Credit band</th><th className="pb-2">Min score</th><th className="pb-2">Max score</th><th className="pb-2">Decision</th></tr></thead>
+              <tbody>
+                {rules.credit_score_bands.map((b, i) => (
+                  <tr key={b.band}>
+                    <td className="py-1 pr-2 text-sm font-black text-white">{b.band}</td>
+                    <td className="py-1 pr-2"><input type="number" className={cell} value={b.min_score ?? ''} placeholder="open" onChange={e => edit(d => { d.lendingRules.credit_score_bands[i].min_score = num(e.target.value); })} /></td>
+                    <td className="py-1 pr-2"><input type="number" className={cell} value={b.max_score ?? ''} placeholder="open" onChange={e => edit(d => { d.lendingRules.credit_score_bands[i].max_score = num(e.target.value); })} /></td>
+                    <td className="py-1"><select className={cell} value={b.decision} onChange={e => edit(d => { d.lendingRules.credit_score_bands[i].decision = e.target.value; })}>{CREDIT_BAND_DECISIONS.map(o => <option key={o}>{o}</option>)}</select></td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <table className="w-full text-left">
+              <thead><tr className={label}><th className="pb-2">EMI / income category</th><th className="pb-2">Threshold</th><th className="pb-2">Decision</th></tr></thead>
+              <tbody>
+                {rules.emi_income_ratio.map((r, i) => (
+                  <tr key={r.category}>
+                    <td className="py-1 pr-2 text-sm font-black text-white">{r.category}</td>
+                    <td className="py-1 pr-2"><input type="number" step="0.01" className={cell} value={r.threshold ?? ''} onChange={e => edit(d => { d.lendingRules.emi_income_ratio[i].threshold = num(e.target.value); })} /></td>
+                    <td className="py-1"><select className={cell} value={r.decision} onChange={e => edit(d => { d.lendingRules.emi_income_ratio[i].decision = e.target.value; })}>{EMI_RATIO_DECISIONS.map(o => <option key={o}>{o}</option>)}</select></td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </Section>
+
+        <Section title="Employment Stability and Existing Loans">
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            {employmentTypes.map(type => (
+              <div key={type} className="space-y-2">
+                <div className="text-sm font-black text-white">{type}</div>
+                <BandTable bands={rules.employment_stability[type]} keyField="min_years" keyLabel="From years" lastLabel="From 0 years"
+                  onEdit={fn => edit(d => fn(d.lendingRules.employment_stability[type]))} />
+              </div>
+            ))}
+            <div className="space-y-2">
+              <div className="text-sm font-black text-white">Active loans</div>
+              <BandTable bands={rules.existing_loan_count} keyField="max_count" keyLabel="Up to" lastLabel="Any more"
+                onEdit={fn => edit(d => fn(d.lendingRules.existing_loan_count))} />
+            </div>
+          </div>
+        </Section>
+
+        <Section title="Product Routing">
+          <table className="w-full text-left">
+            <thead><tr className={label}><th className="pb-2">Employment type</th><th className="pb-2">Requested product</th><th className="pb-2">Assessed as</th><th /></tr></thead>
+            <tbody>
+              {routes.map((r, i) => (
+                <tr key={i}>
+                  <td className="py-1 pr-2"><select className={cell} value={r.type} onChange={e => editRoutes(rows => { rows[i].type = e.target.value; })}>{employmentTypes.map(o => <option key={o}>{o}</option>)}</select></td>
+                  <td className="py-1 pr-2"><select className={cell} value={r.from} onChange={e => editRoutes(rows => { rows[i].from = e.target.value; })}>{loanTypes.map(o => <option key={o}>{o}</option>)}</select></td>
+                  <td className="py-1 pr-2"><select className={cell} value={r.to} onChange={e => editRoutes(rows => { rows[i].to = e.target.value; })}>{loanTypes.map(o => <option key={o}>{o}</option>)}</select></td>
+                  <td className="py-1"><button onClick={() => editRoutes(rows => { rows.splice(i, 1); })} className="p-2 text-slate-600 hover:text-rose-400 transition-all" title="Remove route"><Trash2 size={16} /></button></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <button onClick={() => editRoutes(rows => { rows.push({ type: employmentTypes[0], from: loanTypes[0], to: loanTypes[0] }); })} disabled={!loanTypes.length} className="px-5 py-3 bg-white/5 rounded-2xl text-[10px] font-black uppercase tracking-widest text-slate-400 hover:text-white hover:bg-white/10 disabled:opacity-30 transition-all flex items-center gap-2">
+            <Plus size={14} /> Add route
+          </button>
+          <p className="text-[10px] font-bold text-slate-600 uppercase tracking-widest">A route is taken only when the target product's limits allow the requested amount and tenure.</p>
+        </Section>
+
+        <Section title="Approval Thresholds">
+          <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
+            <label className="space-y-2"><span className={label}>Reject below (%)</span><input type="number" className={cell} value={thresholds.reject_if_probability_below ?? ''} onChange={e => setThreshold('reject_if_probability_below', e.target.value)} /></label>
+            <label className="space-y-2"><span className={label}>Approve above (%)</span><input type="number" className={cell} value={thresholds.approve_if_probability_above ?? ''} onChange={e => setThreshold('approve_if_probability_above', e.target.value)} /></label>
+            <div className="space-y-2"><span className={label}>Review between</span><div className="text-sm font-black text-white py-2">{thresholds.review_if_probability_between.join(' – ')}</div></div>
+          </div>
+        </Section>
+
+        <Section title="Product Table">
+          <table className="w-full text-left">
+            <thead><tr className={label}><th className="pb-2">Loan type</th><th className="pb-2">Max amount</th><th className="pb-2">Min tenure</th><th className="pb-2">Max tenure</th><th className="pb-2">APR (%)</th><th /></tr></thead>
+            <tbody>
+              {draft.products.map((p, i) => (
+                <tr key={i}>
+                  {['loan_type', 'max_amount', 'min_tenure_months', 'max_tenure_months', 'annual_rate'].map(c => (
+                    <td key={c} className="py-1 pr-2"><input className={cell} value={p[c]} onChange={e => edit(d => { d.products[i][c] = e.target.value; })} /></td>
+                  ))}
+                  <td className="py-1"><button onClick={() => edit(d => { d.products.splice(i, 1); })} className="p-2 text-slate-600 hover:text-rose-400 transition-all" title="Remove product"><Trash2 size={16} /></button></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <button onClick={() => edit(d => { d.products.push({ loan_type: '', max_amount: '', min_tenure_months: '', max_tenure_months: '', annual_rate: '' }); })} className="px-5 py-3 bg-white/5 rounded-2xl text-[10px] font-black uppercase tracking-widest text-slate-400 hover:text-white hover:bg-white/10 transition-all flex items-center gap-2">
+            <Plus size={14} /> Add product
+          </button>
+          <p className="text-[10px] font-bold text-slate-600 uppercase tracking-widest">Credit-band rate overrides are kept for existing products; new products are priced at their APR for every band.</p>
+        </Section>
+
+        <div className="flex flex-wrap items-end gap-4">
+          <label className="space-y-2 flex-1 min-w-48"><span className={label}>Author</span><input className={cell} value={author} onChange={e => setAuthor(e.target.value)} placeholder="Name of the credit risk manager" /></label>
+          <label className="space-y-2 flex-[2] min-w-64"><span className={label}>Change note</span><input className={cell} value={note} onChange={e => setNote(e.target.value)} placeholder="Why the policy is changing" /></label>
+          <button onClick={save} className="px-8 py-3 bg-blue-600 rounded-2xl text-[10px] font-black uppercase tracking-widest text-white hover:bg-blue-500 transition-all flex items-center gap-2">
+            <Save size={14} /> Save revision
+          </button>
+        </div>
+
+        {error && (
+          <div className="p-6 bg-rose-500/5 border border-rose-500/20 rounded-3xl space-y-2">
+            <div className="text-xs font-black text-rose-400 uppercase tracking-widest flex items-center gap-2"><AlertCircle size={16} /> {error.message}</div>
+            {(error.issues || []).map((issue, i) => <div key={i} className="text-sm text-slate-400 font-mono">{issue}</div>)}
+          </div>
+        )}
+
+        <Section title={<span className="flex items-center gap-3"><GitCompare size={18} className="text-indigo-400" /> Impact Preview</span>}>
+          <div className="flex flex-wrap items-center justify-between gap-4">
+            <div className="text-sm text-slate-400 font-semibold">
+              {applicants.length} stored applicant{applicants.length === 1 ? '' : 's'}
+              {uploaded && <> · {uploaded.applicants.length} from {uploaded.fileName}</>}
+            </div>
+            <label className="px-5 py-3 bg-white/5 rounded-2xl text-[10px] font-black uppercase tracking-widest text-slate-400 hover:text-white hover:bg-white/10 transition-all flex items-center gap-2 cursor-pointer">
+              <Upload size={14} /> Add applicants sheet
+              <input type="file" accept=".xlsx,.xls,.csv" className="hidden" onChange={e => { if (e.target.files[0]) upload(e.target.files[0]); e.target.value = ''; }} />
+            </label>
+          </div>
+          {uploaded?.issues.map((issue, i) => <div key={i} className="text-sm text-rose-400 font-mono">{issue}</div>)}
+
+          {!candidate ? (
+            <p className="text-xs font-bold text-slate-600 uppercase tracking-widest">Save a revision, or pick a saved one below, to compare it with the active policy.</p>
+          ) : (
+            <>
+              <div className="flex flex-wrap items-center justify-between gap-4">
+                <div className="text-xs font-black text-white uppercase tracking-widest">
+                  Policy {candidate.record.id} · {preview.total - preview.unchanged} of {preview.total} decisions flip
+                  {Object.entries(preview.transitions).map(([t, n]) => <span key={t} className="ml-3 px-3 py-1 rounded-full border border-white/10 text-[10px] text-slate-400">{t} {n}</span>)}
+                </div>
+                <button onClick={() => onPublish(candidate.record)} disabled={!!candidate.record.publishedAt} className="px-8 py-3 bg-emerald-600 rounded-2xl text-[10px] font-black uppercase tracking-widest text-white hover:bg-emerald-500 disabled:opacity-20 transition-all flex items-center gap-2">
+                  <Rocket size={14} /> {candidate.record.publishedAt ? 'Published' : 'Publish'}
+                </button>
+              </div>
+              {preview.flips.length > 0 && (
+                <table className="w-full text-left">
+                  <thead><tr className={label}><th className="pb-2">Applicant</th><th className="pb-2">Product</th><th className="pb-2">Active policy</th><th className="pb-2">Revision</th></tr></thead>
+                  <tbody>
+                    {preview.flips.map((f, i) => (
+                      <tr key={i} className="border-b border-white/5">
+                        <td className="py-3 text-sm font-black text-white">{f.applicant.applicantId || f.applicant.name || 'Unnamed applicant'}</td>
+                        <td className="py-3 text-sm text-slate-300 font-semibold">{productLabel(String(f.applicant.loanType))}</td>
+                        <td className="py-3"><Decision result={f.before} /></td>
+                        <td className="py-3"><Decision result={f.after} /></td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </>
+          )}
+        </Section>
+
+        <Section title={<span className="flex items-center gap-3"><History size={18} className="text-indigo-400" /> Revision History</span>}>
+          <ul className="space-y-3">
+            {[...records].reverse().map(r => (
+              <li key={r.id} className="flex flex-wrap items-center justify-between gap-4 p-5 bg-black/30 rounded-3xl border border-white/5">
+                <div className="min-w-0">
+                  <div className="text-xs font-black text-white uppercase tracking-widest">
+                    {r.id}
+                    {r.id === policy.id && <span className="ml-3 px-3 py-1 rounded-full border text-[10px] bg-blue-500/10 text-blue-400 border-blue-500/20">Active</span>}
+                    {r.publishedAt && <span className="ml-3 text-[10px] text-emerald-400">Published {new Date(r.publishedAt).toLocaleString()}</span>}
+                  </div>
+                  <div className="text-[11px] text-slate-500 font-bold uppercase tracking-widest">{versionLine(r.versions)}</div>
+                  <div className="text-[11px] text-slate-500 font-semibold">
+                    {r.source === 'datasets' ? 'Loaded from the Data/ datasets' : `${r.author} · ${new Date(r.createdAt).toLocaleString()}${r.note ? ` · ${r.note}` : ''}`}
+                  </div>
+                </div>
+                {r.source === 'editor' && !r.publishedAt && (
+                  <button onClick={() => select(r)} className="px-5 py-3 bg-white/5 rounded-2xl text-[10px] font-black uppercase tracking-widest text-slate-400 hover:text-white hover:bg-white/10 transition-all flex items-center gap-2">
+                    <GitCompare size={14} /> Preview
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        </Section>
+      </div>
+
+      <div className="flex justify-between items-center px-4">
+        <button onClick={onBack} className="text-slate-500 font-black text-xs tracking-[0.2em] flex items-center gap-2 hover:text-white transition-all group">
+          <ArrowLeft size={16} className="group-hover:-translate-x-1 transition-transform" /> BACK
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default PolicyEditorView;
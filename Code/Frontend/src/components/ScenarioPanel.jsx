@@ -0,0 +1,163 @@
+import React, { useEffect, useState } from 'react';
+import { FlaskConical, Save, Trash2, RotateCcw } from 'lucide-react';
+import { scenarioChanges, scenarioDraft } from '../engine/scenarios.js';
+import { groupProductsByFamily, productLabel } from '../policy/productRules.js';
+
+const MAX_SAVED = 3;
+
+const DECISION_TEXT = {
+  APPROVED: 'text-emerald-400',
+  REVIEW: 'text-amber-400',
+  REJECTED: 'text-rose-400',
+  ESCALATED: 'text-violet-400'
+};
+
+const clamp = (v, min, max) => v === null ? null : Math.min(Math.max(v, min), max);
+
+const fmtMoney = v => v === null ? '—' : `$${Math.round(v).toLocaleString()}`;
+const fmtPct = v => v === null ? '—' : `${v.toFixed(1)}%`;
+
+const METRICS = [
+  { key: 'decision', label: 'Decision', value: r => r.decision },
+  { key: 'probability', label: 'Approval Probability', value: r => r.probability, format: fmtPct, delta: true },
+  { key: 'emi', label: 'New EMI', value: r => r.emi, format: fmtMoney, delta: true },
+  { key: 'dti', label: 'Debt-to-Income', value: r => r.dti === null ? null : r.dti * 100, format: fmtPct, delta: true }
+];
+
+const Delta = ({ base, value, format }) => {
+  if (base === null || value === null || Math.abs(value - base) < 0.05) return null;
+  const diff = value - base;
+  return <span className="ml-2 text-[10px] font-black text-slate-500">({diff > 0 ? '+' : '−'}{format(Math.abs(diff))})</span>;
+};
+
+// A value that was not provided has no slider: it is kept as submitted, never guessed.
+const Slider = ({ label, value, display, min, max, step, onChange }) => (
+  <div className="space-y-3">
+    <div className="flex justify-between items-baseline">
+      <span className="text-[11px] font-black text-slate-500 uppercase tracking-widest">{label}</span>
+      <span className="text-lg font-black text-white">{value === null ? 'Not provided' : display}</span>
+    </div>
+    {value !== null && (
+      <>
+        <input type="range" className="w-full accent-blue-500" min={min} max={max} step={step} value={value} onChange={e => onChange(Number(e.target.value))} />
+        <div className="flex justify-between text-[10px] font-bold text-slate-600 uppercase tracking-widest"><span>{min.toLocaleString()}</span><span>{max.toLocaleString()}</span></div>
+      </>
+    )}
+  </div>
+);
+
+// Re-assesses a copy of the applicant through `run(changes)`, which resolves to the
+// assessment (the local engine, or the API's scenario endpoint). The original
+// application and its assessment are only ever read, never written. Runs wait `delay`
+// ms after the last change so dragging a slider does not send a request per step.
+const ScenarioPanel = ({ applicant, baseline, policy, run, delay = 0 }) => {
+  const initial = scenarioDraft(applicant);
+  const [draft, setDraft] = useState(initial);
+  const [saved, setSaved] = useState([]);
+  const [results, setResults] = useState({});
+
+  const product = policy.products.find(p => p.type === draft.loanType) || policy.products[0];
+  const income = Number(applicant.income) || 0;
+  const emiCeiling = Math.max(income, initial.existingEmi ?? 0, 1000);
+
+  const changes = scenarioChanges(applicant, draft);
+  const key = JSON.stringify(changes);
+  const unchanged = Object.keys(changes).length === 0;
+  const outcome = unchanged ? { result: baseline } : results[key];
+  const live = outcome?.result ?? null;
+
+  useEffect(() => {
+    if (unchanged || results[key]) return undefined;
+    const timer = setTimeout(() => {
+      Promise.resolve()
+        .then(() => run(JSON.parse(key)))
+        .then(result => ({ result }), error => ({ error }))
+        .then(done => setResults(r => ({ ...r, [key]: done })));
+    }, delay);
+    return () => clearTimeout(timer);
+  }, [key, unchanged, results, run, delay]);
+
+  const update = patch => setDraft(d => ({ ...d, ...patch }));
+  const changeProduct = type => {
+    const next = policy.products.find(p => p.type === type);
+    setDraft(d => ({ ...d, loanType: type, loanAmount: clamp(d.loanAmount, 0, next.max), tenure: clamp(d.tenure, next.min_t, next.max_t) }));
+  };
+
+  const columns = [
+    { id: 'baseline', title: 'Baseline', result: baseline },
+    { id: 'live', title: 'Current', result: live },
+    ...saved.map((s, i) => ({ id: s.id, title: `Scenario ${i + 1}`, result: s.result, draft: s.draft }))
+  ];
+
+  return (
+    <div className="space-y-10 animate-in fade-in slide-in-from-right-4 duration-500">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-3 text-slate-500 font-black text-xs uppercase tracking-[0.3em]"><FlaskConical size={20} /> What-If Simulator</div>
+        <div className="flex gap-3">
+          <button onClick={() => setDraft(initial)} className="px-5 py-3 bg-white/5 rounded-2xl text-[10px] font-black uppercase tracking-widest text-slate-400 hover:text-white hover:bg-white/10 transition-all flex items-center gap-2"><RotateCcw size={14} /> Reset</button>
+          <button
+            onClick={() => setSaved(s => [...s, { id: `${Date.now()}`, draft, result: live }])}
+            disabled={saved.length >= MAX_SAVED || !live}
+            className="px-5 py-3 bg-blue-600 rounded-2xl text-[10px] font-black uppercase tracking-widest text-white hover:bg-blue-500 disabled:opacity-20 transition-all flex items-center gap-2"
+          >
+            <Save size={14} /> Save Scenario ({saved.length}/{MAX_SAVED})
+          </button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-10 p-10 bg-white/5 rounded-[3rem] border border-white/10">
+        <div className="space-y-3 md:col-span-2">
+          <span className="text-[11px] font-black text-slate-500 uppercase tracking-widest">Product</span>
+          <select className="input-base appearance-none cursor-pointer" value={draft.loanType} onChange={e => changeProduct(e.target.value)}>
+            {groupProductsByFamily(policy.products).map(g => (
+              <optgroup key={g.family} label={`${g.family} Loans`}>
+                {g.products.map(p => <option key={p.type} value={p.type}>{productLabel(p.type)} Loan</option>)}
+              </optgroup>
+            ))}
+          </select>
+        </div>
+        <Slider label="Loan Amount" value={clamp(draft.loanAmount, 0, product.max)} display={fmtMoney(draft.loanAmount)} min={0} max={product.max} step={Math.max(1000, product.max / 500)} onChange={v => update({ loanAmount: v })} />
+        <Slider label="Tenure (Months)" value={clamp(draft.tenure, product.min_t, product.max_t)} display={`${draft.tenure} mo`} min={product.min_t} max={product.max_t} step={1} onChange={v => update({ tenure: v })} />
+        <Slider label="Existing EMI" value={clamp(draft.existingEmi, 0, emiCeiling)} display={fmtMoney(draft.existingEmi)} min={0} max={emiCeiling} step={100} onChange={v => update({ existingEmi: v })} />
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-left">
+          <thead>
+            <tr className="border-b border-white/10">
+              <th className="py-4 px-4" />
+              {columns.map(c => (
+                <th key={c.id} className="py-4 px-4 text-[10px] font-black uppercase tracking-widest text-slate-500">
+                  <div className="flex items-center gap-2">
+                    {c.title}
+                    {c.draft && <button onClick={() => setSaved(s => s.filter(x => x.id !== c.id))} className="text-slate-600 hover:text-rose-400" title="Discard scenario"><Trash2 size={12} /></button>}
+                  </div>
+                  {c.draft && <div className="text-[10px] font-bold normal-case tracking-normal text-slate-600 mt-1">{productLabel(c.draft.loanType)} · {fmtMoney(c.draft.loanAmount)} · {c.draft.tenure ?? '—'} mo · EMI {fmtMoney(c.draft.existingEmi)}</div>}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {METRICS.map(m => (
+              <tr key={m.key} className="border-b border-white/5">
+                <td className="py-4 px-4 text-[11px] font-black text-slate-500 uppercase tracking-widest">{m.label}</td>
+                {columns.map(c => !c.result ? (
+                  <td key={c.id} className="py-4 px-4 font-black text-slate-600">{outcome?.error ? 'Failed' : '…'}</td>
+                ) : (
+                  <td key={c.id} className={`py-4 px-4 font-black ${m.key === 'decision' ? DECISION_TEXT[c.result.decision] : 'text-white'}`}>
+                    {m.format ? m.format(m.value(c.result)) : m.value(c.result)}
+                    {m.delta && c.id !== 'baseline' && <Delta base={m.value(baseline)} value={m.value(c.result)} format={m.format} />}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {outcome?.error && <p className="text-sm font-semibold text-rose-400">This scenario could not be assessed: {outcome.error.message}</p>}
+      <p className="text-[10px] font-bold text-slate-600 uppercase tracking-widest leading-relaxed">Simulated outcomes are indicative only and do not alter the submitted application or its recorded decision.</p>
+    </div>
+  );
+};
+
+export default ScenarioPanel;
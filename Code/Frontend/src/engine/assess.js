@@ -0,0 +1,270 @@
+import { calculateEMI } from './emi.js';
+import { estimateApprovalProbability } from './probability.js';
+import { validateApplicant } from './validate.js';
+import { VERIFIABLE_INPUTS, restrictToDecisionInputs } from './inputs.js';
+import { resolveAnnualRate } from './pricing.js';
+import { routeProduct } from './routing.js';
+import { JOINT_PARTY, PRIMARY_PARTY, coApplicantParty, governingScore, partyLabel } from './parties.js';
+
+// --- RULES ENGINE ---
+// assess() is pure: the same applicant and policy always produce the same result, with
+// no clocks, randomness or UI state involved. Each check cites the dataset rule it applied.
+
+export const DECISIONS = ['APPROVED', 'REVIEW', 'REJECTED', 'ESCALATED'];
+
+export const findCreditBand = (bands, cs) =>
+  bands.find(b => (b.min_score === null || cs >= b.min_score) && (b.max_score === null || cs <= b.max_score))
+  || bands[bands.length - 1];
+
+export const findEmiCategory = (ratios, dti) =>
+  ratios.find(r => dti <= r.threshold) || ratios[ratios.length - 1];
+
+// Employment bands run from the longest tenure down; loan-count bands from the fewest up.
+export const findEmploymentBand = (bands, years) => bands.find(b => years >= b.min_years) || bands[bands.length - 1];
+export const findLoanCountBand = (bands, count) => bands.find(b => b.max_count === null || count <= b.max_count);
+
+const decisionStatus = (decision) => decision === 'approve' ? 'pass' : decision === 'reject' ? 'fail' : 'warn';
+
+// Automation halts before any policy math runs; only the reasons are reported.
+const escalate = (reasons) => ({
+  decision: 'ESCALATED',
+  reasons,
+  probability: null, factors: [],
+  checks: [{
+    id: 'data', ruleId: 'fail_safe.data_integrity', label: 'Data Integrity', status: 'fail',
+    detail: `${reasons.length} field issue${reasons.length === 1 ? '' : 's'} found; automated assessment halted for officer review`,
+    values: { reasons: reasons.length }
+  }],
+  loanType: null, emi: null, existingEmi: null, totalObligation: null, dti: null, annualRate: null, rateRuleId: null
+});
+
+export const assess = (submitted, policy) => {
+  const applicant = restrictToDecisionInputs(submitted);
+  const reasons = validateApplicant(applicant, policy.lendingRules);
+  if (reasons.length) return escalate(reasons);
+
+  const { lendingRules, thresholds } = policy;
+  const persons = [
+    { party: PRIMARY_PARTY, person: applicant },
+    ...applicant.coApplicants.map((person, i) => ({ party: coApplicantParty(i), person }))
+  ];
+  const joint = persons.length > 1;
+  // Single applications keep their check ids and labels; on joint ones each person's
+  // checks are suffixed with the party and every check carries it.
+  const checks = [];
+  const addCheck = (check, party) => checks.push(joint ? { ...check, party } : check);
+  const personCheck = (check, party) => addCheck(party === PRIMARY_PARTY ? check : { ...check, id: `${check.id}.${party}` }, party);
+  const labelFor = (label, party) => joint ? `${label} (${partyLabel(party)})` : label;
+
+  addCheck({
+    id: 'data', ruleId: 'fail_safe.data_integrity', label: 'Data Integrity', status: 'pass',
+    detail: 'All decision inputs present, well-formed and mutually consistent', values: { reasons: 0 }
+  }, JOINT_PARTY);
+
+  const jointRules = lendingRules.joint_applications;
+  const jointValid = !joint || (jointRules !== undefined && persons.length - 1 <= jointRules.max_co_applicants);
+  if (joint) {
+    const coApplicants = persons.length - 1;
+    addCheck({
+      id: 'joint', ruleId: jointRules ? 'lending_rules.joint_applications.max_co_applicants' : 'lending_rules.joint_applications', label: 'Joint Application',
+      status: jointValid ? 'pass' : 'fail',
+      detail: !jointRules
+        ? 'The lending rules do not provide for joint applications'
+        : `${coApplicants} co-applicant${coApplicants === 1 ? '' : 's'} (up to ${jointRules.max_co_applicants} allowed)`,
+      values: { coApplicants, max: jointRules?.max_co_applicants ?? null }
+    }, JOINT_PARTY);
+  }
+
+  // Verified values that contradict the declared ones were escalated above; this check
+  // records which values were confirmed, and by whom.
+  const verified = Object.keys(VERIFIABLE_INPUTS).filter(f => applicant.verification?.[f]).map(f => ({ field: f, ...applicant.verification[f] }));
+  if (verified.length) {
+    const unconfirmed = verified.filter(v => v.value === null);
+    const tolerances = lendingRules.verification;
+    addCheck({
+      id: 'verification', ruleId: 'lending_rules.verification', label: 'Data Verification', status: unconfirmed.length ? 'warn' : 'pass',
+      detail: verified.map(v => `${VERIFIABLE_INPUTS[v.field]} ${v.value === null ? `not found at ${v.source}; the declared value is unconfirmed` : `confirmed by ${v.source}`}`).join('; '),
+      values: {
+        confirmed: verified.filter(v => v.value !== null).map(v => v.field),
+        unconfirmed: unconfirmed.map(v => v.field),
+        creditScorePoints: tolerances?.credit_score_tolerance_points ?? 0,
+        incomeRatio: tolerances?.income_tolerance_ratio ?? 0
+      }
+    }, PRIMARY_PARTY);
+  }
+
+  const loanAmount = parseFloat(applicant.loanAmount);
+  const tenure = parseInt(applicant.tenure);
+
+  // 1. Core Eligibility
+  // Where the policy sets max_at_tenure_end, each person must also be within it when the
+  // last instalment falls due.
+  const { min: minAge, max: maxAge, max_at_tenure_end: maxEndAge } = lendingRules.age_limits;
+  const ageValid = persons.map(({ party, person }) => {
+    const age = parseInt(person.age);
+    const inRange = age >= minAge && age <= maxAge;
+    if (maxEndAge === undefined) {
+      personCheck({
+        id: 'age', ruleId: 'lending_rules.age_limits', label: labelFor('Age Verification', party), status: inRange ? 'pass' : 'fail',
+        detail: `${age} yrs (${minAge}-${maxAge} required)`, values: { age, min: minAge, max: maxAge }
+      }, party);
+      return inRange;
+    }
+    const endAge = age + tenure / 12;
+    const endValid = endAge <= maxEndAge;
+    personCheck({
+      id: 'age', ruleId: inRange && !endValid ? 'lending_rules.age_limits.max_at_tenure_end' : 'lending_rules.age_limits',
+      label: labelFor('Age Verification', party), status: inRange && endValid ? 'pass' : 'fail',
+      detail: `${age} yrs (${minAge}-${maxAge} required); ${+endAge.toFixed(1)} at the end of ${tenure} months (at most ${maxEndAge})`,
+      values: { age, min: minAge, max: maxAge, ageAtTenureEnd: endAge, maxAtTenureEnd: maxEndAge }
+    }, party);
+    return inRange && endValid;
+  }).every(Boolean);
+
+  // Joint applications are assessed on combined income and obligations.
+  const income = persons.reduce((sum, { person }) => sum + parseFloat(person.income), 0);
+  const existingEmi = persons.reduce((sum, { person }) => sum + parseFloat(person.existingEmi || 0), 0);
+  const incomeBasis = joint ? 'combined monthly income' : 'monthly income';
+  const { product, check: routing } = routeProduct(lendingRules, policy.products, {
+    employmentType: applicant.employmentType, loanType: applicant.loanType, loanAmount, tenure
+  });
+  if (routing) addCheck(routing, PRIMARY_PARTY);
+  let amountValid = false, tenureValid = false, ltiValid = false, ltiUtilisation = null;
+  if (!product) {
+    addCheck({
+      id: 'product', ruleId: 'product_rules.loan_type', label: 'Product Compliance', status: 'fail',
+      detail: `"${applicant.loanType}" is not in the product rules catalogue`, values: { loanType: applicant.loanType }
+    }, JOINT_PARTY);
+  } else {
+    amountValid = loanAmount <= product.max;
+    addCheck({
+      id: 'amount', ruleId: `product_rules.${product.type}.max_amount`, label: 'Amount Compliance', status: amountValid ? 'pass' : 'fail',
+      detail: `$${loanAmount.toLocaleString()} requested (Max: $${product.max.toLocaleString()})`, values: { loanAmount, max: product.max }
+    }, JOINT_PARTY);
+
+    tenureValid = tenure >= product.min_t && tenure <= product.max_t;
+    addCheck({
+      id: 'tenure', ruleId: `product_rules.${product.type}.tenure_months`, label: 'Tenure Compliance', status: tenureValid ? 'pass' : 'fail',
+      detail: `${tenure} months requested (${product.min_t}-${product.max_t} allowed)`, values: { tenure, min: product.min_t, max: product.max_t }
+    }, JOINT_PARTY);
+
+    const family = product.family.toLowerCase();
+    const ltiCap = lendingRules.loan_to_income_ratio[family];
+    const lti = loanAmount / income;
+    ltiValid = ltiCap !== undefined && lti <= ltiCap;
+    if (ltiCap !== undefined) ltiUtilisation = lti / ltiCap;
+    addCheck({
+      id: 'lti', ruleId: `lending_rules.loan_to_income_ratio.${family}`, label: 'Loan-to-Income Compliance', status: ltiValid ? 'pass' : 'fail',
+      detail: ltiCap === undefined
+        ? `No loan-to-income cap is defined for the ${product.family} family; the request cannot be verified`
+        : ltiValid
+          ? `${lti.toFixed(1)}x ${incomeBasis} requested (${product.family} cap: ${ltiCap}x)`
+          : `${lti.toFixed(1)}x ${incomeBasis} requested exceeds the ${product.family} cap of ${ltiCap}x; at most $${Math.floor(ltiCap * income).toLocaleString()} is permitted on $${income.toLocaleString()}/month`,
+      values: { lti, loanAmount, income, cap: ltiCap ?? null }
+    }, JOINT_PARTY);
+  }
+
+  // 2. Risk Evaluation
+  // One credit score governs the application; on a joint application the policy's
+  // credit_score_basis picks it from everyone's scores.
+  const basis = joint ? jointRules?.credit_score_basis ?? 'primary' : 'primary';
+  const scored = persons.map(({ party, person }) => ({ party, creditScore: parseInt(person.creditScore) }));
+  const governing = governingScore(scored, basis);
+  const creditScore = governing.creditScore;
+  const bands = lendingRules.credit_score_bands;
+  const band = findCreditBand(bands, creditScore);
+  addCheck({
+    id: 'credit', ruleId: `lending_rules.credit_score_bands.${band.band}`, label: 'Credit Integrity', status: decisionStatus(band.decision),
+    detail: `Score ${creditScore} (${band.band.toUpperCase()} band, ${band.risk_level.replace('_', ' ')} risk)`
+      + (joint ? `; ${basis} of the applicants' scores ${scored.map(s => s.creditScore).join(', ')} (lending_rules.joint_applications.credit_score_basis)` : ''),
+    values: { creditScore, band: band.band, min: band.min_score, max: band.max_score, ...(joint ? { basis, scores: scored.map(s => s.creditScore) } : {}) }
+  }, governing.party);
+
+  // Employment and existing loans are banded per person; any rejected band rejects.
+  const stability = persons.map(({ party, person }) => {
+    const employmentType = person.employmentType;
+    const employmentYears = parseFloat(person.employmentYears);
+    const employmentBands = lendingRules.employment_stability[employmentType];
+    const employment = employmentBands && findEmploymentBand(employmentBands, employmentYears);
+    const employmentNext = employmentBands?.slice(0, employmentBands.indexOf(employment)).reverse().find(b => b.decision !== employment.decision);
+    personCheck({
+      id: 'employment',
+      ruleId: employment ? `lending_rules.employment_stability.${employmentType}.from_${employment.min_years}_years` : 'lending_rules.employment_stability',
+      label: labelFor('Employment Stability', party),
+      status: employment ? decisionStatus(employment.decision) : 'fail',
+      detail: !employment
+        ? `No employment stability rules are defined for "${employmentType}"; tenure cannot be verified`
+        : `${employmentType} for ${employmentYears} yrs: ${employment.decision.toUpperCase()} band (from ${employment.min_years} yrs)`
+          + (employmentNext ? `; ${employmentNext.min_years} yrs reaches ${employmentNext.decision.toUpperCase()}` : ''),
+      values: { employmentType, employmentYears, min: employment?.min_years ?? null, decision: employment?.decision ?? null }
+    }, party);
+
+    // The schema requires an open-ended last band; a count beyond a closed table fails.
+    const existingLoansCount = parseInt(person.existingLoansCount);
+    const loanBands = lendingRules.existing_loan_count;
+    const loans = findLoanCountBand(loanBands, existingLoansCount);
+    const loansBelow = loanBands[loanBands.indexOf(loans) - 1];
+    const countText = `${existingLoansCount} active loan${existingLoansCount === 1 ? '' : 's'}`;
+    personCheck({
+      id: 'loans',
+      ruleId: !loans ? 'lending_rules.existing_loan_count' : `lending_rules.existing_loan_count.${loans.max_count === null ? 'open' : `up_to_${loans.max_count}`}`,
+      label: labelFor('Existing Loan Count', party),
+      status: loans ? decisionStatus(loans.decision) : 'fail',
+      detail: !loans
+        ? `${countText}: no existing loan count band covers this count`
+        : `${countText}: ${loans.decision.toUpperCase()} band `
+          + (loans.max_count !== null ? `(up to ${loans.max_count})` : loansBelow ? `(more than ${loansBelow.max_count})` : '(any count)'),
+      values: { existingLoansCount, max: loans?.max_count ?? null, decision: loans?.decision ?? null }
+    }, party);
+    return {
+      employmentType, employmentYears, existingLoansCount,
+      rejected: !employment || employment.decision === 'reject' || !loans || loans.decision === 'reject',
+      review: employment?.decision === 'review' || loans?.decision === 'review'
+    };
+  });
+  const stabilityRejected = stability.some(s => s.rejected);
+  // The probability model scores one applicant's employment and loan count: the primary's.
+  const { employmentType, employmentYears, existingLoansCount } = stability[0];
+
+  // Without a catalogued product there is no price, so no instalment or probability
+  // can be derived; the failed product check alone decides the outcome.
+  if (!product) {
+    return {
+      decision: 'REJECTED', reasons: [], probability: null, factors: [], checks,
+      loanType: applicant.loanType, emi: null, existingEmi, totalObligation: null, dti: null, annualRate: null, rateRuleId: null
+    };
+  }
+
+  // 3. Financial Capacity
+  const { rate: annualRate, ruleId: rateRuleId } = resolveAnnualRate(policy.pricing, product.type, band.band);
+  const emi = calculateEMI(loanAmount, tenure, annualRate);
+  const totalObligation = existingEmi + emi;
+  const dti = totalObligation / income;
+  const ratios = lendingRules.emi_income_ratio;
+  const category = findEmiCategory(ratios, dti);
+  addCheck({
+    id: 'dti', ruleId: `lending_rules.emi_income_ratio.${category.category}`, label: 'Debt-to-Income', status: decisionStatus(category.decision),
+    detail: `Ratio: ${(dti * 100).toFixed(1)}% (${category.category.toUpperCase()} up to ${(category.threshold * 100).toFixed(0)}%)`,
+    values: { dti, totalObligation, income, category: category.category, threshold: category.threshold, annualRate }
+  }, JOINT_PARTY);
+
+  // 4. Approval Probability
+  const { probability, factors } = estimateApprovalProbability({
+    creditBand: band.band,
+    emiCategory: category.category,
+    ltiUtilisation,
+    employmentType,
+    employmentYears,
+    existingLoansCount
+  }, policy.probabilityModel);
+
+  // Final Decision Logic
+  // A review band for anyone's employment or loan count, or a manual_review DTI category,
+  // holds the application for an officer whatever its probability.
+  const reviewRequired = category.decision === 'manual_review' || stability.some(s => s.review);
+  let decision = 'REVIEW';
+  if (!jointValid || !ageValid || !amountValid || !tenureValid || !ltiValid || band.decision === 'reject' || stabilityRejected || category.decision === 'reject' || probability < thresholds.reject_if_probability_below) decision = 'REJECTED';
+  else if (probability > thresholds.approve_if_probability_above && !reviewRequired) decision = 'APPROVED';
+
+  return { decision, reasons: [], probability, factors, checks, loanType: product.type, emi, existingEmi, totalObligation, dti, annualRate, rateRuleId };
+};
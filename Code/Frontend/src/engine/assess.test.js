@@ -0,0 +1,253 @@
+import { describe, expect, it } from 'vitest';
+import { loadTestPolicy, loadTestApplicants } from '../test/datasets.js';
+import { assess } from './assess.js';
+
+const policy = loadTestPolicy();
+const applicants = loadTestApplicants();
+
+// applicant_id -> [decision, approval probability %, DTI %, failed check ids]
+const EXPECTED = {
+  A1001: ['REJECTED', 15.5, 52.6, ['credit', 'dti']],
+  A1002: ['REJECTED', 34.3, 62.8, ['dti']],
+  A1003: ['APPROVED', 98, 33.4, []],
+  A1004: ['REJECTED', 52.3, 60.7, ['dti']],
+  A1005: ['REJECTED', 18.5, 53.8, ['credit', 'dti']],
+  A1006: ['REJECTED', 17, 80.1, ['credit', 'dti']],
+  A1007: ['APPROVED', 77.8, 35.8, []],
+  A1008: ['REVIEW', 80, 43.4, []],
+  A1009: ['REJECTED', 39.5, 42.8, ['credit']],
+  A1010: ['REVIEW', 70.3, 42.7, []],
+  A1011: ['REJECTED', 32.8, 59.9, ['dti']],
+  A1012: ['REVIEW', 80, 49.2, []],
+  A1013: ['REJECTED', 34.3, 80.4, ['dti']],
+  A1014: ['REJECTED', 54.5, 39.2, ['credit']],
+  A1015: ['REJECTED', 49.3, 53.6, ['dti']],
+  A1016: ['REJECTED', 38.8, 52.4, ['dti']],
+  A1017: ['REVIEW', 79, 44.3, []],
+  A1018: ['REJECTED', 21.5, 71.7, ['credit', 'dti']],
+  A1019: ['REJECTED', 35.8, 67.2, ['lti', 'dti']],
+  A1020: ['REVIEW', 67.3, 47.3, []]
+};
+
+describe('assess() over Base_Applicant_Dataset_20', () => {
+  it('covers every applicant in the workbook', () => {
+    expect(applicants.map(a => a.applicantId)).toEqual(Object.keys(EXPECTED));
+  });
+
+  it.each(applicants.map(a => [a.applicantId, a]))('%s', (id, applicant) => {
+    const [decision, probability, dtiPct, failed] = EXPECTED[id];
+    const result = assess(applicant, policy);
+    expect(result.decision).toBe(decision);
+    expect(result.probability).toBe(probability);
+    expect(Number((result.dti * 100).toFixed(1))).toBe(dtiPct);
+    expect(result.checks.filter(c => c.status === 'fail').map(c => c.id)).toEqual(failed);
+  });
+});
+
+describe('assess()', () => {
+  const base = applicants.find(a => a.applicantId === 'A1003');
+
+  it('is pure: repeated calls give identical results and leave the input untouched', () => {
+    const snapshot = structuredClone(base);
+    expect(assess(base, policy)).toEqual(assess(base, policy));
+    expect(base).toEqual(snapshot);
+  });
+
+  it('cites a dataset rule for every check', () => {
+    const { checks } = assess(base, policy);
+    expect(checks.map(c => c.ruleId)).toEqual([
+      'fail_safe.data_integrity',
+      'lending_rules.age_limits',
+      'product_rules.Vehicle.max_amount',
+      'product_rules.Vehicle.tenure_months',
+      'lending_rules.loan_to_income_ratio.vehicle',
+      'lending_rules.credit_score_bands.excellent',
+      'lending_rules.employment_stability.Self-Employed.from_3_years',
+      'lending_rules.existing_loan_count.up_to_2',
+      'lending_rules.emi_income_ratio.safe'
+    ]);
+  });
+
+  it('builds the probability from dataset-weighted factors only', () => {
+    const { probability, factors } = assess(base, policy);
+    expect(factors.map(f => f.id)).toEqual(Object.keys(policy.probabilityModel));
+    factors.forEach(f => expect(f.weight).toBe(policy.probabilityModel[f.id].weight));
+    expect(probability).toBeCloseTo(factors.reduce((sum, f) => sum + f.contribution, 0), 1);
+  });
+
+  it('rejects on age outside the dataset limits regardless of score', () => {
+    const result = assess({ ...base, age: String(policy.lendingRules.age_limits.max + 1) }, policy);
+    expect(result.decision).toBe('REJECTED');
+    expect(result.checks.find(c => c.id === 'age').status).toBe('fail');
+  });
+
+  it('holds a manual_review DTI category for review whatever the probability', () => {
+    const result = assess(applicants.find(a => a.applicantId === 'A1012'), policy);
+    expect(result.probability).toBeGreaterThan(policy.thresholds.approve_if_probability_above);
+    expect(result.checks.find(c => c.id === 'dti')).toMatchObject({ status: 'warn', ruleId: 'lending_rules.emi_income_ratio.review' });
+    expect(result.decision).toBe('REVIEW');
+  });
+
+  it('fails loan-to-income when the request exceeds the family cap', () => {
+    const cap = policy.lendingRules.loan_to_income_ratio.vehicle;
+    const result = assess({ ...base, income: '10000', loanAmount: String(cap * 10000 + 1) }, policy);
+    expect(result.decision).toBe('REJECTED');
+    expect(result.checks.find(c => c.id === 'lti')).toMatchObject({ status: 'fail', values: { cap } });
+  });
+
+  it('fails the product check for a loan type missing from the catalogue', () => {
+    const result = assess({ ...base, loanType: 'Boat' }, policy);
+    expect(result.decision).toBe('REJECTED');
+    expect(result.checks.find(c => c.id === 'product')).toMatchObject({ status: 'fail', ruleId: 'product_rules.loan_type' });
+    expect(result).toMatchObject({ probability: null, emi: null, dti: null, annualRate: null });
+  });
+
+  it('prices the EMI from the product pricing dataset, preferring a credit band rate', () => {
+    const result = assess(base, policy);
+    expect(result.annualRate).toBe(policy.pricing.Vehicle.credit_band_rates.excellent);
+    expect(result.rateRuleId).toBe('product_pricing.Vehicle.credit_band_rates.excellent');
+    expect(result.checks.find(c => c.id === 'dti').values.annualRate).toBe(result.annualRate);
+
+    const fallback = assess({ ...base, loanType: 'Vehicle_Electric', tenure: '36' }, policy);
+    expect(fallback.rateRuleId).toBe('product_pricing.Vehicle_Electric.annual_rate');
+  });
+
+  it('splits a zero-rate loan evenly across the tenure', () => {
+    const result = assess({ ...base, loanType: 'Education_Scholarship', loanAmount: '120000', tenure: '48' }, policy);
+    expect(result.annualRate).toBe(0);
+    expect(result.emi).toBe(2500);
+  });
+
+  it('rejects self-employment below the dataset minimum and flags short salaried tenure', () => {
+    const rejected = assess({ ...base, employmentYears: '1' }, policy);
+    expect(rejected.decision).toBe('REJECTED');
+    expect(rejected.checks.find(c => c.id === 'employment')).toMatchObject({
+      status: 'fail', ruleId: 'lending_rules.employment_stability.Self-Employed.from_0_years'
+    });
+
+    const salaried = assess({ ...base, employmentType: 'Salaried', employmentYears: '0' }, policy).checks.find(c => c.id === 'employment');
+    expect(salaried.status).toBe('warn');
+    expect(salaried.detail).toContain('1 yrs reaches APPROVE');
+  });
+
+  it('fails an employment type the stability rules do not cover', () => {
+    const result = assess({ ...base, employmentType: 'Contract' }, policy);
+    expect(result.decision).toBe('REJECTED');
+    expect(result.checks.find(c => c.id === 'employment').status).toBe('fail');
+  });
+
+  it('bands the existing loan count, rejecting beyond the last counted band', () => {
+    const status = count => assess({ ...base, existingLoansCount: String(count) }, policy).checks.find(c => c.id === 'loans').status;
+    expect([1, 3, 4].map(status)).toEqual(['pass', 'warn', 'fail']);
+    expect(assess({ ...base, existingLoansCount: '4' }, policy).decision).toBe('REJECTED');
+  });
+
+  it('holds a review band for review even when the probability clears the approval bar', () => {
+    expect(assess(base, policy).decision).toBe('APPROVED');
+    const shortTenure = assess({ ...base, employmentYears: '2' }, policy);
+    expect(shortTenure.checks.find(c => c.id === 'employment').status).toBe('warn');
+    expect(shortTenure.decision).toBe('REVIEW');
+    const moreLoans = assess({ ...base, existingLoansCount: '3' }, policy);
+    expect(moreLoans.checks.find(c => c.id === 'loans').status).toBe('warn');
+    expect(moreLoans.decision).toBe('REVIEW');
+    const both = assess({ ...base, employmentYears: '2', existingLoansCount: '3' }, policy);
+    expect(both.probability).toBeGreaterThan(policy.thresholds.approve_if_probability_above);
+    expect(both.decision).toBe('REVIEW');
+  });
+
+  it('fails a loan count beyond a closed loan-count table instead of throwing', () => {
+    const closed = { ...policy, lendingRules: { ...policy.lendingRules, existing_loan_count: [{ max_count: 2, decision: 'approve' }, { max_count: 5, decision: 'review' }] } };
+    const result = assess({ ...base, existingLoansCount: '6' }, closed);
+    expect(result.decision).toBe('REJECTED');
+    expect(result.checks.find(c => c.id === 'loans')).toMatchObject({
+      status: 'fail', ruleId: 'lending_rules.existing_loan_count', values: { existingLoansCount: 6, max: null, decision: null }
+    });
+  });
+
+  it('routes self-employed requests to the dedicated product when its rules allow', () => {
+    const a1006 = applicants.find(a => a.applicantId === 'A1006');
+    const routed = assess(a1006, policy);
+    expect(routed.loanType).toBe('Personal_SelfEmployed');
+    expect(routed.rateRuleId).toBe('product_pricing.Personal_SelfEmployed.annual_rate');
+    expect(routed.checks.map(c => c.ruleId)).toContain('product_rules.Personal_SelfEmployed.max_amount');
+    expect(routed.checks.find(c => c.id === 'routing')).toMatchObject({ status: 'pass', values: { routed: true } });
+
+    const tooLong = assess(applicants.find(a => a.applicantId === 'A1015'), policy);
+    expect(tooLong.loanType).toBe('Personal');
+    expect(tooLong.checks.find(c => c.id === 'routing')).toMatchObject({ status: 'warn', values: { routed: false } });
+
+    const salaried = assess({ ...a1006, employmentType: 'Salaried' }, policy);
+    expect(salaried.loanType).toBe('Personal');
+    expect(salaried.checks.some(c => c.id === 'routing')).toBe(false);
+  });
+
+  it.each([
+    ['missing', { existingEmi: '' }, 'existingEmi'],
+    ['invalid', { creditScore: '7x0' }, 'creditScore'],
+    ['invalid', { creditScore: '5000' }, 'creditScore'],
+    ['invalid', { tenure: '0' }, 'tenure'],
+    ['contradictory', { existingLoansCount: '0', existingEmi: '25000' }, 'existingEmi'],
+    ['contradictory', { age: '30', employmentYears: '20' }, 'employmentYears']
+  ])('escalates %s data instead of deciding (%o)', (kind, patch, field) => {
+    const result = assess({ ...base, ...patch }, policy);
+    expect(result.decision).toBe('ESCALATED');
+    expect(result.reasons).toContainEqual(expect.objectContaining({ kind, field }));
+    expect(result.probability).toBeNull();
+  });
+});
+
+describe('assess() on joint applications', () => {
+  const base = applicants.find(a => a.applicantId === 'A1003');
+  const co = { name: 'J. Partner', age: '40', employmentType: 'Salaried', employmentYears: '10', income: '60000', creditScore: '700', existingEmi: '10000', existingLoansCount: '1' };
+  const withPolicy = edit => {
+    const lendingRules = structuredClone(policy.lendingRules);
+    edit(lendingRules);
+    return { ...policy, lendingRules };
+  };
+
+  it('combines incomes and obligations and names the party behind every check', () => {
+    const result = assess({ ...base, coApplicants: [co] }, policy);
+    expect(result.decision).toBe('APPROVED');
+    expect(result.checks.find(c => c.id === 'dti')).toMatchObject({ party: 'joint', values: { income: 180000 } });
+    expect(result.dti).toBeCloseTo((result.emi + 10000 + Number(base.existingEmi)) / 180000, 10);
+    expect(result.checks.map(c => [c.id, c.party])).toContainEqual(['age.co_applicant_1', 'co_applicant_1']);
+    expect(result.checks.find(c => c.id === 'employment.co_applicant_1')).toMatchObject({
+      label: 'Employment Stability (Co-applicant 1)', ruleId: 'lending_rules.employment_stability.Salaried.from_1_years'
+    });
+    expect(assess(base, policy).checks.every(c => !('party' in c))).toBe(true);
+  });
+
+  it('bands the credit score named by the policy basis', () => {
+    const credit = assess({ ...base, coApplicants: [co] }, policy).checks.find(c => c.id === 'credit');
+    expect(credit).toMatchObject({ party: 'co_applicant_1', ruleId: 'lending_rules.credit_score_bands.good', values: { basis: 'lowest', scores: [750, 700] } });
+
+    const highest = withPolicy(r => { r.joint_applications.credit_score_basis = 'highest'; });
+    expect(assess({ ...base, coApplicants: [co] }, highest).checks.find(c => c.id === 'credit')).toMatchObject({ party: 'applicant', values: { creditScore: 750 } });
+  });
+
+  it('declines more co-applicants than the policy allows, or any without joint rules', () => {
+    const crowded = assess({ ...base, coApplicants: [co, co, co] }, policy);
+    expect(crowded.decision).toBe('REJECTED');
+    expect(crowded.checks.find(c => c.id === 'joint')).toMatchObject({ status: 'fail', values: { coApplicants: 3, max: 2 } });
+
+    const unsupported = assess({ ...base, coApplicants: [co] }, withPolicy(r => { delete r.joint_applications; }));
+    expect(unsupported.decision).toBe('REJECTED');
+    expect(unsupported.checks.find(c => c.id === 'joint').status).toBe('fail');
+  });
+
+  it('limits age at the end of the tenure when the policy sets it', () => {
+    const capped = withPolicy(r => { r.age_limits.max_at_tenure_end = 65; });
+    const result = assess({ ...base, coApplicants: [{ ...co, age: '59' }], tenure: '84' }, capped);
+    expect(result.decision).toBe('REJECTED');
+    expect(result.checks.find(c => c.id === 'age.co_applicant_1')).toMatchObject({
+      status: 'fail', ruleId: 'lending_rules.age_limits.max_at_tenure_end', values: { ageAtTenureEnd: 66, maxAtTenureEnd: 65 }
+    });
+    expect(assess({ ...base, coApplicants: [{ ...co, age: '58' }], tenure: '60' }, capped).checks.find(c => c.id === 'age.co_applicant_1').status).toBe('pass');
+  });
+
+  it('escalates a co-applicant with unusable data, naming their field', () => {
+    const result = assess({ ...base, coApplicants: [{ ...co, income: '' }] }, policy);
+    expect(result.decision).toBe('ESCALATED');
+    expect(result.reasons).toEqual([{ field: 'coApplicants[0].income', kind: 'missing', message: 'Co-applicant 1: Monthly income was not provided' }]);
+  });
+});
@@ -0,0 +1,32 @@
+// Standard reducing-balance instalment for `principal` repaid over `months`.
+// A zero rate is a plain interest-free split rather than the 0/0 the formula would give.
+export const calculateEMI = (principal, months, annualRate) => {
+  const r = annualRate / 12;
+  if (r === 0) return principal / months;
+  return (principal * r * Math.pow(1 + r, months)) / (Math.pow(1 + r, months) - 1);
+};
+
+// --- AMORTIZATION SCHEDULE ---
+// Month-by-month split of each instalment. Figures are kept unrounded; the final
+// instalment absorbs floating-point drift so the closing balance is exactly zero.
+
+export const amortizationSchedule = (principal, months, annualRate) => {
+  const r = annualRate / 12;
+  const emi = calculateEMI(principal, months, annualRate);
+  const rows = [];
+  let balance = principal;
+  for (let month = 1; month <= months; month++) {
+    const interest = balance * r;
+    const repaid = month === months ? balance : emi - interest;
+    balance -= repaid;
+    rows.push({ month, payment: repaid + interest, interest, principal: repaid, balance: month === months ? 0 : balance });
+  }
+  return rows;
+};
+
+export const SCHEDULE_CSV_COLUMNS = ['month', 'payment', 'interest', 'principal', 'balance'];
+
+export const scheduleToCsv = (rows) => [
+  SCHEDULE_CSV_COLUMNS.join(','),
+  ...rows.map(row => SCHEDULE_CSV_COLUMNS.map(c => c === 'month' ? row.month : row[c].toFixed(2)).join(','))
+].join('\n');
@@ -0,0 +1,44 @@
+import { describe, expect, it } from 'vitest';
+import { amortizationSchedule, calculateEMI, scheduleToCsv } from './emi.js';
+
+describe('calculateEMI()', () => {
+  it('matches the reducing-balance formula', () => {
+    expect(calculateEMI(100000, 12, 0.12)).toBeCloseTo(8884.88, 2);
+  });
+
+  it('divides the principal evenly at a zero rate', () => {
+    expect(calculateEMI(120000, 48, 0)).toBe(2500);
+  });
+});
+
+describe('amortizationSchedule()', () => {
+  it('has one row per month and closes at exactly zero', () => {
+    const rows = amortizationSchedule(250000, 60, 0.105);
+    expect(rows).toHaveLength(60);
+    expect(rows[59].balance).toBe(0);
+    expect(rows.reduce((sum, r) => sum + r.principal, 0)).toBeCloseTo(250000, 6);
+  });
+
+  it('splits each instalment into interest on the opening balance and principal', () => {
+    const [first, second] = amortizationSchedule(100000, 12, 0.12);
+    expect(first.interest).toBeCloseTo(1000, 6);
+    expect(first.payment).toBeCloseTo(calculateEMI(100000, 12, 0.12), 6);
+    expect(first.principal + first.interest).toBeCloseTo(first.payment, 6);
+    expect(second.interest).toBeCloseTo(first.balance * 0.01, 6);
+  });
+
+  it('charges no interest at a zero rate', () => {
+    const rows = amortizationSchedule(1200, 12, 0);
+    rows.forEach(r => expect(r).toMatchObject({ interest: 0, payment: 100 }));
+    expect(rows[11].balance).toBe(0);
+  });
+});
+
+describe('scheduleToCsv()', () => {
+  it('writes a header and two-decimal amounts', () => {
+    const [header, first, ...rest] = scheduleToCsv(amortizationSchedule(1200, 12, 0)).split('\n');
+    expect(header).toBe('month,payment,interest,principal,balance');
+    expect(first).toBe('1,100.00,0.00,100.00,1100.00');
+    expect(rest).toHaveLength(11);
+  });
+});
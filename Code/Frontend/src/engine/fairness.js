@@ -0,0 +1,92 @@
+import { assess } from './assess.js';
+import { PRIMARY_PARTY, coApplicantParty, coApplicantsOf } from './parties.js';
+
+// --- FAIRNESS SAFEGUARDS ---
+// Counterfactual re-runs prove protected attributes do not move an individual decision;
+// the group report surfaces outcome disparities across a portfolio for human review.
+
+export const PROTECTED_ATTRIBUTES = {
+  gender: ['M', 'F', 'O']
+};
+
+// Four-fifths rule: a group approved at under 80% of the best group's rate is highlighted.
+export const DISPARITY_THRESHOLD = 0.8;
+
+// Every person on the application is swapped in turn: the primary applicant, then each
+// co-applicant. On a joint application each run names the party whose attribute moved.
+// Co-applicant entries that are not objects are left to validation.
+export const counterfactualCheck = (applicant, policy, baseline = assess(applicant, policy)) => {
+  const coApplicants = coApplicantsOf(applicant);
+  const joint = coApplicants.length > 0;
+  const persons = [
+    { party: PRIMARY_PARTY, person: applicant, swap: (attribute, value) => ({ ...applicant, [attribute]: value }) },
+    ...coApplicants.map((person, i) => ({
+      party: coApplicantParty(i),
+      person,
+      swap: (attribute, value) => ({ ...applicant, coApplicants: coApplicants.map((p, j) => j === i ? { ...p, [attribute]: value } : p) })
+    })).filter(({ person }) => person !== null && typeof person === 'object')
+  ];
+
+  const runs = [];
+  persons.forEach(({ party, person, swap }) => {
+    Object.entries(PROTECTED_ATTRIBUTES).forEach(([attribute, values]) => {
+      values.filter(v => v !== person[attribute]).forEach(value => {
+        const result = assess(swap(attribute, value), policy);
+        runs.push({
+          ...(joint && { party }),
+          attribute, from: person[attribute] ?? null, to: value,
+          decision: result.decision, probability: result.probability,
+          anomaly: result.decision !== baseline.decision || result.probability !== baseline.probability
+        });
+      });
+    });
+  });
+  return { runs, anomalies: runs.filter(r => r.anomaly) };
+};
+
+const AGE_BUCKETS = [
+  { label: 'Under 25', max: 24 },
+  { label: '25-34', max: 34 },
+  { label: '35-44', max: 44 },
+  { label: '45-54', max: 54 },
+  { label: '55+', max: Infinity }
+];
+
+const ageBucket = (age) => {
+  const n = Number(age);
+  if (String(age ?? '').trim() === '' || !Number.isFinite(n)) return 'Unknown';
+  return AGE_BUCKETS.find(b => n <= b.max).label;
+};
+
+const REPORT_DIMENSIONS = [
+  { id: 'gender', label: 'Gender', group: a => a.gender || 'Unknown' },
+  { id: 'age', label: 'Age Bucket', group: a => ageBucket(a.age) },
+  { id: 'employmentType', label: 'Employment Type', group: a => a.employmentType || 'Unknown' }
+];
+
+// rows: [{ applicant, assessment }]. Escalated cases carry no decision and are excluded
+// from approval rates but still counted per group.
+export const groupFairnessReport = (rows) => REPORT_DIMENSIONS.map(({ id, label, group }) => {
+  const groups = new Map();
+  rows.forEach(({ applicant, assessment }) => {
+    const key = group(applicant);
+    const g = groups.get(key) || { group: key, total: 0, decided: 0, approved: 0 };
+    g.total += 1;
+    if (assessment.decision !== 'ESCALATED') g.decided += 1;
+    if (assessment.decision === 'APPROVED') g.approved += 1;
+    groups.set(key, g);
+  });
+
+  const list = [...groups.values()]
+    .map(g => ({ ...g, approvalRate: g.decided ? g.approved / g.decided : null }))
+    .sort((a, b) => a.group.localeCompare(b.group));
+  const best = Math.max(0, ...list.map(g => g.approvalRate ?? 0));
+  return {
+    dimension: id,
+    label,
+    groups: list.map(g => {
+      const disparityRatio = g.approvalRate === null || best === 0 ? null : g.approvalRate / best;
+      return { ...g, disparityRatio, flagged: disparityRatio !== null && disparityRatio < DISPARITY_THRESHOLD };
+    })
+  };
+});
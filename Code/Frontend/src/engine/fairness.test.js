@@ -0,0 +1,64 @@
+import { describe, expect, it } from 'vitest';
+import { loadTestPolicy, loadTestApplicants } from '../test/datasets.js';
+import { assess } from './assess.js';
+import { DECISION_INPUTS, InputAccessError, restrictToDecisionInputs } from './inputs.js';
+import { counterfactualCheck, groupFairnessReport } from './fairness.js';
+
+const policy = loadTestPolicy();
+const applicants = loadTestApplicants();
+
+describe('decision input allow-list', () => {
+  it('excludes identity and protected fields', () => {
+    ['name', 'gender', 'applicantId', 'applicationTimestamp'].forEach(f => expect(DECISION_INPUTS).not.toContain(f));
+  });
+
+  it('throws when a non-allow-listed field is read', () => {
+    const view = restrictToDecisionInputs(applicants[0]);
+    expect(view.income).toBe(applicants[0].income);
+    expect(() => view.gender).toThrow(InputAccessError);
+  });
+
+  it('lets assess() run without touching protected fields', () => {
+    expect(() => applicants.forEach(a => assess(a, policy))).not.toThrow();
+  });
+});
+
+describe('counterfactualCheck()', () => {
+  it('finds no anomaly when gender is swapped for any dataset applicant', () => {
+    applicants.forEach(a => {
+      const { runs, anomalies } = counterfactualCheck(a, policy);
+      expect(runs).toHaveLength(2);
+      expect(anomalies).toEqual([]);
+    });
+  });
+
+  it('swaps each co-applicant\'s protected attributes on a joint application', () => {
+    const co = { name: 'J. Partner', gender: 'F', age: '40', employmentType: 'Salaried', employmentYears: '10', income: '60000', creditScore: '700', existingEmi: '10000', existingLoansCount: '1' };
+    const { runs, anomalies } = counterfactualCheck({ ...applicants.find(a => a.applicantId === 'A1003'), coApplicants: [co] }, policy);
+    expect(runs).toHaveLength(4);
+    expect(runs.filter(r => r.party === 'co_applicant_1').map(r => [r.from, r.to])).toEqual([['F', 'M'], ['F', 'O']]);
+    expect(runs.filter(r => r.party === 'applicant')).toHaveLength(2);
+    expect(anomalies).toEqual([]);
+  });
+});
+
+describe('groupFairnessReport()', () => {
+  const row = (gender, age, employmentType, decision) => ({ applicant: { gender, age, employmentType }, assessment: { decision } });
+
+  it('computes approval rates and flags groups below four-fifths of the best rate', () => {
+    const [gender, age] = groupFairnessReport([
+      row('M', '30', 'Salaried', 'APPROVED'),
+      row('M', '31', 'Salaried', 'APPROVED'),
+      row('F', '52', 'Salaried', 'APPROVED'),
+      row('F', '53', 'Salaried', 'REJECTED'),
+      row('F', '22', 'Salaried', 'ESCALATED')
+    ]);
+
+    expect(gender.groups).toEqual([
+      expect.objectContaining({ group: 'F', total: 3, decided: 2, approvalRate: 0.5, disparityRatio: 0.5, flagged: true }),
+      expect.objectContaining({ group: 'M', total: 2, decided: 2, approvalRate: 1, disparityRatio: 1, flagged: false })
+    ]);
+    expect(age.groups.map(g => g.group)).toEqual(['25-34', '45-54', 'Under 25']);
+    expect(age.groups.find(g => g.group === 'Under 25')).toMatchObject({ approvalRate: null, flagged: false });
+  });
+});
@@ -0,0 +1,130 @@
+import { assess } from './assess.js';
+import { validateApplicant } from './validate.js';
+import { routeProduct } from './routing.js';
+import { coApplicantsOf } from './parties.js';
+import { productLabel } from '../policy/productRules.js';
+
+// --- WIZARD FIELD RULES ---
+// What the application wizard shows next to each field, derived from the active policy
+// so the form states exactly the limits the engine applies. Every finding cites a rule:
+//  - 'error': the engine could not assess the value and would escalate it, so the page
+//    cannot be left until it is fixed. Blank fields block the page without a message.
+//  - 'policy': the value breaks a lending rule. It is shown with that rule, but the
+//    application can still be submitted and is then declined citing the same rule.
+// Co-applicants fill in the same person pages; their findings are keyed the way the
+// engine names their fields (coApplicants[i].field, see fieldKey).
+
+export const WIZARD_FIELDS = {
+  IDENTITY: ['name', 'age'],
+  FINANCIALS: ['employmentType', 'employmentYears', 'income'],
+  LIABILITIES: ['existingEmi', 'existingLoansCount', 'creditScore'],
+  REQUEST: ['loanType', 'loanAmount', 'tenure']
+};
+
+// The pages every person on the application fills in; REQUEST is the application's own.
+export const PERSON_PAGES = ['IDENTITY', 'FINANCIALS', 'LIABILITIES'];
+
+export const fieldKey = (field, coIndex = null) => coIndex === null ? field : `coApplicants[${coIndex}].${field}`;
+
+// One person's findings keyed by plain field name, as their pages show them.
+export const findingsFor = (findings, coIndex = null) =>
+  Object.fromEntries(PERSON_PAGES.flatMap(page => WIZARD_FIELDS[page]).map(field => [field, findings[fieldKey(field, coIndex)]]));
+
+const money = v => `$${Math.floor(v).toLocaleString()}`;
+
+// The product the engine will assess: routing can only be settled once amount and tenure are known.
+const assessedProduct = (applicant, policy, amount, tenure) => {
+  const requested = policy.products.find(p => p.type === applicant.loanType);
+  if (amount === null || tenure === null) return requested;
+  return routeProduct(policy.lendingRules, policy.products, {
+    employmentType: applicant.employmentType, loanType: applicant.loanType, loanAmount: amount, tenure
+  }).product;
+};
+
+// Returns { [fieldKey]: [{ severity, kind, message, ruleId }] } for fields with findings.
+export const fieldFindings = (applicant, policy) => {
+  const { lendingRules } = policy;
+  const persons = [{ person: applicant, coIndex: null, who: 'The applicant' }, ...coApplicantsOf(applicant).map((person, i) => ({ person, coIndex: i, who: `Co-applicant ${i + 1}` }))];
+  const findings = validateApplicant(applicant, lendingRules).map(({ field, kind, message, ruleId }) => ({
+    field, severity: 'error', kind, message, ruleId: ruleId || 'fail_safe.data_integrity'
+  }));
+  persons.filter(({ person }) => String(person?.name ?? '').trim() === '').forEach(({ coIndex }) => {
+    findings.push({ field: fieldKey('name', coIndex), severity: 'error', kind: 'missing', message: 'Name was not provided', ruleId: null });
+  });
+
+  // Policy limits are only checked on values the engine could read.
+  const unreadable = new Set(findings.map(f => f.field));
+  const value = (field, { person, coIndex } = persons[0]) => !person || unreadable.has(fieldKey(field, coIndex)) ? null : Number(person[field]);
+  const breach = (field, message, ruleId) => findings.push({ field, severity: 'policy', kind: 'limit', message, ruleId });
+
+  const amount = value('loanAmount');
+  const tenure = value('tenure');
+  const { min: minAge, max: maxAge, max_at_tenure_end: maxEndAge } = lendingRules.age_limits;
+  persons.forEach(p => {
+    const age = value('age', p);
+    if (age === null) return;
+    if (age < minAge || age > maxAge) breach(fieldKey('age', p.coIndex), `Applicants must be ${minAge}-${maxAge} years old`, 'lending_rules.age_limits');
+    else if (maxEndAge !== undefined && tenure !== null && age + tenure / 12 > maxEndAge) {
+      breach('tenure', `${p.who} would be ${+(age + tenure / 12).toFixed(1)} when this tenure ends (at most ${maxEndAge})`, 'lending_rules.age_limits.max_at_tenure_end');
+    }
+  });
+
+  const product = assessedProduct(applicant, policy, amount, tenure);
+  if (product) {
+    const name = productLabel(product.type);
+    if (amount !== null && amount > product.max) {
+      breach('loanAmount', `${name} loans go up to ${money(product.max)}`, `product_rules.${product.type}.max_amount`);
+    }
+    if (tenure !== null && (tenure < product.min_t || tenure > product.max_t)) {
+      breach('tenure', `${name} loans run ${product.min_t}-${product.max_t} months`, `product_rules.${product.type}.tenure_months`);
+    }
+    const family = product.family.toLowerCase();
+    const cap = lendingRules.loan_to_income_ratio[family];
+    const incomes = persons.map(p => value('income', p));
+    const income = incomes.includes(null) ? null : incomes.reduce((a, b) => a + b, 0);
+    if (amount !== null && income !== null && cap !== undefined && amount / income > cap) {
+      breach('loanAmount', `At most ${money(cap * income)} (${cap}x ${persons.length > 1 ? 'combined ' : ''}monthly income) for ${product.family} loans`, `lending_rules.loan_to_income_ratio.${family}`);
+    }
+  }
+
+  return findings.reduce((byField, { field, ...finding }) => ({ ...byField, [field]: [...(byField[field] || []), finding] }), {});
+};
+
+const isError = f => f.severity === 'error';
+
+// A person page of the primary applicant, or of co-applicant `coIndex`.
+export const pageBlocked = (findings, page, coIndex = null) =>
+  WIZARD_FIELDS[page].some(field => (findings[fieldKey(field, coIndex)] || []).some(isError));
+
+export const personBlocked = (findings, coIndex = null) => PERSON_PAGES.some(page => pageBlocked(findings, page, coIndex));
+
+// The last page submits the whole application, co-applicants included.
+export const submitBlocked = findings => Object.values(findings).some(list => list.some(isError));
+
+// Placeholder text stating each field's limits under the active policy.
+export const fieldHints = (applicant, policy) => {
+  const { age_limits: age, credit_score_range: scores } = policy.lendingRules;
+  const product = assessedProduct(applicant, policy, null, null);
+  return {
+    age: `${age.min} - ${age.max}`,
+    creditScore: scores ? `${scores.min} - ${scores.max}` : 'Bureau score',
+    loanAmount: product ? `Up to ${money(product.max)}` : '',
+    tenure: product ? `${product.min_t} - ${product.max_t} months` : 'Months'
+  };
+};
+
+// The instalment and debt-to-income ratio the engine would compute for the request so
+// far, or null while any decision input is still missing or unreadable (the engine
+// escalates those without pricing) or the product is not catalogued.
+export const liveEstimate = (applicant, policy) => {
+  const result = assess(applicant, policy);
+  if (result.emi === null) return null;
+  return {
+    loanType: result.loanType,
+    emi: result.emi,
+    annualRate: result.annualRate,
+    totalObligation: result.totalObligation,
+    dti: result.dti,
+    dtiCheck: result.checks.find(c => c.id === 'dti')
+  };
+};
@@ -0,0 +1,67 @@
+import { describe, expect, it } from 'vitest';
+import { loadTestPolicy, loadTestApplicants } from '../test/datasets.js';
+import { assess } from './assess.js';
+import { fieldFindings, fieldHints, findingsFor, liveEstimate, pageBlocked, personBlocked, submitBlocked, WIZARD_FIELDS } from './fieldRules.js';
+
+const policy = loadTestPolicy();
+const base = loadTestApplicants().find(a => a.applicantId === 'A1003');
+const pages = Object.keys(WIZARD_FIELDS);
+
+describe('wizard field rules', () => {
+  it('finds nothing on a complete, in-policy application', () => {
+    const findings = fieldFindings(base, policy);
+    expect(findings).toEqual({});
+    expect(pages.filter(page => pageBlocked(findings, page))).toEqual([]);
+  });
+
+  it('blocks a page on blank or implausible values', () => {
+    const blank = fieldFindings({ ...base, name: '', income: '' }, policy);
+    expect(blank.name).toEqual([expect.objectContaining({ severity: 'error', kind: 'missing' })]);
+    expect(pages.filter(page => pageBlocked(blank, page))).toEqual(['IDENTITY', 'FINANCIALS']);
+
+    expect(fieldFindings({ ...base, age: '-5' }, policy).age).toEqual([
+      { severity: 'error', kind: 'invalid', message: 'Age -5 must be zero or more', ruleId: 'fail_safe.data_integrity' }
+    ]);
+    const score = fieldFindings({ ...base, creditScore: '5000' }, policy);
+    expect(score.creditScore).toEqual([expect.objectContaining({ severity: 'error', ruleId: 'lending_rules.credit_score_range' })]);
+    expect(pageBlocked(score, 'LIABILITIES')).toBe(true);
+  });
+
+  it('shows a policy breach with its rule without blocking the page', () => {
+    const findings = fieldFindings({ ...base, age: '70' }, policy);
+    expect(findings.age).toEqual([{ severity: 'policy', kind: 'limit', message: 'Applicants must be 21-60 years old', ruleId: 'lending_rules.age_limits' }]);
+    expect(pageBlocked(findings, 'IDENTITY')).toBe(false);
+    expect(assess({ ...base, age: '70' }, policy).checks.find(c => c.id === 'age').ruleId).toBe('lending_rules.age_limits');
+  });
+
+  it('checks amount and tenure against the selected product', () => {
+    const request = { ...base, loanAmount: '1200000', tenure: '90' };
+    expect(Object.values(fieldFindings(request, policy)).flat().map(f => f.ruleId)).toEqual([
+      'product_rules.Vehicle.max_amount',
+      'product_rules.Vehicle.tenure_months'
+    ]);
+    expect(fieldFindings({ ...request, loanType: 'Vehicle_Electric' }, policy)).toEqual({});
+    expect(fieldFindings({ ...base, loanAmount: '1300000', loanType: 'Vehicle_Electric' }, policy).loanAmount).toEqual([
+      expect.objectContaining({ severity: 'policy', ruleId: 'lending_rules.loan_to_income_ratio.vehicle', message: 'At most $1,200,000 (10x monthly income) for Vehicle loans' })
+    ]);
+    expect(fieldHints({ ...base, loanType: 'Vehicle_Two_Wheeler' }, policy)).toMatchObject({ loanAmount: 'Up to $300,000', tenure: '12 - 48 months', creditScore: '300 - 900' });
+  });
+
+  it('keys co-applicant findings by their engine field name and blocks submission on them', () => {
+    const co = { name: '', age: '70', employmentType: 'Salaried', employmentYears: '10', income: 'n/a', creditScore: '700', existingEmi: '0', existingLoansCount: '0' };
+    const findings = fieldFindings({ ...base, coApplicants: [co] }, policy);
+    expect(Object.keys(findings).sort()).toEqual(['coApplicants[0].age', 'coApplicants[0].income', 'coApplicants[0].name']);
+    expect(findingsFor(findings, 0).age).toEqual([expect.objectContaining({ severity: 'policy', ruleId: 'lending_rules.age_limits' })]);
+    expect(pages.filter(page => pageBlocked(findings, page))).toEqual([]);
+    expect([personBlocked(findings), personBlocked(findings, 0), submitBlocked(findings)]).toEqual([false, true, true]);
+
+    const joint = fieldFindings({ ...base, loanAmount: '1300000', loanType: 'Vehicle_Electric', coApplicants: [{ ...co, name: 'J. Partner', age: '40', income: '60000' }] }, policy);
+    expect(joint).toEqual({});
+  });
+
+  it('estimates the instalment and DTI the engine would compute', () => {
+    const result = assess(base, policy);
+    expect(liveEstimate(base, policy)).toMatchObject({ loanType: 'Vehicle', emi: result.emi, dti: result.dti, dtiCheck: result.checks.find(c => c.id === 'dti') });
+    expect(liveEstimate({ ...base, tenure: '' }, policy)).toBeNull();
+  });
+});
@@ -0,0 +1,57 @@
+import { coApplicantsOf } from './parties.js';
+
+// --- DECISION INPUT ALLOW-LIST ---
+// The only applicant fields the engine may read. Identity fields (name, gender, IDs,
+// timestamps) are deliberately absent, and any attempt to read them throws. The same
+// holds for each co-applicant on a joint application.
+
+export const DECISION_INPUTS = Object.freeze([
+  'age',
+  'employmentType',
+  'employmentYears',
+  'income',
+  'creditScore',
+  'existingEmi',
+  'existingLoansCount',
+  'loanType',
+  'loanAmount',
+  'tenure'
+]);
+
+// A co-applicant's own inputs; the loan request is read from the primary applicant only.
+export const CO_APPLICANT_INPUTS = Object.freeze(DECISION_INPUTS.filter(f => !['loanType', 'loanAmount', 'tenure'].includes(f)));
+
+// Declared inputs that a verification provider can confirm, with their labels. The
+// values it reports sit under `verification`, keyed by input: { value, source, reference }.
+export const VERIFIABLE_INPUTS = Object.freeze({ creditScore: 'Credit score', income: 'Monthly income' });
+
+export class InputAccessError extends Error {
+  constructor(field) {
+    super(`Engine attempted to read "${field}", which is not an allow-listed decision input`);
+    this.name = 'InputAccessError';
+    this.field = field;
+  }
+}
+
+const restrict = (person, allowed) => new Proxy(person, {
+  get(target, prop, receiver) {
+    if (typeof prop === 'symbol' || allowed.includes(prop)) return Reflect.get(target, prop, receiver);
+    throw new InputAccessError(prop);
+  },
+  set() {
+    return false;
+  }
+});
+
+// Read-only view of the applicant that exposes allow-listed fields only. `coApplicants`
+// is always an array here (empty on a single application); entries that are not objects
+// are passed through for validation to report. `verification` is the primary applicant's
+// only; co-applicants carry no applicant ID to look up.
+export const restrictToDecisionInputs = (applicant) => {
+  const coApplicants = coApplicantsOf(applicant).map(p => p !== null && typeof p === 'object' ? restrict(p, CO_APPLICANT_INPUTS) : p);
+  return restrict({ ...applicant, coApplicants }, [...DECISION_INPUTS, 'coApplicants', 'verification']);
+};
+
+// Co-applicants' inputs exactly as submitted, for audit records and reports.
+export const snapshotCoApplicants = applicant =>
+  coApplicantsOf(applicant).map(p => Object.fromEntries(CO_APPLICANT_INPUTS.map(f => [f, p?.[f] ?? null])));
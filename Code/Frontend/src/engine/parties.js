@@ -0,0 +1,27 @@
+// --- JOINT APPLICATIONS ---
+// A joint application lists co-applicants next to the primary applicant. Each person
+// brings their own age, employment, income, obligations and credit score; the loan
+// request (product, amount, tenure) belongs to the application as a whole. On a joint
+// application every check names the party it evaluated: the applicant, a co-applicant,
+// or the joint figures (combined income and obligations).
+
+export const PRIMARY_PARTY = 'applicant';
+export const JOINT_PARTY = 'joint';
+
+export const coApplicantParty = index => `co_applicant_${index + 1}`;
+
+export const partyLabel = party => party === PRIMARY_PARTY ? 'Applicant'
+  : party === JOINT_PARTY ? 'Joint'
+    : `Co-applicant ${party.replace('co_applicant_', '')}`;
+
+export const coApplicantsOf = applicant => Array.isArray(applicant.coApplicants) ? applicant.coApplicants : [];
+
+export const CREDIT_SCORE_BASES = ['lowest', 'highest', 'primary'];
+
+// `scored` lists { party, creditScore } with the primary applicant first. Ties go to the
+// earlier party.
+export const governingScore = (scored, basis) => {
+  if (basis === 'lowest') return scored.reduce((low, s) => s.creditScore < low.creditScore ? s : low);
+  if (basis === 'highest') return scored.reduce((high, s) => s.creditScore > high.creditScore ? s : high);
+  return scored[0];
+};
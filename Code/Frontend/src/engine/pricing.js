@@ -0,0 +1,12 @@
+// --- PRODUCT PRICING ---
+// A product's own rate for the applicant's credit band when the pricing data defines
+// one, otherwise the product's base rate. Each result cites the entry it came from.
+
+export const resolveAnnualRate = (pricing, productType, band) => {
+  const entry = pricing[productType];
+  if (!entry) return null;
+  if (entry.credit_band_rates && Object.hasOwn(entry.credit_band_rates, band)) {
+    return { rate: entry.credit_band_rates[band], ruleId: `product_pricing.${productType}.credit_band_rates.${band}` };
+  }
+  return { rate: entry.annual_rate, ruleId: `product_pricing.${productType}.annual_rate` };
+};
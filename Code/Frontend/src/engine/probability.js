@@ -0,0 +1,47 @@
+// --- APPROVAL PROBABILITY ---
+// Weighted sum of the components in Approval_Probability_Dataset.json. Every factor keeps
+// the band it landed in so the 0-100% figure can always be traced back to the dataset.
+
+// The schema requires an open-ended last band; a value no band covers scores nothing.
+const findBand = (bands, key, value) => bands.find(b => b[key] === null || value <= b[key]);
+
+export const estimateApprovalProbability = (inputs, model) => {
+  const { creditBand, emiCategory, ltiUtilisation, employmentType, employmentYears, existingLoansCount } = inputs;
+  const factors = [];
+  const add = (id, label, points, basis) => {
+    const { weight } = model[id];
+    factors.push({ id, ruleId: `approval_probability.components.${id}`, label, weight, points, contribution: weight * points, basis });
+  };
+
+  add('credit_band', 'Credit Band', model.credit_band.points[creditBand], `${creditBand.toUpperCase()} band`);
+  add('emi_income_category', 'EMI / Income', model.emi_income_category.points[emiCategory], `${emiCategory.toUpperCase()} category`);
+
+  if (ltiUtilisation === null || Number.isNaN(ltiUtilisation)) {
+    add('loan_to_income', 'Loan-to-Income', 0, 'No applicable loan-to-income cap');
+  } else {
+    const band = findBand(model.loan_to_income.cap_utilisation_bands, 'max_utilisation', ltiUtilisation);
+    const basis = `${(ltiUtilisation * 100).toFixed(0)}% of the family cap used`;
+    add('loan_to_income', 'Loan-to-Income', band ? band.points : 0, band ? basis : `${basis}; no utilisation band covers it`);
+  }
+
+  const stabilityBands = model.employment_stability.bands_by_employment_type[employmentType];
+  if (!stabilityBands) {
+    add('employment_stability', 'Employment Stability', 0, `No stability bands defined for "${employmentType}"`);
+  } else if (Number.isNaN(employmentYears)) {
+    add('employment_stability', 'Employment Stability', 0, 'Employment tenure not provided');
+  } else {
+    const band = stabilityBands.find(b => employmentYears >= b.min_years) || stabilityBands[stabilityBands.length - 1];
+    add('employment_stability', 'Employment Stability', band.points, `${employmentType}, ${employmentYears} yrs (band from ${band.min_years} yrs)`);
+  }
+
+  if (Number.isNaN(existingLoansCount)) {
+    add('existing_loans', 'Existing Loans', 0, 'Active loan count not provided');
+  } else {
+    const band = findBand(model.existing_loans.count_bands, 'max_count', existingLoansCount);
+    const basis = `${existingLoansCount} active loan${existingLoansCount === 1 ? '' : 's'}`;
+    add('existing_loans', 'Existing Loans', band ? band.points : 0, band ? basis : `${basis}; no count band covers it`);
+  }
+
+  const probability = Math.round(factors.reduce((sum, f) => sum + f.contribution, 0) * 10) / 10;
+  return { probability, factors };
+};
@@ -0,0 +1,26 @@
+import { describe, expect, it } from 'vitest';
+import { loadTestPolicy } from '../test/datasets.js';
+import { estimateApprovalProbability } from './probability.js';
+
+const { probabilityModel } = loadTestPolicy();
+
+const INPUTS = { creditBand: 'excellent', emiCategory: 'safe', ltiUtilisation: 0.4, employmentType: 'Salaried', employmentYears: 5, existingLoansCount: 1 };
+
+describe('estimateApprovalProbability()', () => {
+  it('lands each factor in its dataset band', () => {
+    const { factors } = estimateApprovalProbability(INPUTS, probabilityModel);
+    expect(factors.find(f => f.id === 'loan_to_income').points).toBe(probabilityModel.loan_to_income.cap_utilisation_bands[0].points);
+    expect(factors.find(f => f.id === 'existing_loans').points).toBe(probabilityModel.existing_loans.count_bands[1].points);
+  });
+
+  it('scores nothing for a value no band covers instead of failing', () => {
+    const closed = {
+      ...probabilityModel,
+      loan_to_income: { ...probabilityModel.loan_to_income, cap_utilisation_bands: [{ max_utilisation: 0.5, points: 1 }] },
+      existing_loans: { ...probabilityModel.existing_loans, count_bands: [{ max_count: 0, points: 1 }] }
+    };
+    const { factors } = estimateApprovalProbability({ ...INPUTS, ltiUtilisation: 0.9, existingLoansCount: 2 }, closed);
+    expect(factors.find(f => f.id === 'loan_to_income')).toMatchObject({ points: 0, basis: '90% of the family cap used; no utilisation band covers it' });
+    expect(factors.find(f => f.id === 'existing_loans')).toMatchObject({ points: 0, basis: '2 active loans; no count band covers it' });
+  });
+});
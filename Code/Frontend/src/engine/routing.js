@@ -0,0 +1,36 @@
+// --- PRODUCT ROUTING ---
+// lending_rules.product_routing can redirect a request to a product designed for the
+// applicant's employment type (e.g. self-employed Personal loans to Personal_SelfEmployed).
+// A route is only taken when the target product's own rules allow the requested amount
+// and tenure; otherwise the request stays on the product that was asked for.
+
+export const routeProduct = (lendingRules, products, { employmentType, loanType, loanAmount, tenure }) => {
+  const requested = products.find(p => p.type === loanType);
+  const target = lendingRules.product_routing?.[employmentType]?.[loanType];
+  if (!target || !requested) return { product: requested, check: null };
+
+  const routed = products.find(p => p.type === target);
+  const ruleId = `lending_rules.product_routing.${employmentType}.${loanType}`;
+  const values = { employmentType, requested: loanType, target, loanAmount, tenure };
+  const fits = routed && loanAmount <= routed.max && tenure >= routed.min_t && tenure <= routed.max_t;
+  if (!fits) {
+    return {
+      product: requested,
+      check: {
+        id: 'routing', ruleId, label: 'Product Routing', status: 'warn',
+        detail: routed
+          ? `${employmentType} requests route to ${target}, but its limits ($${routed.max.toLocaleString()}, ${routed.min_t}-${routed.max_t} months) do not allow this request; assessed as ${loanType}`
+          : `${employmentType} requests route to ${target}, which is not in the product rules catalogue; assessed as ${loanType}`,
+        values: { ...values, routed: false }
+      }
+    };
+  }
+  return {
+    product: routed,
+    check: {
+      id: 'routing', ruleId, label: 'Product Routing', status: 'pass',
+      detail: `${employmentType} ${loanType} request assessed under ${target}, whose rules allow $${loanAmount.toLocaleString()} over ${tenure} months`,
+      values: { ...values, routed: true }
+    }
+  };
+};
@@ -0,0 +1,27 @@
+import { assess } from './assess.js';
+
+// --- WHAT-IF SCENARIOS ---
+// A scenario re-assesses a copy of the applicant with some of the request inputs changed.
+// Only inputs the user actually changed are replaced. A blank or unreadable input is
+// never filled in: it stays as submitted and the engine treats it as it did the first
+// time. Escalated assessments have no scenarios, since none of their figures were derived.
+
+export const SCENARIO_INPUTS = Object.freeze(['loanType', 'loanAmount', 'tenure', 'existingEmi']);
+
+export const scenariosAvailable = assessment => assessment.decision !== 'ESCALATED';
+
+const isReadable = v => /^\s*-?\d+(\.\d+)?\s*$/.test(String(v ?? ''));
+
+// Starting values for the simulator; a numeric input that is blank or not a number is null.
+export const scenarioDraft = applicant => ({
+  loanType: applicant.loanType,
+  ...Object.fromEntries(SCENARIO_INPUTS.filter(f => f !== 'loanType').map(f => [f, isReadable(applicant[f]) ? Number(applicant[f]) : null]))
+});
+
+// The inputs a draft changes, as strings the way applicants carry them. This is also the
+// `changes` body of the API's scenario endpoint. Null and unchanged inputs are left out.
+export const scenarioChanges = (applicant, draft) => Object.fromEntries(SCENARIO_INPUTS
+  .filter(f => draft[f] !== null && draft[f] !== undefined && String(draft[f]) !== String(applicant[f] ?? '').trim())
+  .map(f => [f, String(draft[f])]));
+
+export const applyScenario = (applicant, changes, policy) => assess({ ...applicant, ...changes }, policy);
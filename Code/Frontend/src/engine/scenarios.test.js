@@ -0,0 +1,37 @@
+import { describe, expect, it } from 'vitest';
+import { loadTestPolicy, loadTestApplicants } from '../test/datasets.js';
+import { assess } from './assess.js';
+import { applyScenario, scenarioChanges, scenarioDraft, scenariosAvailable } from './scenarios.js';
+
+const policy = loadTestPolicy();
+const base = loadTestApplicants().find(a => a.applicantId === 'A1003');
+
+describe('what-if scenarios', () => {
+  it('starts from the submitted request and sends only what changed', () => {
+    const draft = scenarioDraft(base);
+    expect(draft).toEqual({ loanType: base.loanType, loanAmount: Number(base.loanAmount), tenure: Number(base.tenure), existingEmi: Number(base.existingEmi) });
+    expect(scenarioChanges(base, draft)).toEqual({});
+    expect(scenarioChanges(base, { ...draft, tenure: 36 })).toEqual({ tenure: '36' });
+  });
+
+  it('re-assesses a copy of the applicant', () => {
+    const snapshot = structuredClone(base);
+    const result = applyScenario(base, { loanAmount: '100000' }, policy);
+    expect(result).toEqual(assess({ ...base, loanAmount: '100000' }, policy));
+    expect(base).toEqual(snapshot);
+  });
+
+  it('never fills in a blank or unreadable input', () => {
+    const blank = { ...base, existingEmi: '', tenure: '4x' };
+    const draft = scenarioDraft(blank);
+    expect(draft).toMatchObject({ existingEmi: null, tenure: null });
+    const changes = scenarioChanges(blank, { ...draft, loanAmount: 100000 });
+    expect(changes).toEqual({ loanAmount: '100000' });
+    expect(applyScenario(blank, changes, policy).decision).toBe('ESCALATED');
+  });
+
+  it('is not offered for an escalated assessment', () => {
+    expect(scenariosAvailable(assess(base, policy))).toBe(true);
+    expect(scenariosAvailable(assess({ ...base, existingEmi: '' }, policy))).toBe(false);
+  });
+});
@@ -0,0 +1,143 @@
+import { calculateEMI } from './emi.js';
+import { partyLabel } from './parties.js';
+import { routeProduct } from './routing.js';
+
+// --- IMPROVEMENT SUGGESTIONS ---
+// Each failed or warned check is inverted against the dataset rule it cites to find the
+// smallest concrete change that would satisfy that rule. Rules that cannot be met by
+// changing the request (e.g. age) yield nothing. Wording never promises an outcome.
+// Per-person checks on a joint application (employment, loans) are inverted for every
+// party, and the suggestion names the party it is for. A suggested tenure is held to the
+// limits the engine applies to it: every person's age when it ends, and the window of the
+// product routing would assess it under.
+
+const money = v => `$${Math.floor(v).toLocaleString()}`;
+
+// DTI target: the highest EMI/income threshold whose category the dataset approves.
+const safeDtiCategory = (ratios) => [...ratios].reverse().find(r => r.decision === 'approve');
+
+// First tenure from `from` towards `to` (either direction) that `ok` accepts.
+const firstTenure = (from, to, ok) => {
+  const step = from <= to ? 1 : -1;
+  for (let t = from; step * (to - t) >= 0; t += step) {
+    if (ok(t)) return t;
+  }
+  return null;
+};
+
+const minTenureForDti = (principal, rate, existingEmi, income, target, from, to, fits) =>
+  firstTenure(from, to, t => fits(t) && (existingEmi + calculateEMI(principal, t, rate)) / income <= target);
+
+// Largest principal whose EMI over `months` keeps total obligations within `target`.
+const maxPrincipalForDti = (rate, existingEmi, income, target, months) => {
+  const headroom = target * income - existingEmi;
+  return headroom > 0 ? headroom / calculateEMI(1, months, rate) : 0;
+};
+
+export const suggestImprovements = (applicant, result, policy) => {
+  if (result.decision !== 'REVIEW' && result.decision !== 'REJECTED') return [];
+
+  const check = id => result.checks.find(c => c.id === id);
+  // Routing may have assessed the request under a different product than the one asked for.
+  const product = policy.products.find(p => p.type === result.loanType);
+  const suggestions = [];
+  const add = (c, title, message) => suggestions.push({ checkId: c.id, ruleId: c.ruleId, title, message });
+
+  // A person's own checks: the primary applicant's, then each co-applicant's.
+  const personChecks = id => result.checks.filter(c => c.id === id || c.id.startsWith(`${id}.`));
+  const forParty = (c, message) => c.party ? `${partyLabel(c.party)}: ${message}` : message;
+
+  const principal = parseFloat(applicant.loanAmount);
+  const ageFits = t => personChecks('age').every(c => c.values.maxAtTenureEnd === undefined || c.values.age + t / 12 <= c.values.maxAtTenureEnd);
+  // The product a tenure of `t` months would be assessed under, or null if it would not be accepted.
+  const productFor = (t) => {
+    if (!ageFits(t)) return null;
+    const { product: p } = routeProduct(policy.lendingRules, policy.products, { employmentType: applicant.employmentType, loanType: applicant.loanType, loanAmount: principal, tenure: t });
+    return p && t >= p.min_t && t <= p.max_t ? p : null;
+  };
+
+  const amount = check('amount');
+  if (amount?.status === 'fail') {
+    add(amount, 'Reduce the requested amount',
+      `Requesting no more than ${money(amount.values.max)} would fall within the ${result.loanType} maximum. Meeting this rule alone does not ensure approval.`);
+  }
+
+  const tenure = check('tenure');
+  if (tenure?.status === 'fail') {
+    const { min, max } = tenure.values;
+    const target = tenure.values.tenure < min ? firstTenure(min, max, productFor) : firstTenure(max, min, productFor);
+    if (target !== null) {
+      const p = productFor(target);
+      add(tenure, 'Adjust the repayment tenure',
+        `A tenure of ${target} months would sit inside the ${p.min_t}-${p.max_t} month window for ${p.type}. Other checks would still apply.`);
+    }
+  }
+
+  const lti = check('lti');
+  if (lti?.status === 'fail' && lti.values.cap !== null) {
+    add(lti, 'Align the amount with income',
+      `At ${money(lti.values.income)}/month, a request of up to ${money(lti.values.cap * lti.values.income)} would be within the ${lti.values.cap}x loan-to-income cap. This is a policy limit, not an offer.`);
+  }
+
+  const credit = check('credit');
+  if (credit && credit.status !== 'pass') {
+    const bands = policy.lendingRules.credit_score_bands;
+    const current = bands.findIndex(b => b.band === credit.values.band);
+    const better = bands.slice(0, current).reverse().find(b => b.min_score !== null && b.decision !== 'reject' && b.decision !== bands[current].decision);
+    if (better) {
+      add(credit, 'Strengthen the credit profile',
+        `A bureau score of at least ${better.min_score} would place the application in the ${better.band.toUpperCase()} band (currently ${credit.values.creditScore}). Score changes depend on the bureau and cannot be assured.`);
+    }
+  }
+
+  personChecks('employment').filter(c => c.status === 'fail' && c.values.decision !== null).forEach(employment => {
+    const bands = policy.lendingRules.employment_stability[employment.values.employmentType];
+    const eligible = [...bands].reverse().find(b => b.decision !== 'reject');
+    if (eligible) {
+      add(employment, 'Build employment tenure', forParty(employment,
+        `${employment.values.employmentType} applicants need at least ${eligible.min_years} years of employment (currently ${employment.values.employmentYears}). Tenure is verified again when a new application is made.`));
+    }
+  });
+
+  const allowedLoans = policy.lendingRules.existing_loan_count.filter(b => b.decision !== 'reject' && b.max_count !== null);
+  personChecks('loans').filter(c => c.status === 'fail').forEach(loans => {
+    if (allowedLoans.length) {
+      const max = allowedLoans[allowedLoans.length - 1].max_count;
+      add(loans, 'Consolidate existing loans', forParty(loans,
+        `Holding no more than ${max} active loan${max === 1 ? '' : 's'} (currently ${loans.values.existingLoansCount}) would clear the existing loan count rule. Other checks would still apply.`));
+    }
+  });
+
+  const dti = check('dti');
+  const safe = safeDtiCategory(policy.lendingRules.emi_income_ratio);
+  if (dti && dti.status !== 'pass' && safe && product) {
+    const { income } = dti.values;
+    const existingEmi = result.existingEmi;
+    const months = parseInt(applicant.tenure);
+    const target = safe.threshold;
+    const pct = `${(target * 100).toFixed(0)}%`;
+
+    const t = minTenureForDti(principal, result.annualRate, existingEmi, income, target, Math.max(months + 1, product.min_t), product.max_t, x => productFor(x) === product);
+    if (t !== null) {
+      add(dti, 'Extend the tenure',
+        `Repaying over ${t} months (within the ${product.max_t}-month product limit) would lower the debt-to-income ratio to the ${safe.category.toUpperCase()} level of ${pct} or below. A longer tenure increases total interest paid.`);
+    }
+
+    const fitMonths = firstTenure(Math.min(Math.max(months, product.min_t), product.max_t), product.min_t, ageFits);
+    const caps = [fitMonths === null ? 0 : maxPrincipalForDti(result.annualRate, existingEmi, income, target, fitMonths), product.max];
+    if (lti?.values.cap) caps.push(lti.values.cap * income);
+    const maxPrincipal = Math.min(...caps);
+    if (maxPrincipal >= 1 && maxPrincipal < principal) {
+      add(dti, 'Lower the principal',
+        `Over ${fitMonths} months, a principal of up to ${money(maxPrincipal)} would keep total obligations within the ${pct} ${safe.category.toUpperCase()} threshold. This is an estimate, not a commitment to lend.`);
+    }
+
+    const reduction = result.totalObligation - target * income;
+    if (existingEmi > 0 && reduction > 0 && reduction <= existingEmi) {
+      add(dti, 'Reduce existing obligations',
+        `Reducing existing EMIs by at least ${money(Math.ceil(reduction))}/month would bring the ratio to ${pct} or below at the requested amount and tenure. The assessment would need to be re-run on updated figures.`);
+    }
+  }
+
+  return suggestions;
+};
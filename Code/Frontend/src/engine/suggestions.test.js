@@ -0,0 +1,86 @@
+import { describe, expect, it } from 'vitest';
+import { loadTestPolicy, loadTestApplicants } from '../test/datasets.js';
+import { assess } from './assess.js';
+import { suggestImprovements } from './suggestions.js';
+
+const policy = loadTestPolicy();
+const applicants = loadTestApplicants();
+const byId = id => applicants.find(a => a.applicantId === id);
+
+const suggest = applicant => suggestImprovements(applicant, assess(applicant, policy), policy);
+
+describe('suggestImprovements()', () => {
+  it('returns nothing for approved applications', () => {
+    expect(suggest(byId('A1003'))).toEqual([]);
+  });
+
+  it('cites the rule behind every suggestion and never promises an outcome', () => {
+    applicants.flatMap(suggest).forEach(s => {
+      expect(s.ruleId).toMatch(/^(lending_rules|product_rules)\./);
+      expect(s.message).not.toMatch(/guarantee[ds]? (approval|success)|will be approved/i);
+    });
+  });
+
+  it('finds the minimum tenure that brings DTI under the safe threshold', () => {
+    const applicant = { ...byId('A1020'), existingEmi: '15000', tenure: '120' };
+    const tenure = suggest(applicant).find(s => s.title === 'Extend the tenure');
+    const months = Number(tenure.message.match(/over (\d+) months/)[1]);
+
+    expect(assess({ ...applicant, tenure: String(months) }, policy).checks.find(c => c.id === 'dti').status).toBe('pass');
+    expect(assess({ ...applicant, tenure: String(months - 1) }, policy).checks.find(c => c.id === 'dti').status).not.toBe('pass');
+  });
+
+  it('omits a tenure extension when the product maximum is already requested', () => {
+    const titles = suggest(byId('A1002')).map(s => s.title);
+    expect(titles).not.toContain('Extend the tenure');
+    expect(titles).toEqual(expect.arrayContaining(['Lower the principal', 'Reduce existing obligations']));
+  });
+
+  it('points an out-of-window tenure back to the product limit', () => {
+    const [s] = suggest({ ...byId('A1003'), tenure: '200' }).filter(x => x.checkId === 'tenure');
+    expect(s.ruleId).toBe('product_rules.Vehicle.tenure_months');
+    expect(s.message).toContain('84 months');
+  });
+
+  it('keeps a suggested tenure within every person\'s age limit at the end of it', () => {
+    const lendingRules = structuredClone(policy.lendingRules);
+    lendingRules.age_limits.max_at_tenure_end = 65;
+    const capped = { ...policy, lendingRules };
+    const suggestUnder = applicant => suggestImprovements(applicant, assess(applicant, capped), capped);
+
+    const applicant = { ...byId('A1003'), tenure: '200', age: '59' };
+    const [s] = suggestUnder(applicant).filter(x => x.checkId === 'tenure');
+    expect(s.message).toMatch(/^A tenure of 72 months/);
+    const checks = assess({ ...applicant, tenure: '72' }, capped).checks;
+    expect(checks.filter(c => c.id === 'age' || c.id === 'tenure').map(c => c.status)).toEqual(['pass', 'pass']);
+
+    // 55 at application: a 120-month tenure ends at exactly 65, so it cannot be extended.
+    const titles = suggestUnder({ ...byId('A1020'), existingEmi: '15000', tenure: '120', age: '55' }).map(x => x.title);
+    expect(titles).not.toContain('Extend the tenure');
+    expect(titles).toContain('Lower the principal');
+  });
+
+  it('names the product routing would assess a suggested tenure under', () => {
+    const [s] = suggest({ ...byId('A1006'), tenure: '6' }).filter(x => x.checkId === 'tenure');
+    expect(s.message).toContain('12-48 month window for Personal_SelfEmployed');
+  });
+
+  it('points stability failures at the dataset minimums', () => {
+    const byCheck = Object.fromEntries(suggest({ ...byId('A1003'), employmentYears: '1', existingLoansCount: '5' }).map(s => [s.checkId, s]));
+    expect(byCheck.employment.message).toContain('at least 2 years');
+    expect(byCheck.loans.message).toContain('no more than 3 active loans');
+  });
+
+  it('points a co-applicant\'s stability failures at the dataset minimums, naming the co-applicant', () => {
+    const co = { name: 'J. Partner', age: '40', employmentType: 'Self-Employed', employmentYears: '1', income: '60000', creditScore: '700', existingEmi: '0', existingLoansCount: '5' };
+    const byCheck = Object.fromEntries(suggest({ ...byId('A1003'), coApplicants: [co] }).map(s => [s.checkId, s]));
+    expect(byCheck['employment.co_applicant_1'].message).toMatch(/^Co-applicant 1: Self-Employed applicants need at least 2 years/);
+    expect(byCheck['loans.co_applicant_1'].message).toMatch(/^Co-applicant 1: Holding no more than 3 active loans \(currently 5\)/);
+    expect(byCheck.employment).toBeUndefined();
+  });
+
+  it('offers nothing for an age outside the dataset limits', () => {
+    const result = suggest({ ...byId('A1003'), age: '70' });
+    expect(result.some(s => s.checkId === 'age')).toBe(false);
+  });
+});
@@ -0,0 +1,123 @@
+import { VERIFIABLE_INPUTS } from './inputs.js';
+
+// --- FAIL-SAFE INPUT VALIDATION ---
+// Nothing is inferred: a field that is missing, unparseable or inconsistent with another
+// field halts automation and the case is escalated to a human officer with these reasons.
+// With the lending rules given, a credit score outside their credit_score_range is
+// treated the same way: no bureau reports it, so it cannot be banded. Co-applicants are
+// held to the same checks; their reasons name the field as coApplicants[i].field.
+// A declared value that its verified counterpart contradicts beyond the policy's
+// verification tolerance is escalated too; the engine never substitutes one for the other.
+
+// Youngest age at which employment years can reasonably start accruing.
+export const MIN_WORKING_AGE = 14;
+
+const PERSON_FIELDS = {
+  age: { label: 'Age', integer: true, min: 0 },
+  employmentType: { label: 'Employment type', text: true },
+  employmentYears: { label: 'Employment years', min: 0 },
+  income: { label: 'Monthly income', min: 0, positive: true },
+  creditScore: { label: 'Credit score', integer: true, min: 0 },
+  existingEmi: { label: 'Existing EMI', min: 0 },
+  existingLoansCount: { label: 'Active loan count', integer: true, min: 0 }
+};
+
+const REQUEST_FIELDS = {
+  loanType: { label: 'Product', text: true },
+  loanAmount: { label: 'Loan amount', min: 0, positive: true },
+  tenure: { label: 'Tenure', integer: true, min: 0, positive: true }
+};
+
+const isBlank = v => v === undefined || v === null || String(v).trim() === '';
+
+// Strict numeric parse: "12abc" and "" are rejected rather than coerced the way parseInt would.
+const toNumber = v => typeof v === 'number' ? v : (/^\s*-?\d+(\.\d+)?\s*$/.test(String(v)) ? Number(v) : NaN);
+
+// `at` maps a field to the name reported for it; `who` prefixes each message.
+const checkFields = (source, fields, at, who, issues) => {
+  const values = {};
+  Object.entries(fields).forEach(([field, rule]) => {
+    const report = (kind, message) => issues.push({ field: at(field), kind, message: who + message });
+    const raw = source[field];
+    if (isBlank(raw)) return report('missing', `${rule.label} was not provided`);
+    if (rule.text) return;
+    const n = toNumber(raw);
+    if (!Number.isFinite(n)) return report('invalid', `${rule.label} "${raw}" is not a number`);
+    if (rule.integer && !Number.isInteger(n)) return report('invalid', `${rule.label} ${n} must be a whole number`);
+    if (n < rule.min || (rule.positive && n === 0)) return report('invalid', `${rule.label} ${n} must be ${rule.positive ? 'greater than zero' : 'zero or more'}`);
+    values[field] = n;
+  });
+  return values;
+};
+
+const checkPerson = ({ age, employmentYears, existingEmi, existingLoansCount, creditScore }, lendingRules, at, who, issues) => {
+  const range = lendingRules?.credit_score_range;
+  if (range && creditScore !== undefined && (creditScore < range.min || creditScore > range.max)) {
+    issues.push({ field: at('creditScore'), kind: 'invalid', ruleId: 'lending_rules.credit_score_range', message: `${who}Credit score ${creditScore} is outside the ${range.min}-${range.max} range a bureau can report` });
+  }
+  if (existingLoansCount === 0 && existingEmi > 0) {
+    issues.push({ field: at('existingEmi'), kind: 'contradictory', message: `${who}Existing EMI of $${existingEmi.toLocaleString()} reported with 0 active loans` });
+  }
+  if (age !== undefined && employmentYears !== undefined && employmentYears > age - MIN_WORKING_AGE) {
+    issues.push({ field: at('employmentYears'), kind: 'contradictory', message: `${who}${employmentYears} years of employment is not possible at age ${age} (work cannot start before ${MIN_WORKING_AGE})` });
+  }
+};
+
+const VERIFIED = {
+  creditScore: {
+    tolerance: 'credit_score_tolerance_points', show: v => String(v),
+    exceeds: (declared, verified, points) => Math.abs(declared - verified) > points, limit: points => `${points} points`
+  },
+  income: {
+    tolerance: 'income_tolerance_ratio', show: v => `$${v.toLocaleString()}`,
+    exceeds: (declared, verified, ratio) => Math.abs(declared - verified) > ratio * verified, limit: ratio => `${+(ratio * 100).toFixed(2)}%`
+  }
+};
+
+// Entries without a value were looked up but not found; the declared value then stands
+// unconfirmed. Without a verification policy any difference counts.
+const checkVerification = (values, verification, lendingRules, issues) => {
+  if (verification === undefined) return;
+  if (verification === null || typeof verification !== 'object') {
+    return issues.push({ field: 'verification', kind: 'invalid', message: 'Verification results are not readable' });
+  }
+  const policy = lendingRules?.verification;
+  Object.entries(VERIFIED).forEach(([field, rule]) => {
+    const label = VERIFIABLE_INPUTS[field].toLowerCase();
+    const entry = verification[field];
+    if (entry === undefined || entry?.value === null) return;
+    const verified = toNumber(entry?.value);
+    if (!Number.isFinite(verified) || verified < 0) {
+      return issues.push({ field: `verification.${field}`, kind: 'invalid', message: `Verified ${label} "${entry?.value}" from ${entry?.source} is not a usable number` });
+    }
+    const declared = values[field];
+    const tolerance = policy ? policy[rule.tolerance] : 0;
+    if (declared === undefined || !rule.exceeds(declared, verified, tolerance)) return;
+    issues.push({
+      field, kind: 'contradictory', ruleId: policy ? `lending_rules.verification.${rule.tolerance}` : 'lending_rules.verification',
+      message: `Declared ${label} ${rule.show(declared)} differs from the ${rule.show(verified)} reported by ${entry.source} by more than ${rule.limit(tolerance)}`
+    });
+  });
+};
+
+export const validateApplicant = (applicant, lendingRules) => {
+  const issues = [];
+  const own = field => field;
+  const values = {
+    ...checkFields(applicant, PERSON_FIELDS, own, '', issues),
+    ...checkFields(applicant, REQUEST_FIELDS, own, '', issues)
+  };
+  checkPerson(values, lendingRules, own, '', issues);
+  checkVerification(values, applicant.verification, lendingRules, issues);
+
+  (applicant.coApplicants || []).forEach((person, i) => {
+    const at = field => `coApplicants[${i}]${field ? `.${field}` : ''}`;
+    const who = `Co-applicant ${i + 1}: `;
+    if (person === null || typeof person !== 'object') {
+      return issues.push({ field: at(), kind: 'invalid', message: `${who}no applicant details were provided` });
+    }
+    checkPerson(checkFields(person, PERSON_FIELDS, at, who, issues), lendingRules, at, who, issues);
+  });
+
+  return issues;
+};
@@ -0,0 +1,74 @@
+// --- APPLICATION LIFECYCLE ---
+// Every application moves through a fixed set of states. Only the transitions listed
+// here are allowed and each carries a guard; anything else throws rather than
+// silently leaving the record in an inconsistent state.
+
+export const STATES = Object.freeze({
+  DRAFT: 'DRAFT',
+  SUBMITTED: 'SUBMITTED',
+  ELIGIBILITY_CHECKED: 'ELIGIBILITY_CHECKED',
+  RISK_ASSESSED: 'RISK_ASSESSED',
+  DECIDED: 'DECIDED',
+  ESCALATED: 'ESCALATED'
+});
+
+export class LifecycleError extends Error {
+  constructor(message, issues = []) {
+    super(message);
+    this.name = 'LifecycleError';
+    this.issues = issues;
+  }
+}
+
+const FINAL_DECISIONS = ['APPROVED', 'REVIEW', 'REJECTED'];
+
+// Guards receive the assessment produced by the engine (absent for submission).
+const TRANSITIONS = {
+  DRAFT: { SUBMITTED: () => true },
+  SUBMITTED: {
+    ELIGIBILITY_CHECKED: a => !!a && a.decision !== 'ESCALATED' && a.checks.length > 0,
+    ESCALATED: a => a?.decision === 'ESCALATED'
+  },
+  ELIGIBILITY_CHECKED: {
+    RISK_ASSESSED: a => a?.probability !== null && a?.probability !== undefined,
+    // An unpriceable request (e.g. a product outside the catalogue) is decided on eligibility alone.
+    DECIDED: a => a?.decision === 'REJECTED' && a.probability === null
+  },
+  RISK_ASSESSED: { DECIDED: a => FINAL_DECISIONS.includes(a?.decision) },
+  DECIDED: {},
+  ESCALATED: {}
+};
+
+export const canTransition = (from, to, assessment) => !!TRANSITIONS[from]?.[to]?.(assessment);
+
+export const isEditable = application => application.status === STATES.DRAFT;
+
+export const createApplication = (id, applicant, at) => ({
+  id,
+  status: STATES.DRAFT,
+  step: null,
+  applicant,
+  assessment: null,
+  createdAt: at,
+  updatedAt: at,
+  history: [{ from: null, to: STATES.DRAFT, at }]
+});
+
+// Returns a new record; the input application is never mutated.
+export const transition = (application, to, at, assessment) => {
+  const from = application.status;
+  if (!(to in (TRANSITIONS[from] || {}))) throw new LifecycleError(`Cannot move an application from ${from} to ${to}`);
+  if (!canTransition(from, to, assessment)) throw new LifecycleError(`Guard rejected ${from} → ${to} for application ${application.id}`);
+  return { ...application, status: to, updatedAt: at, history: [...application.history, { from, to, at }] };
+};
+
+export const submit = (application, at) => transition(application, STATES.SUBMITTED, at);
+
+// Walks a submitted application to its terminal state using a completed assessment.
+export const recordAssessment = (application, assessment, at) => {
+  const path = assessment.decision === 'ESCALATED' ? [STATES.ESCALATED]
+    : assessment.probability === null ? [STATES.ELIGIBILITY_CHECKED, STATES.DECIDED]
+      : [STATES.ELIGIBILITY_CHECKED, STATES.RISK_ASSESSED, STATES.DECIDED];
+  const next = path.reduce((app, to) => transition(app, to, at, assessment), application);
+  return { ...next, assessment };
+};
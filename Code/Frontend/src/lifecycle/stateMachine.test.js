@@ -0,0 +1,73 @@
+import { describe, expect, it } from 'vitest';
+import { loadTestPolicy, loadTestApplicants } from '../test/datasets.js';
+import { assess } from '../engine/assess.js';
+import { STATES, LifecycleError, canTransition, createApplication, isEditable, submit, recordAssessment, transition } from './stateMachine.js';
+
+const policy = loadTestPolicy();
+const applicants = loadTestApplicants();
+const byId = id => applicants.find(a => a.applicantId === id);
+
+const T0 = '2026-01-01T00:00:00.000Z';
+const T1 = '2026-01-01T00:05:00.000Z';
+
+const submitted = applicant => submit(createApplication('APP-1', applicant, T0), T1);
+
+describe('application lifecycle', () => {
+  it('starts as an editable draft', () => {
+    const app = createApplication('APP-1', byId('A1003'), T0);
+    expect(app.status).toBe(STATES.DRAFT);
+    expect(isEditable(app)).toBe(true);
+    expect(app.history).toEqual([{ from: null, to: STATES.DRAFT, at: T0 }]);
+  });
+
+  it('walks a decided application through every intermediate state', () => {
+    const app = submitted(byId('A1003'));
+    const done = recordAssessment(app, assess(app.applicant, policy), T1);
+
+    expect(done.status).toBe(STATES.DECIDED);
+    expect(done.history.map(h => h.to)).toEqual(['DRAFT', 'SUBMITTED', 'ELIGIBILITY_CHECKED', 'RISK_ASSESSED', 'DECIDED']);
+    expect(done.assessment.decision).toBe('APPROVED');
+    expect(isEditable(done)).toBe(false);
+  });
+
+  it('routes incomplete data straight from SUBMITTED to ESCALATED', () => {
+    const app = submitted({ ...byId('A1003'), creditScore: '' });
+    const done = recordAssessment(app, assess(app.applicant, policy), T1);
+
+    expect(done.status).toBe(STATES.ESCALATED);
+    expect(done.history.map(h => h.to)).toEqual(['DRAFT', 'SUBMITTED', 'ESCALATED']);
+  });
+
+  it('decides an unpriceable request on eligibility alone', () => {
+    const app = submitted({ ...byId('A1003'), loanType: 'Boat' });
+    const done = recordAssessment(app, assess(app.applicant, policy), T1);
+    expect(done.history.map(h => h.to)).toEqual(['DRAFT', 'SUBMITTED', 'ELIGIBILITY_CHECKED', 'DECIDED']);
+  });
+
+  it('rejects transitions that skip a state', () => {
+    const draft = createApplication('APP-1', byId('A1003'), T0);
+    const result = assess(draft.applicant, policy);
+    expect(() => transition(draft, STATES.DECIDED, T1, result)).toThrow(LifecycleError);
+    expect(() => recordAssessment(draft, result, T1)).toThrow(/DRAFT to ELIGIBILITY_CHECKED/);
+  });
+
+  it('enforces guards on allowed transitions', () => {
+    const escalated = assess({ ...byId('A1003'), age: '' }, policy);
+    expect(canTransition(STATES.SUBMITTED, STATES.ELIGIBILITY_CHECKED, escalated)).toBe(false);
+    expect(canTransition(STATES.SUBMITTED, STATES.ESCALATED, assess(byId('A1003'), policy))).toBe(false);
+    expect(() => transition(submitted(byId('A1003')), STATES.ESCALATED, T1, assess(byId('A1003'), policy))).toThrow(/Guard rejected/);
+  });
+
+  it('treats DECIDED and ESCALATED as terminal', () => {
+    const app = submitted(byId('A1003'));
+    const done = recordAssessment(app, assess(app.applicant, policy), T1);
+    expect(() => submit(done, T1)).toThrow(LifecycleError);
+  });
+
+  it('never mutates the record it is given', () => {
+    const draft = createApplication('APP-1', byId('A1003'), T0);
+    submit(draft, T1);
+    expect(draft.status).toBe(STATES.DRAFT);
+    expect(draft.history).toHaveLength(1);
+  });
+});
@@ -0,0 +1,15 @@
+import { STORES, run } from '../storage/db.js';
+
+// --- APPLICATION STORE ---
+// Applications are kept in IndexedDB so drafts survive reloads and decided cases can
+// be reopened later. All calls resolve once the underlying transaction completes.
+
+export const saveApplication = application => run(STORES.applications, 'readwrite', store => store.put(application));
+
+export const deleteApplication = id => run(STORES.applications, 'readwrite', store => store.delete(id));
+
+// Most recently touched first.
+export const listApplications = async () => {
+  const all = await run(STORES.applications, 'readonly', store => store.getAll());
+  return all.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+};
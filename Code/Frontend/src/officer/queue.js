@@ -0,0 +1,41 @@
+import { openCase } from './review.js';
+
+// --- OFFICER QUEUE ---
+// Review cases are kept in localStorage so they survive reloads, including after an
+// officer has closed them, since the outcome is stored on the case.
+
+const STORAGE_KEY = 'compliance-hub.officer-queue';
+
+export const loadQueue = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+  } catch {
+    return [];
+  }
+};
+
+const saveQueue = (queue) => localStorage.setItem(STORAGE_KEY, JSON.stringify(queue));
+
+// Re-submitting the same applicant or application (e.g. re-running a batch) replaces an
+// earlier case that no officer has acted on yet.
+export const enqueueCase = ({ applicant, assessment, applicationId = null, referredBy = null }) => {
+  const reviewCase = openCase({
+    id: assessment.traceId ?? `CASE-${Date.now().toString(36).toUpperCase()}`,
+    applicationId,
+    applicant,
+    assessment,
+    at: new Date().toISOString(),
+    referredBy
+  });
+  const supersedes = c => c.actions.length === 0
+    && ((reviewCase.applicantId && c.applicantId === reviewCase.applicantId) || (applicationId && c.applicationId === applicationId));
+  const next = [reviewCase, ...loadQueue().filter(c => !supersedes(c))];
+  saveQueue(next);
+  return next;
+};
+
+export const saveCase = (reviewCase) => {
+  const next = loadQueue().map(c => c.id === reviewCase.id ? reviewCase : c);
+  saveQueue(next);
+  return next;
+};
@@ -0,0 +1,188 @@
+import { CO_APPLICANT_INPUTS, DECISION_INPUTS } from '../engine/inputs.js';
+import { coApplicantsOf } from '../engine/parties.js';
+
+// --- OFFICER REVIEW ---
+// Every REVIEW or ESCALATED decision opens a case for a credit officer, and an officer
+// can refer a REJECTED decision (e.g. on appeal) into the same workflow. The automated
+// assessment on the case is never changed: officer actions are appended to its history
+// and the officer's final outcome is kept next to it. Approving over a failed check
+// (a hard policy failure, e.g. age, product limits or data integrity) only takes effect
+// once a second officer signs off.
+// An ESCALATED assessment only carries the data check, so it says nothing about the
+// policy rules. Such a case cannot be approved until an officer re-assesses it on the
+// corrected data; outcomes then act on the re-assessment, kept next to the original.
+
+export const CASE_STATUS = Object.freeze({
+  PENDING: 'PENDING',
+  DOCUMENTS_REQUESTED: 'DOCUMENTS_REQUESTED',
+  AWAITING_SIGN_OFF: 'AWAITING_SIGN_OFF',
+  CLOSED: 'CLOSED'
+});
+
+export const REVIEWABLE_DECISIONS = ['REVIEW', 'ESCALATED'];
+
+export const OFFICER_OUTCOMES = ['APPROVED', 'REJECTED'];
+
+export const REASON_CODES = [
+  { code: 'DOCS_VERIFIED', label: 'Income and employment verified from documents', outcome: 'APPROVED' },
+  { code: 'COMPENSATING_FACTORS', label: 'Compensating factors (collateral, guarantor, savings)', outcome: 'APPROVED' },
+  { code: 'DATA_RESOLVED', label: 'Data discrepancy resolved with the applicant', outcome: 'APPROVED' },
+  { code: 'POLICY_EXCEPTION', label: 'Documented exception to lending policy', outcome: 'APPROVED' },
+  { code: 'AFFORDABILITY', label: 'Affordability not demonstrated on review', outcome: 'REJECTED' },
+  { code: 'CREDIT_HISTORY', label: 'Adverse credit history on review', outcome: 'REJECTED' },
+  { code: 'DOCS_NOT_PROVIDED', label: 'Requested documents not provided', outcome: 'REJECTED' },
+  { code: 'POLICY_BREACH', label: 'Application breaches lending policy', outcome: 'REJECTED' }
+];
+
+export const DOCUMENT_TYPES = [
+  'Salary slips (last 3 months)',
+  'Bank statements (last 6 months)',
+  'Income tax returns (last 2 years)',
+  'Proof of employment or business registration',
+  'Statements for existing loans',
+  'Proof of identity and age'
+];
+
+export class ReviewError extends Error {
+  constructor(message, issues = []) {
+    super(message);
+    this.name = 'ReviewError';
+    this.issues = issues;
+  }
+}
+
+// The checks an officer approval would override.
+export const hardFailures = assessment => assessment.checks.filter(c => c.status === 'fail');
+
+// The applicant and assessment an officer outcome acts on: the latest re-assessment, if any.
+export const caseApplicant = reviewCase => reviewCase.reassessment?.applicant ?? reviewCase.applicant;
+export const caseAssessment = reviewCase => reviewCase.reassessment?.assessment ?? reviewCase.assessment;
+
+export const needsReassessment = reviewCase => caseAssessment(reviewCase).decision === 'ESCALATED';
+
+// A decision input of the applicant or of a co-applicant, e.g. 'income' or
+// 'coApplicants[0].income', as { index, field }; null for any other path.
+const inputAt = (path) => {
+  const [, index, field] = path.match(/^(?:coApplicants\[(\d+)\]\.)?(\w+)$/) || [];
+  const allowed = index === undefined ? DECISION_INPUTS : CO_APPLICANT_INPUTS;
+  return allowed.includes(field) ? { index: index === undefined ? null : Number(index), field } : null;
+};
+
+// The fields behind an escalation that an officer can correct from documents.
+export const correctableFields = assessment => [...new Set(assessment.reasons.map(r => r.field).filter(inputAt))];
+
+// The applicant with corrected values applied, keyed by the reasons' field paths.
+export const correctedApplicant = (applicant, corrections) => Object.entries(corrections).reduce((a, [path, value]) => {
+  const input = inputAt(path);
+  if (!input) throw new ReviewError(`"${path}" is not a field that can be corrected`);
+  if (input.index === null) return { ...a, [input.field]: value };
+  return { ...a, coApplicants: coApplicantsOf(a).map((p, i) => i === input.index ? { ...p, [input.field]: value } : p) };
+}, applicant);
+
+export const isOpen = reviewCase => reviewCase.status !== CASE_STATUS.CLOSED;
+
+const requireOfficer = (officer, action) => {
+  if (!officer?.canReview) throw new ReviewError(`${officer?.name || 'This user'} is not a credit officer and cannot ${action}`);
+};
+
+export const openCase = ({ id, applicationId = null, applicant, assessment, at, referredBy = null }) => {
+  if (referredBy) {
+    requireOfficer(referredBy, 'refer a decision');
+    if (assessment.decision !== 'REJECTED') throw new ReviewError(`Only REJECTED decisions are referred; a ${assessment.decision} decision opens a case by itself`);
+  } else if (!REVIEWABLE_DECISIONS.includes(assessment.decision)) {
+    throw new ReviewError(`A ${assessment.decision} decision does not need officer review`);
+  }
+  return {
+    id,
+    applicationId,
+    applicantId: applicant.applicantId || null,
+    receivedAt: at,
+    referredBy: referredBy && { id: referredBy.id, name: referredBy.name },
+    applicant,
+    assessment,
+    status: CASE_STATUS.PENDING,
+    reassessment: null,
+    proposal: null,
+    outcome: null,
+    actions: []
+  };
+};
+
+const requireStatus = (reviewCase, statuses, action) => {
+  if (!statuses.includes(reviewCase.status)) throw new ReviewError(`Cannot ${action} on a case that is ${reviewCase.status.replace(/_/g, ' ').toLowerCase()}`);
+};
+
+const actionOf = (officer, type, at, fields = {}) => ({ type, officer: { id: officer.id, name: officer.name }, at, ...fields });
+
+// `assessment` is the engine's decision on `applicant`, the case's applicant with the
+// officer's corrections; the caller runs and audits it. A case can be re-assessed again.
+export const reassessCase = (reviewCase, { officer, applicant, assessment, note = '', at }) => {
+  requireOfficer(officer, 're-assess a case');
+  requireStatus(reviewCase, [CASE_STATUS.PENDING, CASE_STATUS.DOCUMENTS_REQUESTED], 're-assess');
+  if (reviewCase.assessment.decision !== 'ESCALATED') throw new ReviewError(`Only ESCALATED cases are re-assessed; this ${reviewCase.assessment.decision} decision was made on complete data`);
+  return {
+    ...reviewCase,
+    reassessment: { applicant, assessment, officer: { id: officer.id, name: officer.name }, at },
+    actions: [...reviewCase.actions, actionOf(officer, 'REASSESSED', at, { result: assessment.decision, note: note.trim() })]
+  };
+};
+
+// Returns a new case; the input case is never mutated.
+export const requestDocuments = (reviewCase, { officer, documents, note = '', at }) => {
+  requireOfficer(officer, 'request documents');
+  requireStatus(reviewCase, [CASE_STATUS.PENDING, CASE_STATUS.DOCUMENTS_REQUESTED], 'request documents');
+  if (!documents.length && !note.trim()) throw new ReviewError('Name at least one document or describe what is needed');
+  return {
+    ...reviewCase,
+    status: CASE_STATUS.DOCUMENTS_REQUESTED,
+    actions: [...reviewCase.actions, actionOf(officer, 'DOCUMENTS_REQUESTED', at, { documents, note: note.trim() })]
+  };
+};
+
+export const recordOutcome = (reviewCase, { officer, decision, reasonCode, justification = '', at }) => {
+  requireOfficer(officer, 'record an outcome');
+  requireStatus(reviewCase, [CASE_STATUS.PENDING, CASE_STATUS.DOCUMENTS_REQUESTED], 'record an outcome');
+  const reason = REASON_CODES.find(r => r.code === reasonCode);
+  const issues = [
+    ...(decision === 'APPROVED' && needsReassessment(reviewCase) ? ['An ESCALATED case must be re-assessed on corrected data before it can be approved'] : []),
+    ...(!OFFICER_OUTCOMES.includes(decision) ? [`Outcome must be one of ${OFFICER_OUTCOMES.join(', ')}`] : []),
+    ...(!reason ? ['A reason code is required'] : reason.outcome !== decision ? [`Reason ${reasonCode} is for ${reason.outcome} outcomes, not ${decision}`] : []),
+    ...(!justification.trim() ? ['A written justification is required'] : [])
+  ];
+  if (issues.length) throw new ReviewError('The outcome cannot be recorded', issues);
+
+  const overrides = decision === 'APPROVED' ? hardFailures(caseAssessment(reviewCase)).map(c => c.ruleId) : [];
+  const outcome = { decision, reasonCode, justification: justification.trim(), officer: { id: officer.id, name: officer.name }, at, overrides, signOff: null };
+  if (overrides.length) {
+    return {
+      ...reviewCase,
+      status: CASE_STATUS.AWAITING_SIGN_OFF,
+      proposal: outcome,
+      actions: [...reviewCase.actions, actionOf(officer, 'OUTCOME_PROPOSED', at, { decision, reasonCode, overrides })]
+    };
+  }
+  return {
+    ...reviewCase,
+    status: CASE_STATUS.CLOSED,
+    outcome,
+    actions: [...reviewCase.actions, actionOf(officer, 'OUTCOME_RECORDED', at, { decision, reasonCode })]
+  };
+};
+
+// A declined sign-off returns the case to PENDING; the declined proposal stays in the history.
+export const signOff = (reviewCase, { officer, approve, note = '', at }) => {
+  requireOfficer(officer, 'sign off an override');
+  requireStatus(reviewCase, [CASE_STATUS.AWAITING_SIGN_OFF], 'sign off');
+  if (officer.id === reviewCase.proposal.officer.id) throw new ReviewError('The override must be signed off by a second officer, not the one who proposed it');
+  if (!approve && !note.trim()) throw new ReviewError('Say why the override is declined');
+
+  const action = actionOf(officer, approve ? 'SIGNED_OFF' : 'SIGN_OFF_DECLINED', at, { note: note.trim() });
+  if (!approve) return { ...reviewCase, status: CASE_STATUS.PENDING, proposal: null, actions: [...reviewCase.actions, action] };
+  return {
+    ...reviewCase,
+    status: CASE_STATUS.CLOSED,
+    proposal: null,
+    outcome: { ...reviewCase.proposal, signOff: { officer: action.officer, at, note: note.trim() } },
+    actions: [...reviewCase.actions, action]
+  };
+};
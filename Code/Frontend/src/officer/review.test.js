@@ -0,0 +1,131 @@
+import { describe, expect, it } from 'vitest';
+import { loadTestPolicy, loadTestApplicants } from '../test/datasets.js';
+import { assess } from '../engine/assess.js';
+import { USERS } from './roles.js';
+import { CASE_STATUS, ReviewError, caseAssessment, correctableFields, correctedApplicant, hardFailures, openCase, reassessCase, recordOutcome, requestDocuments, signOff } from './review.js';
+
+const policy = loadTestPolicy();
+const applicants = loadTestApplicants();
+const byId = id => applicants.find(a => a.applicantId === id);
+
+const [INTAKE, OFFICER_A, OFFICER_B] = USERS;
+const T0 = '2026-01-01T00:00:00.000Z';
+const T1 = '2026-01-01T01:00:00.000Z';
+const T2 = '2026-01-01T02:00:00.000Z';
+
+const caseFor = (applicant) => openCase({ id: 'CASE-1', applicant, assessment: assess(applicant, policy), at: T0 });
+const reviewCase = () => caseFor(byId('A1020'));
+const escalatedCase = () => caseFor({ ...byId('A1003'), income: '' });
+const referredCase = () => openCase({ id: 'CASE-2', applicant: byId('A1019'), assessment: assess(byId('A1019'), policy), at: T0, referredBy: OFFICER_A });
+const reassessed = (open, corrections, at = T1) => {
+  const applicant = correctedApplicant(open.applicant, corrections);
+  return reassessCase(open, { officer: OFFICER_A, applicant, assessment: assess(applicant, policy), at });
+};
+
+describe('officer review cases', () => {
+  it('opens only for REVIEW and ESCALATED decisions', () => {
+    expect(reviewCase()).toMatchObject({ status: CASE_STATUS.PENDING, outcome: null, actions: [] });
+    expect(escalatedCase().assessment.decision).toBe('ESCALATED');
+    expect(() => caseFor(byId('A1003'))).toThrow(ReviewError);
+  });
+
+  it('records a document request without closing the case', () => {
+    const next = requestDocuments(reviewCase(), { officer: OFFICER_A, documents: ['Salary slips (last 3 months)'], at: T1 });
+    expect(next.status).toBe(CASE_STATUS.DOCUMENTS_REQUESTED);
+    expect(next.actions).toEqual([{ type: 'DOCUMENTS_REQUESTED', officer: { id: OFFICER_A.id, name: OFFICER_A.name }, at: T1, documents: ['Salary slips (last 3 months)'], note: '' }]);
+    expect(() => requestDocuments(reviewCase(), { officer: OFFICER_A, documents: [], at: T1 })).toThrow('Name at least one document');
+  });
+
+  it('lets only credit officers act', () => {
+    expect(() => requestDocuments(reviewCase(), { officer: INTAKE, documents: ['x'], at: T1 })).toThrow('is not a credit officer');
+  });
+
+  it('requires a matching reason code and a justification', () => {
+    let error;
+    try {
+      recordOutcome(reviewCase(), { officer: OFFICER_A, decision: 'APPROVED', reasonCode: 'AFFORDABILITY', justification: ' ', at: T1 });
+    } catch (err) {
+      error = err;
+    }
+    expect(error).toBeInstanceOf(ReviewError);
+    expect(error.issues).toEqual(['Reason AFFORDABILITY is for REJECTED outcomes, not APPROVED', 'A written justification is required']);
+  });
+
+  it('stores the officer outcome next to the unchanged automated decision', () => {
+    const open = reviewCase();
+    const closed = recordOutcome(open, { officer: OFFICER_A, decision: 'APPROVED', reasonCode: 'DOCS_VERIFIED', justification: 'Payslips confirm income', at: T1 });
+    expect(closed.status).toBe(CASE_STATUS.CLOSED);
+    expect(closed.assessment).toBe(open.assessment);
+    expect(closed.assessment.decision).toBe('REVIEW');
+    expect(closed.outcome).toMatchObject({ decision: 'APPROVED', reasonCode: 'DOCS_VERIFIED', overrides: [], signOff: null });
+    expect(() => recordOutcome(closed, { officer: OFFICER_B, decision: 'REJECTED', reasonCode: 'AFFORDABILITY', justification: 'x', at: T2 })).toThrow('closed');
+  });
+
+  it('holds an approval over a hard failure for a second officer', () => {
+    const proposed = recordOutcome(referredCase(), { officer: OFFICER_A, decision: 'APPROVED', reasonCode: 'COMPENSATING_FACTORS', justification: 'Guarantor with verified income', at: T1 });
+    expect(proposed).toMatchObject({ status: CASE_STATUS.AWAITING_SIGN_OFF, outcome: null });
+
+    expect(() => signOff(proposed, { officer: OFFICER_A, approve: true, at: T2 })).toThrow('second officer');
+    const signed = signOff(proposed, { officer: OFFICER_B, approve: true, note: 'Checked the call notes', at: T2 });
+    expect(signed.status).toBe(CASE_STATUS.CLOSED);
+    expect(signed.outcome).toMatchObject({ decision: 'APPROVED', officer: { id: OFFICER_A.id }, signOff: { officer: { id: OFFICER_B.id }, at: T2, note: 'Checked the call notes' } });
+  });
+
+  it('returns a declined override to the queue and keeps it in the history', () => {
+    const proposed = recordOutcome(referredCase(), { officer: OFFICER_A, decision: 'APPROVED', reasonCode: 'POLICY_EXCEPTION', justification: 'Long-standing customer', at: T1 });
+    expect(() => signOff(proposed, { officer: OFFICER_B, approve: false, at: T2 })).toThrow('Say why');
+    const declined = signOff(proposed, { officer: OFFICER_B, approve: false, note: 'Not a permitted exception', at: T2 });
+    expect(declined).toMatchObject({ status: CASE_STATUS.PENDING, proposal: null, outcome: null });
+    expect(declined.actions.map(a => a.type)).toEqual(['OUTCOME_PROPOSED', 'SIGN_OFF_DECLINED']);
+  });
+
+  it('takes a REJECTED decision only on an officer referral, with its failed rules overridable by sign-off only', () => {
+    const rejected = byId('A1019');
+    expect(() => caseFor(rejected)).toThrow('does not need officer review');
+    expect(() => openCase({ id: 'CASE-2', applicant: rejected, assessment: assess(rejected, policy), at: T0, referredBy: INTAKE })).toThrow('is not a credit officer');
+
+    const referred = referredCase();
+    expect(referred.referredBy).toEqual({ id: OFFICER_A.id, name: OFFICER_A.name });
+    const proposed = recordOutcome(referred, { officer: OFFICER_A, decision: 'APPROVED', reasonCode: 'COMPENSATING_FACTORS', justification: 'Guarantor with verified income', at: T1 });
+    expect(proposed.status).toBe(CASE_STATUS.AWAITING_SIGN_OFF);
+    expect(proposed.proposal.overrides).toEqual(['lending_rules.loan_to_income_ratio.vehicle', 'lending_rules.emi_income_ratio.reject']);
+  });
+
+  it('closes a rejection over a hard failure without a sign-off', () => {
+    const closed = recordOutcome(escalatedCase(), { officer: OFFICER_A, decision: 'REJECTED', reasonCode: 'DOCS_NOT_PROVIDED', justification: 'No response in 30 days', at: T1 });
+    expect(closed.status).toBe(CASE_STATUS.CLOSED);
+    expect(closed.outcome.overrides).toEqual([]);
+  });
+
+  it('refuses to approve an ESCALATED case until it is re-assessed', () => {
+    const escalated = escalatedCase();
+    expect(hardFailures(escalated.assessment).map(c => c.ruleId)).toEqual(['fail_safe.data_integrity']);
+    expect(() => recordOutcome(escalated, { officer: OFFICER_A, decision: 'APPROVED', reasonCode: 'DATA_RESOLVED', justification: 'Income confirmed by phone', at: T1 }))
+      .toThrow(expect.objectContaining({ issues: ['An ESCALATED case must be re-assessed on corrected data before it can be approved'] }));
+
+    const stillEscalated = reassessed(escalated, { income: 'n/a' });
+    expect(() => recordOutcome(stillEscalated, { officer: OFFICER_A, decision: 'APPROVED', reasonCode: 'DATA_RESOLVED', justification: 'x', at: T2 })).toThrow(ReviewError);
+  });
+
+  it('acts on the re-assessment, keeping the original decision unchanged', () => {
+    const escalated = escalatedCase();
+    const corrected = reassessed(escalated, { income: byId('A1003').income });
+    expect(corrected.assessment).toBe(escalated.assessment);
+    expect(caseAssessment(corrected).decision).toBe('APPROVED');
+    expect(corrected.reassessment).toMatchObject({ applicant: { income: byId('A1003').income }, officer: { id: OFFICER_A.id }, at: T1 });
+    expect(corrected.actions).toEqual([expect.objectContaining({ type: 'REASSESSED', result: 'APPROVED' })]);
+
+    const closed = recordOutcome(corrected, { officer: OFFICER_A, decision: 'APPROVED', reasonCode: 'DATA_RESOLVED', justification: 'Payslips confirm income', at: T2 });
+    expect(closed).toMatchObject({ status: CASE_STATUS.CLOSED, outcome: { overrides: [] } });
+  });
+
+  it('re-assesses only ESCALATED cases, and applies co-applicant corrections', () => {
+    expect(() => reassessed(reviewCase(), { income: '1' })).toThrow('Only ESCALATED cases');
+    expect(() => reassessCase(escalatedCase(), { officer: INTAKE, applicant: {}, assessment: {}, at: T1 })).toThrow('is not a credit officer');
+    expect(correctableFields({ reasons: [{ field: 'income' }, { field: 'verification' }, { field: 'coApplicants[1].age' }, { field: 'income' }] })).toEqual(['income', 'coApplicants[1].age']);
+    expect(() => correctedApplicant(byId('A1003'), { 'verification.income': '1' })).toThrow('is not a field that can be corrected');
+
+    const joint = { ...byId('A1003'), coApplicants: [{ income: '' }, { income: '5' }] };
+    expect(correctedApplicant(joint, { 'coApplicants[0].income': '60000' }).coApplicants).toEqual([{ income: '60000' }, { income: '5' }]);
+  });
+});
@@ -0,0 +1,16 @@
+// --- USERS AND ROLES ---
+// A local stand-in for sign-in: the app acts as whichever user is selected, and the
+// choice is remembered in localStorage. Only credit officers may act on review cases.
+
+const STORAGE_KEY = 'compliance-hub.current-user';
+
+export const USERS = [
+  { id: 'intake', name: 'Intake Desk', role: 'Intake', canReview: false },
+  { id: 'officer-a', name: 'Credit Officer A', role: 'Credit officer', canReview: true },
+  { id: 'officer-b', name: 'Credit Officer B', role: 'Credit officer', canReview: true },
+  { id: 'senior', name: 'Senior Credit Officer', role: 'Senior credit officer', canReview: true }
+];
+
+export const loadCurrentUser = () => USERS.find(u => u.id === localStorage.getItem(STORAGE_KEY)) || USERS[0];
+
+export const saveCurrentUser = (user) => localStorage.setItem(STORAGE_KEY, user.id);
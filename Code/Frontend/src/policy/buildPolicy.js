@@ -0,0 +1,46 @@
+import { validateLendingRules, validateApprovalThresholds, validateApprovalProbability, validateProductPricing } from './schema.js';
+import { PolicyError } from './errors.js';
+
+// --- POLICY ASSEMBLY ---
+// Turns raw dataset documents into the policy object the engine consumes. Kept free of
+// bundler-specific imports so the same code runs in the browser and under Node.
+
+export const DATASET_FILES = {
+  lendingRules: 'Lending_Rules_Dataset.json',
+  approvalThresholds: 'Approval_Threshold_Dataset.json',
+  approvalProbability: 'Approval_Probability_Dataset.json',
+  productRules: 'Loan_Product_Rules_20.xlsx',
+  productPricing: 'Product_Pricing_Dataset.json'
+};
+
+// The product workbook carries no version of its own; edits made in the policy editor
+// are numbered from this label.
+export const PRODUCT_RULES_BASE_VERSION = 'workbook';
+
+// Validates raw dataset documents and assembles the policy object the assessment consumes.
+// The documents are kept as loaded so the policy editor can derive revisions from them.
+export const buildPolicy = ({ lendingRules, approvalThresholds, approvalProbability, products, productPricing, productRulesVersion = PRODUCT_RULES_BASE_VERSION }) => {
+  const issues = [
+    ...validateLendingRules(lendingRules, products).map(i => `${DATASET_FILES.lendingRules}: ${i}`),
+    ...validateApprovalThresholds(approvalThresholds).map(i => `${DATASET_FILES.approvalThresholds}: ${i}`),
+    ...validateApprovalProbability(approvalProbability, lendingRules).map(i => `${DATASET_FILES.approvalProbability}: ${i}`),
+    ...validateProductPricing(productPricing, products, lendingRules).map(i => `${DATASET_FILES.productPricing}: ${i}`)
+  ];
+  if (issues.length) throw new PolicyError('Policy datasets failed schema validation', issues);
+
+  return {
+    lendingRules,
+    thresholds: approvalThresholds.thresholds,
+    probabilityModel: approvalProbability.components,
+    products,
+    pricing: productPricing.products,
+    documents: { lendingRules, approvalThresholds, approvalProbability, productPricing },
+    versions: {
+      lending_rules: lendingRules.dataset_version,
+      approval_thresholds: approvalThresholds.dataset_version,
+      approval_probability: approvalProbability.dataset_version,
+      product_pricing: productPricing.dataset_version,
+      product_rules: productRulesVersion
+    }
+  };
+};
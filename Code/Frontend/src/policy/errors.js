@@ -0,0 +1,9 @@
+// Raised whenever a policy dataset cannot be loaded or fails validation. `issues`
+// carries the individual problems (schema paths, sheet rows) for display.
+export class PolicyError extends Error {
+  constructor(message, issues = []) {
+    super(message);
+    this.name = 'PolicyError';
+    this.issues = issues;
+  }
+}
@@ -0,0 +1,31 @@
+import { assess } from '../engine/assess.js';
+
+// --- IMPACT PREVIEW ---
+// Re-runs a set of applicants under the active policy and a proposed revision and
+// lists every decision that would change. Nothing is recorded; the audit trail only
+// ever sees decisions made under a published policy.
+
+export const impactPreview = (applicants, current, proposed) => {
+  const results = applicants.map(applicant => ({
+    applicant,
+    before: assess(applicant, current),
+    after: assess(applicant, proposed)
+  }));
+  const flips = results.filter(r => r.before.decision !== r.after.decision);
+
+  const transitions = flips.reduce((counts, r) => {
+    const key = `${r.before.decision} → ${r.after.decision}`;
+    return { ...counts, [key]: (counts[key] || 0) + 1 };
+  }, {});
+
+  return {
+    total: results.length,
+    unchanged: results.length - flips.length,
+    transitions,
+    flips: flips.map(({ applicant, before, after }) => ({
+      applicant,
+      before: { decision: before.decision, probability: before.probability, dti: before.dti },
+      after: { decision: after.decision, probability: after.probability, dti: after.dti }
+    }))
+  };
+};
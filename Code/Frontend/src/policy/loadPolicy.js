@@ -0,0 +1,49 @@
+import lendingRulesUrl from '@data/Lending_Rules_Dataset.json?url';
+import approvalThresholdsUrl from '@data/Approval_Threshold_Dataset.json?url';
+import approvalProbabilityUrl from '@data/Approval_Probability_Dataset.json?url';
+import productRulesUrl from '@data/Loan_Product_Rules_20.xlsx?url';
+import productPricingUrl from '@data/Product_Pricing_Dataset.json?url';
+import { importProductRules } from './productRules.js';
+import { PolicyError } from './errors.js';
+import { DATASET_FILES, buildPolicy } from './buildPolicy.js';
+
+export { PolicyError };
+export { DATASET_FILES, PRODUCT_RULES_BASE_VERSION, buildPolicy } from './buildPolicy.js';
+
+// --- POLICY LOADER ---
+// The datasets are the only source of lending policy. Anything that stops them from
+// loading or validating surfaces as a PolicyError; there is deliberately no fallback.
+
+const fetchFile = async (url, file) => {
+  let res;
+  try {
+    res = await fetch(url);
+  } catch (err) {
+    throw new PolicyError(`${file} could not be fetched`, [err.message]);
+  }
+  if (!res.ok) throw new PolicyError(`${file} could not be fetched`, [`HTTP ${res.status}`]);
+  return res;
+};
+
+const fetchDataset = async (url, file) => {
+  const res = await fetchFile(url, file);
+  try {
+    return await res.json();
+  } catch (err) {
+    throw new PolicyError(`${file} is not valid JSON`, [err.message]);
+  }
+};
+
+const fetchProductRules = async (url, file) =>
+  importProductRules(await (await fetchFile(url, file)).arrayBuffer(), file);
+
+export const loadPolicy = async () => {
+  const [lendingRules, approvalThresholds, approvalProbability, products, productPricing] = await Promise.all([
+    fetchDataset(lendingRulesUrl, DATASET_FILES.lendingRules),
+    fetchDataset(approvalThresholdsUrl, DATASET_FILES.approvalThresholds),
+    fetchDataset(approvalProbabilityUrl, DATASET_FILES.approvalProbability),
+    fetchProductRules(productRulesUrl, DATASET_FILES.productRules),
+    fetchDataset(productPricingUrl, DATASET_FILES.productPricing)
+  ]);
+  return buildPolicy({ lendingRules, approvalThresholds, approvalProbability, products, productPricing });
+};
@@ -0,0 +1,76 @@
+import * as XLSX from 'xlsx';
+import { PolicyError } from './errors.js';
+
+// --- PRODUCT RULES IMPORTER ---
+// Turns the Loan_Product_Rules sheet into the product table used by the Amount and
+// Tenure compliance checks. Every row is checked; all problems are reported together.
+
+export const PRODUCT_RULE_COLUMNS = ['loan_type', 'max_amount', 'min_tenure_months', 'max_tenure_months'];
+
+const toNumber = (v) => {
+  if (typeof v === 'number') return v;
+  if (typeof v !== 'string' || v.trim() === '') return NaN;
+  return Number(v.trim());
+};
+
+// "Vehicle_Two_Wheeler" -> family "Vehicle", label "Vehicle Two Wheeler"
+export const productFamily = (type) => type.split('_')[0];
+export const productLabel = (type) => type.replace(/_/g, ' ');
+
+export const parseProductRules = (rows, source = 'product rules sheet') => {
+  const issues = [];
+  const header = (rows[0] || []).map(h => String(h ?? '').trim());
+  const missing = PRODUCT_RULE_COLUMNS.filter(c => !header.includes(c));
+  if (missing.length) {
+    throw new PolicyError(`${source} is missing required columns`, missing.map(c => `Column "${c}" not found in header row`));
+  }
+  const col = Object.fromEntries(PRODUCT_RULE_COLUMNS.map(c => [c, header.indexOf(c)]));
+
+  const products = [];
+  const seen = new Set();
+  rows.slice(1).forEach((row, i) => {
+    if (!row || row.every(cell => cell === undefined || cell === null || String(cell).trim() === '')) return;
+    const at = `Row ${i + 2}`;
+    const rowIssues = [];
+    const type = String(row[col.loan_type] ?? '').trim();
+    const max = toNumber(row[col.max_amount]);
+    const minT = toNumber(row[col.min_tenure_months]);
+    const maxT = toNumber(row[col.max_tenure_months]);
+
+    if (!/^[A-Za-z][A-Za-z0-9]*(_[A-Za-z0-9]+)*$/.test(type)) rowIssues.push(`${at}: loan_type ${JSON.stringify(type)} is not a valid product identifier`);
+    else if (seen.has(type)) rowIssues.push(`${at}: loan_type "${type}" is defined more than once`);
+    if (!Number.isFinite(max) || max <= 0) rowIssues.push(`${at}: max_amount ${JSON.stringify(row[col.max_amount] ?? '')} is not a positive number`);
+    if (!Number.isInteger(minT) || minT <= 0) rowIssues.push(`${at}: min_tenure_months ${JSON.stringify(row[col.min_tenure_months] ?? '')} is not a whole number of months`);
+    if (!Number.isInteger(maxT) || maxT <= 0) rowIssues.push(`${at}: max_tenure_months ${JSON.stringify(row[col.max_tenure_months] ?? '')} is not a whole number of months`);
+    if (Number.isInteger(minT) && Number.isInteger(maxT) && minT > maxT) rowIssues.push(`${at}: min_tenure_months (${minT}) exceeds max_tenure_months (${maxT})`);
+
+    if (rowIssues.length) return issues.push(...rowIssues);
+    seen.add(type);
+    products.push({ type, family: productFamily(type), max, min_t: minT, max_t: maxT });
+  });
+
+  if (issues.length) throw new PolicyError(`${source} contains invalid rows`, issues);
+  if (!products.length) throw new PolicyError(`${source} defines no products`);
+  return products;
+};
+
+// Reads the first worksheet of an XLSX workbook (ArrayBuffer) into the product table.
+export const importProductRules = (buffer, source) => {
+  let workbook;
+  try {
+    workbook = XLSX.read(buffer, { type: 'array' });
+  } catch (err) {
+    throw new PolicyError(`${source} is not a readable workbook`, [err.message]);
+  }
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  if (!sheet) throw new PolicyError(`${source} contains no worksheets`);
+  return parseProductRules(XLSX.utils.sheet_to_json(sheet, { header: 1, raw: true, defval: null }), source);
+};
+
+// Products grouped by family, in first-seen order, for the REQUEST stage selector.
+export const groupProductsByFamily = (products) => products.reduce((groups, p) => {
+  const group = groups.find(g => g.family === p.family);
+  if (group) group.products.push(p);
+  else groups.push({ family: p.family, products: [p] });
+  return groups;
+}, []);
@@ -0,0 +1,79 @@
+import { describe, expect, it } from 'vitest';
+import * as XLSX from 'xlsx';
+import { dataFile } from '../test/datasets.js';
+import { PolicyError } from './errors.js';
+import { PRODUCT_RULE_COLUMNS, groupProductsByFamily, importProductRules, parseProductRules, productFamily, productLabel } from './productRules.js';
+
+const workbook = (rows) => {
+  const book = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(book, XLSX.utils.aoa_to_sheet(rows), 'Products');
+  return XLSX.write(book, { type: 'array', bookType: 'xlsx' });
+};
+
+const issuesOf = (fn) => {
+  try {
+    fn();
+  } catch (err) {
+    expect(err).toBeInstanceOf(PolicyError);
+    return { message: err.message, issues: err.issues };
+  }
+  throw new Error('expected a PolicyError');
+};
+
+describe('importProductRules()', () => {
+  it('reads the 20-product catalogue from Data/', () => {
+    const products = importProductRules(dataFile('Loan_Product_Rules_20.xlsx'), 'Loan_Product_Rules_20.xlsx');
+    expect(products).toHaveLength(20);
+    expect(products[0]).toEqual({ type: 'Personal', family: 'Personal', max: 1500000, min_t: 12, max_t: 60 });
+    expect(products.find(p => p.type === 'Vehicle_Two_Wheeler')).toEqual({ type: 'Vehicle_Two_Wheeler', family: 'Vehicle', max: 300000, min_t: 12, max_t: 48 });
+  });
+
+  it('accepts numbers typed as text and skips blank rows', () => {
+    const products = importProductRules(workbook([
+      PRODUCT_RULE_COLUMNS,
+      ['Personal_Green', ' 20000 ', '12', 48],
+      [null, null, null, null]
+    ]), 'green.xlsx');
+    expect(products).toEqual([{ type: 'Personal_Green', family: 'Personal', max: 20000, min_t: 12, max_t: 48 }]);
+  });
+
+  it('reports every invalid row together', () => {
+    const { message, issues } = issuesOf(() => importProductRules(workbook([
+      PRODUCT_RULE_COLUMNS,
+      ['Personal', 1000, 12, 60],
+      ['Personal', 1000, 12, 60],
+      ['Bad Type', 0, 12.5, 6],
+      ['Vehicle', 5000, 48, 24]
+    ]), 'bad.xlsx'));
+    expect(message).toBe('bad.xlsx contains invalid rows');
+    expect(issues).toEqual([
+      'Row 3: loan_type "Personal" is defined more than once',
+      'Row 4: loan_type "Bad Type" is not a valid product identifier',
+      'Row 4: max_amount 0 is not a positive number',
+      'Row 4: min_tenure_months 12.5 is not a whole number of months',
+      'Row 5: min_tenure_months (48) exceeds max_tenure_months (24)'
+    ]);
+  });
+
+  it('refuses sheets without the required columns or without products', () => {
+    expect(issuesOf(() => importProductRules(workbook([['loan_type', 'max_amount'], ['Personal', 1000]]), 'short.xlsx'))).toEqual({
+      message: 'short.xlsx is missing required columns',
+      issues: ['Column "min_tenure_months" not found in header row', 'Column "max_tenure_months" not found in header row']
+    });
+    expect(() => parseProductRules([PRODUCT_RULE_COLUMNS], 'empty.xlsx')).toThrow('empty.xlsx defines no products');
+  });
+});
+
+describe('product families and labels', () => {
+  it('derives the family and display label from the product identifier', () => {
+    expect(productFamily('Vehicle_Two_Wheeler')).toBe('Vehicle');
+    expect(productLabel('Vehicle_Two_Wheeler')).toBe('Vehicle Two Wheeler');
+    expect(productLabel('Housing')).toBe('Housing');
+  });
+
+  it('groups products by family in first-seen order', () => {
+    const groups = groupProductsByFamily(importProductRules(dataFile('Loan_Product_Rules_20.xlsx'), 'Loan_Product_Rules_20.xlsx'));
+    expect(groups.map(g => [g.family, g.products.length])).toEqual([['Personal', 5], ['Education', 5], ['Vehicle', 5], ['Housing', 5]]);
+    expect(groups[0].products.map(p => p.type)).toEqual(['Personal', 'Personal_Premium', 'Personal_Starter', 'Personal_SelfEmployed', 'Personal_Digital']);
+  });
+});
@@ -0,0 +1,78 @@
+import { buildPolicy } from './buildPolicy.js';
+import { PRODUCT_RULE_COLUMNS, parseProductRules } from './productRules.js';
+import { PolicyError } from './errors.js';
+import { canonicalJson } from '../audit/hash.js';
+
+// --- POLICY REVISIONS ---
+// The policy editor works on a draft copy of the active policy. Saving compiles the
+// draft into a new policy: every dataset that changed gets the next dataset_version and
+// a revision stamp (author, time, note), and the result goes through the same schema
+// validation as the files in Data/.
+
+// "1.0" -> "1.1", "1.9" -> "1.10", "workbook" -> "workbook.1"
+export const bumpVersion = (version) => {
+  const parts = String(version).split('.');
+  const last = Number(parts[parts.length - 1]);
+  return /^\d+$/.test(parts[parts.length - 1]) ? [...parts.slice(0, -1), last + 1].join('.') : `${version}.1`;
+};
+
+// Skips versions already used by another saved revision, so two drafts never share one.
+const nextVersion = (version, taken) => {
+  let next = bumpVersion(version);
+  while (taken.includes(next)) next = bumpVersion(next);
+  return next;
+};
+
+const clone = value => JSON.parse(JSON.stringify(value));
+
+// Rates are edited as percentages; the datasets hold fractions.
+const toPercent = rate => Number((rate * 100).toFixed(4));
+const toRate = percent => (String(percent).trim() === '' ? NaN : Number((Number(percent) / 100).toFixed(6)));
+
+export const draftFromPolicy = policy => ({
+  lendingRules: clone(policy.documents.lendingRules),
+  approvalThresholds: clone(policy.documents.approvalThresholds),
+  products: policy.products.map(p => ({
+    loan_type: p.type,
+    max_amount: String(p.max),
+    min_tenure_months: String(p.min_t),
+    max_tenure_months: String(p.max_t),
+    annual_rate: String(toPercent(policy.pricing[p.type].annual_rate))
+  }))
+});
+
+const content = doc => canonicalJson(Object.fromEntries(Object.entries(doc).filter(([k]) => k !== 'dataset_version' && k !== 'revision')));
+
+// `taken` lists the versions already used by saved revisions, keyed like policy.versions.
+export const compileRevision = ({ base, draft, author, note = '', at, taken = {} }) => {
+  if (!author || !author.trim()) throw new PolicyError('A policy revision needs an author');
+  const revision = { author: author.trim(), at, ...(note.trim() ? { note: note.trim() } : {}) };
+  const stamp = (doc, key) => ({ ...doc, dataset_version: nextVersion(doc.dataset_version, taken[key] || []), revision });
+
+  const products = parseProductRules([PRODUCT_RULE_COLUMNS, ...draft.products.map(row => PRODUCT_RULE_COLUMNS.map(c => row[c]))], 'Product table');
+  const pricing = {
+    ...base.documents.productPricing,
+    products: Object.fromEntries(draft.products.map(row => {
+      const type = String(row.loan_type).trim();
+      return [type, { ...(base.pricing[type] || {}), annual_rate: toRate(row.annual_rate) }];
+    }))
+  };
+
+  const changed = {
+    lending_rules: content(draft.lendingRules) !== content(base.documents.lendingRules),
+    approval_thresholds: content(draft.approvalThresholds) !== content(base.documents.approvalThresholds),
+    product_rules: canonicalJson(products) !== canonicalJson(base.products),
+    product_pricing: content(pricing) !== content(base.documents.productPricing)
+  };
+  if (!Object.values(changed).some(Boolean)) throw new PolicyError('No changes to save', ['The draft is identical to the active policy']);
+
+  const policy = buildPolicy({
+    lendingRules: changed.lending_rules ? stamp(draft.lendingRules, 'lending_rules') : base.documents.lendingRules,
+    approvalThresholds: changed.approval_thresholds ? stamp(draft.approvalThresholds, 'approval_thresholds') : base.documents.approvalThresholds,
+    approvalProbability: base.documents.approvalProbability,
+    products,
+    productPricing: changed.product_pricing ? stamp(pricing, 'product_pricing') : base.documents.productPricing,
+    productRulesVersion: changed.product_rules ? nextVersion(base.versions.product_rules, taken.product_rules || []) : base.versions.product_rules
+  });
+  return { policy, revision, changed: Object.keys(changed).filter(k => changed[k]) };
+};
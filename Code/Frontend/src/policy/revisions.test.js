@@ -0,0 +1,131 @@
+import { describe, expect, it } from 'vitest';
+import { loadTestPolicy, loadTestApplicants } from '../test/datasets.js';
+import { policyFingerprint } from '../audit/trail.js';
+import { PolicyError } from './errors.js';
+import { bumpVersion, compileRevision, draftFromPolicy } from './revisions.js';
+import { impactPreview } from './impact.js';
+import { identifyPolicy, policyIdFromFingerprint } from './store.js';
+
+const policy = loadTestPolicy();
+const applicants = loadTestApplicants();
+
+const AT = '2026-03-01T09:00:00.000Z';
+
+const revise = (edit, extra = {}) => {
+  const draft = draftFromPolicy(policy);
+  edit(draft);
+  return compileRevision({ base: policy, draft, author: 'R. Analyst', note: 'Tighten approvals', at: AT, ...extra });
+};
+
+const raiseApproval = d => {
+  d.approvalThresholds.thresholds.approve_if_probability_above = 80;
+  d.approvalThresholds.thresholds.review_if_probability_between = [40, 80];
+};
+
+describe('bumpVersion()', () => {
+  it('increments the last numeric part', () => {
+    expect(bumpVersion('1.0')).toBe('1.1');
+    expect(bumpVersion('1.9')).toBe('1.10');
+    expect(bumpVersion('workbook')).toBe('workbook.1');
+  });
+});
+
+describe('compileRevision()', () => {
+  it('versions and stamps only the datasets that changed', () => {
+    const { policy: revised, revision, changed } = revise(raiseApproval);
+    expect(changed).toEqual(['approval_thresholds']);
+    expect(revised.versions).toEqual({ ...policy.versions, approval_thresholds: '1.1' });
+    expect(revised.documents.approvalThresholds.revision).toEqual({ author: 'R. Analyst', at: AT, note: 'Tighten approvals' });
+    expect(revised.documents.lendingRules).toBe(policy.documents.lendingRules);
+    expect(revision.author).toBe('R. Analyst');
+  });
+
+  it('round-trips the product table, rates included', () => {
+    expect(() => revise(() => {})).toThrow('No changes to save');
+    const { policy: revised, changed } = revise(d => { d.products[0].annual_rate = '13'; });
+    expect(changed).toEqual(['product_pricing']);
+    expect(revised.pricing.Personal).toEqual({ ...policy.pricing.Personal, annual_rate: 0.13 });
+    expect(revised.products).toEqual(policy.products);
+  });
+
+  it('requires a priced product for every row', () => {
+    const { policy: revised, changed } = revise(d => {
+      d.products.push({ loan_type: 'Personal_Green', max_amount: '20000', min_tenure_months: '12', max_tenure_months: '48', annual_rate: '11.5' });
+    });
+    expect(changed).toEqual(['product_rules', 'product_pricing']);
+    expect(revised.versions.product_rules).toBe('workbook.1');
+    expect(revised.pricing.Personal_Green).toEqual({ annual_rate: 0.115 });
+  });
+
+  it('compiles edits to employment stability, loan count bands and product routing', () => {
+    const { policy: revised, changed } = revise(d => {
+      d.lendingRules.employment_stability.Salaried.splice(1, 0, { min_years: 0.5, decision: 'review' });
+      d.lendingRules.existing_loan_count[0].max_count = 1;
+      d.lendingRules.product_routing.Salaried = { Personal: 'Personal_SelfEmployed' };
+    });
+    expect(changed).toEqual(['lending_rules']);
+    expect(revised.lendingRules.employment_stability.Salaried.map(b => b.min_years)).toEqual([1, 0.5, 0]);
+    expect(revised.lendingRules.existing_loan_count[0]).toEqual({ max_count: 1, decision: 'approve' });
+    expect(revised.lendingRules.product_routing.Salaried).toEqual({ Personal: 'Personal_SelfEmployed' });
+
+    expect(() => revise(d => { d.lendingRules.employment_stability.Salaried.splice(1, 0, { min_years: null, decision: 'review' }); }))
+      .toThrow(expect.objectContaining({ issues: [expect.stringContaining('employment_stability.Salaried[1].min_years must be a number')] }));
+    expect(() => revise(d => { d.lendingRules.product_routing.Salaried = { Personal: 'Personal_Unknown' }; }))
+      .toThrow(expect.objectContaining({ issues: [expect.stringContaining('not in the product rules catalogue')] }));
+  });
+
+  it('skips versions already taken by another saved revision', () => {
+    const { policy: revised } = revise(raiseApproval, { taken: { approval_thresholds: ['1.1', '1.2'] } });
+    expect(revised.versions.approval_thresholds).toBe('1.3');
+  });
+
+  it('reports schema problems and a missing author as PolicyErrors', () => {
+    const bad = () => revise(d => { d.lendingRules.age_limits.min = 70; });
+    expect(bad).toThrow(PolicyError);
+    try { bad(); } catch (err) { expect(err.issues).toEqual([expect.stringContaining('age_limits.min must not exceed age_limits.max')]); }
+    expect(() => revise(d => { d.lendingRules.credit_score_range.max = 300; }))
+      .toThrow(expect.objectContaining({ issues: [expect.stringContaining('credit_score_range.min must be less than credit_score_range.max')] }));
+    expect(() => revise(d => { delete d.lendingRules.credit_score_range; })).not.toThrow();
+    expect(() => revise(d => { d.lendingRules.joint_applications.credit_score_basis = 'average'; }))
+      .toThrow(expect.objectContaining({ issues: [expect.stringContaining('joint_applications.credit_score_basis')] }));
+    expect(() => revise(d => { d.lendingRules.age_limits.max_at_tenure_end = 18; }))
+      .toThrow(expect.objectContaining({ issues: [expect.stringContaining('age_limits.max_at_tenure_end')] }));
+    expect(() => revise(d => { d.lendingRules.age_limits.max_at_tenure_end = 65; })).not.toThrow();
+    expect(() => revise(d => { d.lendingRules.verification.income_tolerance_ratio = 1.5; }))
+      .toThrow(expect.objectContaining({ issues: [expect.stringContaining('verification.income_tolerance_ratio')] }));
+
+    expect(() => revise(d => { d.products[1].min_tenure_months = 'x'; })).toThrow('Product table contains invalid rows');
+    expect(() => revise(d => { d.products = d.products.filter(p => p.loan_type !== 'Personal_SelfEmployed'); }))
+      .toThrow(expect.objectContaining({ issues: [expect.stringContaining('routes to "Personal_SelfEmployed", which is not in the product rules catalogue')] }));
+    expect(() => revise(raiseApproval, { author: '  ' })).toThrow('needs an author');
+  });
+});
+
+describe('impactPreview()', () => {
+  it('lists only the decisions that flip', () => {
+    const { policy: revised } = revise(raiseApproval);
+    const preview = impactPreview(applicants, policy, revised);
+    expect(preview.total).toBe(applicants.length);
+    expect(preview.flips.length).toBeGreaterThan(0);
+    expect(preview.unchanged + preview.flips.length).toBe(applicants.length);
+    preview.flips.forEach(f => {
+      expect(f.before.decision).toBe('APPROVED');
+      expect(f.after.decision).toBe('REVIEW');
+      expect(f.before.probability).toBeLessThanOrEqual(80);
+    });
+    expect(preview.transitions).toEqual({ 'APPROVED → REVIEW': preview.flips.length });
+  });
+
+  it('finds nothing to flip between identical policies', () => {
+    expect(impactPreview(applicants, policy, policy).flips).toEqual([]);
+  });
+});
+
+describe('policy identity', () => {
+  it('is derived from the same fingerprint the audit trail records', async () => {
+    const identified = await identifyPolicy(policy);
+    expect(identified.id).toMatch(/^[0-9A-F]{16}$/);
+    expect(identified.id).toBe(await policyIdFromFingerprint(await policyFingerprint(policy)));
+    expect((await identifyPolicy(revise(raiseApproval).policy)).id).not.toBe(identified.id);
+  });
+});
@@ -0,0 +1,229 @@
+import { CREDIT_SCORE_BASES } from '../engine/parties.js';
+
+// --- POLICY DATASET SCHEMAS ---
+// Structural checks for the JSON datasets in Data/. Each validator returns a list of
+// human-readable issues; an empty list means the document can be used as policy.
+
+// Decisions a band or EMI/income category may carry; the policy editor offers the same.
+export const CREDIT_BAND_DECISIONS = ['approve', 'review', 'reject'];
+export const EMI_RATIO_DECISIONS = ['approve', 'manual_review', 'reject'];
+
+const isObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+const isNumber = v => typeof v === 'number' && Number.isFinite(v);
+const isNullableNumber = v => v === null || isNumber(v);
+const isNonEmptyString = v => typeof v === 'string' && v.trim() !== '';
+const isPoints = v => isNumber(v) && v >= 0 && v <= 1;
+
+// Ordered bands keyed on `key`, which together must cover every value. Ascending tables
+// (upper bounds) end with an open-ended band (null); descending ones (lower bounds) end
+// with a band from 0. Each band also carries either probability `points` or an
+// approve/review/reject `decision`.
+const checkOrderedBands = (bands, at, key, ascending, issues, carries = 'points') => {
+  if (!Array.isArray(bands) || bands.length === 0) return issues.push(`${at} must be a non-empty array`);
+  bands.forEach((b, i) => {
+    const last = i === bands.length - 1;
+    if (!isObject(b)) return issues.push(`${at}[${i}] must be an object`);
+    if (last && ascending && b[key] !== null) issues.push(`${at}[${i}].${key} must be null: the last band must be open-ended`);
+    else if (last && !ascending && b[key] !== 0) issues.push(`${at}[${i}].${key} must be 0: the last band must start from 0`);
+    else if (!last && !isNumber(b[key])) issues.push(`${at}[${i}].${key} must be a number`);
+    else if (i > 0 && isNumber(b[key]) && isNumber(bands[i - 1]?.[key]) && (ascending ? b[key] <= bands[i - 1][key] : b[key] >= bands[i - 1][key])) {
+      issues.push(`${at}[${i}].${key} must be ${ascending ? 'greater' : 'less'} than the previous band`);
+    }
+    if (carries === 'points' && !isPoints(b.points)) issues.push(`${at}[${i}].points must be a number between 0 and 1`);
+    if (carries === 'decision' && !CREDIT_BAND_DECISIONS.includes(b.decision)) issues.push(`${at}[${i}].decision must be one of ${CREDIT_BAND_DECISIONS.join(', ')}`);
+  });
+};
+
+const checkHeader = (doc, expectedType, issues) => {
+  if (!isNonEmptyString(doc.dataset_version)) issues.push('dataset_version must be a non-empty string');
+  if (doc.dataset_type !== expectedType) issues.push(`dataset_type must be "${expectedType}" (got ${JSON.stringify(doc.dataset_type)})`);
+};
+
+// `products`, when given, is used to check that routing only targets catalogued products.
+export const validateLendingRules = (doc, products) => {
+  if (!isObject(doc)) return ['dataset must be a JSON object'];
+  const issues = [];
+  checkHeader(doc, 'lending_rules', issues);
+
+  const age = doc.age_limits;
+  if (!isObject(age) || !isNumber(age.min) || !isNumber(age.max)) issues.push('age_limits.min and age_limits.max must be numbers');
+  else if (age.min > age.max) issues.push('age_limits.min must not exceed age_limits.max');
+  else if (age.max_at_tenure_end !== undefined && !(isNumber(age.max_at_tenure_end) && age.max_at_tenure_end > age.min)) {
+    issues.push('age_limits.max_at_tenure_end must be a number above age_limits.min');
+  }
+
+  // Optional: the scores a bureau can report. Outside it a score is a data error, not a
+  // risk band. Policies recorded before it existed still rebuild without it.
+  const range = doc.credit_score_range;
+  if (range !== undefined) {
+    if (!isObject(range) || !isNumber(range.min) || !isNumber(range.max)) issues.push('credit_score_range.min and credit_score_range.max must be numbers');
+    else if (range.min >= range.max) issues.push('credit_score_range.min must be less than credit_score_range.max');
+  }
+
+  const bands = doc.credit_score_bands;
+  if (!Array.isArray(bands) || bands.length === 0) {
+    issues.push('credit_score_bands must be a non-empty array');
+  } else {
+    bands.forEach((b, i) => {
+      const at = `credit_score_bands[${i}]`;
+      if (!isObject(b)) return issues.push(`${at} must be an object`);
+      if (!isNonEmptyString(b.band)) issues.push(`${at}.band must be a non-empty string`);
+      if (!isNullableNumber(b.min_score)) issues.push(`${at}.min_score must be a number or null`);
+      if (!isNullableNumber(b.max_score)) issues.push(`${at}.max_score must be a number or null`);
+      if (b.min_score === null && b.max_score === null) issues.push(`${at} must bound at least one of min_score/max_score`);
+      if (isNumber(b.min_score) && isNumber(b.max_score) && b.min_score > b.max_score) issues.push(`${at}.min_score must not exceed max_score`);
+      if (!isNonEmptyString(b.risk_level)) issues.push(`${at}.risk_level must be a non-empty string`);
+      if (!CREDIT_BAND_DECISIONS.includes(b.decision)) issues.push(`${at}.decision must be one of ${CREDIT_BAND_DECISIONS.join(', ')}`);
+    });
+  }
+
+  const ratios = doc.emi_income_ratio;
+  if (!Array.isArray(ratios) || ratios.length === 0) {
+    issues.push('emi_income_ratio must be a non-empty array');
+  } else {
+    ratios.forEach((r, i) => {
+      const at = `emi_income_ratio[${i}]`;
+      if (!isObject(r)) return issues.push(`${at} must be an object`);
+      if (!isNonEmptyString(r.category)) issues.push(`${at}.category must be a non-empty string`);
+      if (!isNumber(r.threshold) || r.threshold <= 0) issues.push(`${at}.threshold must be a positive number`);
+      else if (i > 0 && isNumber(ratios[i - 1]?.threshold) && r.threshold <= ratios[i - 1].threshold) issues.push(`${at}.threshold must be greater than the previous category`);
+      if (!EMI_RATIO_DECISIONS.includes(r.decision)) issues.push(`${at}.decision must be one of ${EMI_RATIO_DECISIONS.join(', ')}`);
+    });
+  }
+
+  const lti = doc.loan_to_income_ratio;
+  if (!isObject(lti) || Object.keys(lti).length === 0) issues.push('loan_to_income_ratio must be a non-empty object');
+  else Object.entries(lti).forEach(([family, cap]) => {
+    if (!isNumber(cap) || cap <= 0) issues.push(`loan_to_income_ratio.${family} must be a positive number`);
+  });
+
+  const stability = doc.employment_stability;
+  if (!isObject(stability) || Object.keys(stability).length === 0) issues.push('employment_stability must be a non-empty object');
+  else Object.entries(stability).forEach(([type, bands]) => {
+    const at = `employment_stability.${type}`;
+    checkOrderedBands(bands, at, 'min_years', false, issues, 'decision');
+  });
+
+  checkOrderedBands(doc.existing_loan_count, 'existing_loan_count', 'max_count', true, issues, 'decision');
+
+  // Optional: without it, applications with co-applicants are declined.
+  const joint = doc.joint_applications;
+  if (joint !== undefined) {
+    if (!isObject(joint)) issues.push('joint_applications must be an object');
+    else {
+      if (!Number.isInteger(joint.max_co_applicants) || joint.max_co_applicants < 1) issues.push('joint_applications.max_co_applicants must be a whole number of at least 1');
+      if (!CREDIT_SCORE_BASES.includes(joint.credit_score_basis)) issues.push(`joint_applications.credit_score_basis must be one of ${CREDIT_SCORE_BASES.join(', ')}`);
+    }
+  }
+
+  // Optional: how far a verified credit score or income may differ from the declared one.
+  // Without it, any difference is a contradiction.
+  const verification = doc.verification;
+  if (verification !== undefined) {
+    if (!isObject(verification)) issues.push('verification must be an object');
+    else {
+      if (!isNumber(verification.credit_score_tolerance_points) || verification.credit_score_tolerance_points < 0) issues.push('verification.credit_score_tolerance_points must be a number of at least 0');
+      if (!isNumber(verification.income_tolerance_ratio) || verification.income_tolerance_ratio < 0 || verification.income_tolerance_ratio >= 1) issues.push('verification.income_tolerance_ratio must be a number from 0 up to (not including) 1');
+    }
+  }
+
+  const routing = doc.product_routing;
+  if (routing !== undefined) {
+    if (!isObject(routing)) issues.push('product_routing must be an object');
+    else Object.entries(routing).forEach(([type, routes]) => {
+      if (!isObject(routes)) return issues.push(`product_routing.${type} must be an object`);
+      Object.entries(routes).forEach(([from, to]) => {
+        const at = `product_routing.${type}.${from}`;
+        if (!isNonEmptyString(to)) issues.push(`${at} must name a product`);
+        else if (products && !products.some(p => p.type === to)) issues.push(`${at} routes to "${to}", which is not in the product rules catalogue`);
+      });
+    });
+  }
+
+  return issues;
+};
+
+export const validateApprovalThresholds = (doc) => {
+  if (!isObject(doc)) return ['dataset must be a JSON object'];
+  const issues = [];
+  checkHeader(doc, 'approval_thresholds', issues);
+
+  const t = doc.thresholds;
+  if (!isObject(t)) return [...issues, 'thresholds must be an object'];
+  const { approve_if_probability_above: approve, reject_if_probability_below: reject, review_if_probability_between: review } = t;
+  if (!isNumber(approve) || approve < 0 || approve > 100) issues.push('thresholds.approve_if_probability_above must be a number between 0 and 100');
+  if (!isNumber(reject) || reject < 0 || reject > 100) issues.push('thresholds.reject_if_probability_below must be a number between 0 and 100');
+  if (isNumber(approve) && isNumber(reject) && reject > approve) issues.push('thresholds.reject_if_probability_below must not exceed approve_if_probability_above');
+  if (!Array.isArray(review) || review.length !== 2 || !review.every(isNumber)) issues.push('thresholds.review_if_probability_between must be a [min, max] pair of numbers');
+  else if (review[0] !== reject || review[1] !== approve) issues.push('thresholds.review_if_probability_between must span reject_if_probability_below to approve_if_probability_above');
+
+  return issues;
+};
+
+// `lendingRules` is used to cross-check that every credit band and EMI category has points.
+export const validateApprovalProbability = (doc, lendingRules) => {
+  if (!isObject(doc)) return ['dataset must be a JSON object'];
+  const issues = [];
+  checkHeader(doc, 'approval_probability', issues);
+
+  const c = doc.components;
+  if (!isObject(c)) return [...issues, 'components must be an object'];
+  const names = ['credit_band', 'emi_income_category', 'loan_to_income', 'employment_stability', 'existing_loans'];
+  names.forEach(n => {
+    if (!isObject(c[n])) issues.push(`components.${n} must be an object`);
+    else if (!isNumber(c[n].weight) || c[n].weight < 0) issues.push(`components.${n}.weight must be a non-negative number`);
+  });
+  if (issues.length) return issues;
+
+  const total = Object.values(c).reduce((sum, comp) => sum + comp.weight, 0);
+  if (Math.abs(total - 100) > 1e-9) issues.push(`component weights must sum to 100 (got ${total})`);
+
+  const checkPointsMap = (map, at, expectedKeys) => {
+    if (!isObject(map)) return issues.push(`${at} must be an object`);
+    Object.entries(map).forEach(([k, v]) => { if (!isPoints(v)) issues.push(`${at}.${k} must be a number between 0 and 1`); });
+    expectedKeys.filter(k => !(k in map)).forEach(k => issues.push(`${at} has no entry for "${k}"`));
+  };
+  checkPointsMap(c.credit_band.points, 'components.credit_band.points', (lendingRules?.credit_score_bands || []).map(b => b.band));
+  checkPointsMap(c.emi_income_category.points, 'components.emi_income_category.points', (lendingRules?.emi_income_ratio || []).map(r => r.category));
+
+  checkOrderedBands(c.loan_to_income.cap_utilisation_bands, 'components.loan_to_income.cap_utilisation_bands', 'max_utilisation', true, issues);
+  checkOrderedBands(c.existing_loans.count_bands, 'components.existing_loans.count_bands', 'max_count', true, issues);
+
+  const byType = c.employment_stability.bands_by_employment_type;
+  if (!isObject(byType) || Object.keys(byType).length === 0) issues.push('components.employment_stability.bands_by_employment_type must be a non-empty object');
+  else Object.entries(byType).forEach(([type, bands]) => {
+    const at = `components.employment_stability.bands_by_employment_type.${type}`;
+    checkOrderedBands(bands, at, 'min_years', false, issues);
+  });
+
+  return issues;
+};
+
+const isRate = v => isNumber(v) && v >= 0 && v < 1;
+
+// Cross-checked against the product catalogue (every product must be priced, no
+// unknown products) and the lending rules (band overrides must name real bands).
+export const validateProductPricing = (doc, products, lendingRules) => {
+  if (!isObject(doc)) return ['dataset must be a JSON object'];
+  const issues = [];
+  checkHeader(doc, 'product_pricing', issues);
+
+  const priced = doc.products;
+  if (!isObject(priced)) return [...issues, 'products must be an object'];
+  const bands = (lendingRules?.credit_score_bands || []).map(b => b.band);
+  Object.entries(priced).forEach(([type, entry]) => {
+    const at = `products.${type}`;
+    if (!isObject(entry)) return issues.push(`${at} must be an object`);
+    if (!isRate(entry.annual_rate)) issues.push(`${at}.annual_rate must be a fraction from 0 up to (not including) 1`);
+    if (entry.credit_band_rates === undefined) return;
+    if (!isObject(entry.credit_band_rates)) return issues.push(`${at}.credit_band_rates must be an object`);
+    Object.entries(entry.credit_band_rates).forEach(([band, rate]) => {
+      if (!bands.includes(band)) issues.push(`${at}.credit_band_rates.${band} is not a credit band in the lending rules`);
+      if (!isRate(rate)) issues.push(`${at}.credit_band_rates.${band} must be a fraction from 0 up to (not including) 1`);
+    });
+  });
+  (products || []).filter(p => !(p.type in priced)).forEach(p => issues.push(`products has no pricing for "${p.type}"`));
+  Object.keys(priced).filter(type => !(products || []).some(p => p.type === type)).forEach(type => issues.push(`products.${type} is not in the product rules catalogue`));
+
+  return issues;
+};
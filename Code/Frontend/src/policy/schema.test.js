@@ -0,0 +1,41 @@
+import { describe, expect, it } from 'vitest';
+import { loadTestPolicy } from '../test/datasets.js';
+import { validateApprovalProbability, validateLendingRules } from './schema.js';
+
+const policy = loadTestPolicy();
+const { lendingRules, approvalProbability } = policy.documents;
+
+const edited = (doc, edit) => {
+  const copy = structuredClone(doc);
+  edit(copy);
+  return copy;
+};
+
+describe('band tables', () => {
+  it('accepts the datasets as they are', () => {
+    expect(validateLendingRules(lendingRules, policy.products)).toEqual([]);
+    expect(validateApprovalProbability(approvalProbability, lendingRules)).toEqual([]);
+  });
+
+  it('requires decision tables to cover every value', () => {
+    const closed = edited(lendingRules, d => { d.existing_loan_count = [{ max_count: 2, decision: 'approve' }, { max_count: 5, decision: 'review' }]; });
+    expect(validateLendingRules(closed, policy.products)).toEqual(['existing_loan_count[1].max_count must be null: the last band must be open-ended']);
+    const unfloored = edited(lendingRules, d => { d.employment_stability['Self-Employed'].pop(); });
+    expect(validateLendingRules(unfloored, policy.products)).toEqual(['employment_stability.Self-Employed[1].min_years must be 0: the last band must start from 0']);
+  });
+
+  it('requires probability bands to cover every value', () => {
+    const closed = edited(approvalProbability, d => {
+      d.components.loan_to_income.cap_utilisation_bands.pop();
+      d.components.existing_loans.count_bands.pop();
+    });
+    expect(validateApprovalProbability(closed, lendingRules)).toEqual([
+      'components.loan_to_income.cap_utilisation_bands[2].max_utilisation must be null: the last band must be open-ended',
+      'components.existing_loans.count_bands[3].max_count must be null: the last band must be open-ended'
+    ]);
+    const unfloored = edited(approvalProbability, d => { d.components.employment_stability.bands_by_employment_type.Salaried.at(-1).min_years = 1; });
+    expect(validateApprovalProbability(unfloored, lendingRules)).toEqual([
+      expect.stringMatching(/bands_by_employment_type\.Salaried\[\d+\]\.min_years must be 0: the last band must start from 0$/)
+    ]);
+  });
+});
@@ -0,0 +1,67 @@
+import { STORES, run } from '../storage/db.js';
+import { hashContent } from '../audit/hash.js';
+import { policyFingerprint } from '../audit/trail.js';
+import { buildPolicy } from './buildPolicy.js';
+
+// --- POLICY STORE ---
+// Every policy that decisions have been made under is kept, keyed by an ID derived from
+// its versions and content hashes (the same fingerprint the audit trail records). Past
+// decisions can therefore always be reopened or re-run under the policy they were made
+// under, however many revisions have been published since.
+
+export const policyIdFromFingerprint = async fingerprint => (await hashContent(fingerprint)).slice(0, 16).toUpperCase();
+
+export const identifyPolicy = async policy => ({ ...policy, id: await policyIdFromFingerprint(await policyFingerprint(policy)) });
+
+const toRecord = (policy, fields) => ({
+  id: policy.id,
+  versions: policy.versions,
+  documents: policy.documents,
+  products: policy.products,
+  ...fields
+});
+
+export const policyFromRecord = record => identifyPolicy(buildPolicy({
+  ...record.documents,
+  products: record.products,
+  productRulesVersion: record.versions.product_rules
+}));
+
+export const listPolicyRecords = async () => {
+  const all = await run(STORES.policies, 'readonly', store => store.getAll());
+  return all.sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+};
+
+const getPolicyRecord = id => run(STORES.policies, 'readonly', store => store.get(id));
+
+// The datasets in Data/ are the root of every revision chain. A revision is only ever
+// activated on top of the root it was derived from, so replacing the files starts afresh.
+export const activatePolicy = async (baseline) => {
+  const root = await identifyPolicy(baseline);
+  if (!(await getPolicyRecord(root.id))) {
+    await run(STORES.policies, 'readwrite', store => store.put(toRecord(root, { rootId: root.id, source: 'datasets', author: null, createdAt: null, publishedAt: null })));
+  }
+  const records = await listPolicyRecords();
+  const published = records.filter(r => r.rootId === root.id && r.publishedAt).sort((a, b) => a.publishedAt.localeCompare(b.publishedAt));
+  const active = published.length ? await policyFromRecord(published[published.length - 1]) : root;
+  return { policy: { ...active, rootId: root.id }, records };
+};
+
+export const saveRevision = async ({ policy, revision, changed, base }) => {
+  const saved = await identifyPolicy(policy);
+  const record = toRecord(saved, { rootId: base.rootId, source: 'editor', parentId: base.id, changed, author: revision.author, note: revision.note ?? null, createdAt: revision.at, publishedAt: null });
+  await run(STORES.policies, 'readwrite', store => store.put(record));
+  return record;
+};
+
+export const publishRevision = async (record, at) => {
+  const published = { ...record, publishedAt: at };
+  await run(STORES.policies, 'readwrite', store => store.put(published));
+  return { ...(await policyFromRecord(published)), rootId: published.rootId };
+};
+
+// Resolves the policy a decision was made under. Returns null when it is not on record.
+export const findPolicy = async id => {
+  const record = id ? await getPolicyRecord(id) : null;
+  return record ? { ...(await policyFromRecord(record)), rootId: record.rootId } : null;
+};
@@ -0,0 +1,7 @@
+// Saves generated content through a temporary object URL; nothing leaves the browser.
+export const downloadFile = (content, type, filename) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = Object.assign(document.createElement('a'), { href: url, download: filename });
+  link.click();
+  URL.revokeObjectURL(url);
+};
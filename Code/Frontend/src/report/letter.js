@@ -0,0 +1,153 @@
+import { jsPDF } from 'jspdf';
+
+// --- DECISION LETTER ---
+// Applicant-facing rendering of a decision report. letterContent() decides what the
+// letter says; the HTML and PDF renderers only lay that content out.
+
+const OUTCOME_LINES = {
+  APPROVED: 'Your application meets the lending policy and has been approved by the automated assessment.',
+  REVIEW: 'Your application has been referred to an underwriter for manual review. No final decision has been made yet.',
+  REJECTED: 'We are unable to approve your application under the current lending policy.',
+  ESCALATED: 'Your application could not be assessed automatically and has been passed to a credit officer. No decision has been made yet.'
+};
+
+const STATUS_LABELS = { pass: 'Passed', warn: 'Flagged', fail: 'Not met' };
+
+const money = v => `$${Math.round(v).toLocaleString('en-US')}`;
+const percent = v => `${(v * 100).toFixed(1)}%`;
+
+export const letterContent = (report) => {
+  const { decision, figures, policy } = report;
+  const hasFigures = figures.emi !== null;
+  return {
+    title: 'Loan Application Decision',
+    meta: [
+      ['Trace ID', report.traceId ?? 'Not recorded'],
+      ['Date', new Date(report.generatedAt).toUTCString()],
+      ['Product', figures.loanType && figures.loanType !== report.applicant.inputs.loanType
+        ? `${figures.loanType} (requested ${report.applicant.inputs.loanType})`
+        : report.applicant.inputs.loanType ?? '-'],
+      ['Amount requested', report.applicant.inputs.loanAmount ? money(Number(report.applicant.inputs.loanAmount)) : '-'],
+      ['Policy versions', `Lending Rules v${policy.versions.lending_rules}, Approval Thresholds v${policy.versions.approval_thresholds}, Probability Model v${policy.versions.approval_probability}, Product Pricing v${policy.versions.product_pricing}`]
+    ],
+    greeting: `Dear ${report.applicant.name || report.applicant.applicantId || 'Applicant'},`,
+    outcome: decision.outcome,
+    outcomeLine: OUTCOME_LINES[decision.outcome],
+    rationale: decision.rationale,
+    checks: report.checks.map(c => ({ label: c.label, status: STATUS_LABELS[c.status], detail: c.detail, threshold: c.threshold ?? '-', ruleId: c.ruleId })),
+    figures: [
+      ...(hasFigures ? [
+        ['Estimated new monthly instalment (EMI)', money(figures.emi)],
+        ['Existing monthly instalments', money(figures.existingEmi)],
+        ['Total monthly obligations', money(figures.totalObligation)],
+        ['Debt-to-income ratio', percent(figures.dti)],
+        ['Interest rate used', `${(figures.annualRate * 100).toFixed(2)}% fixed APR`]
+      ] : []),
+      ['Approval probability', decision.probability === null ? 'Not calculated' : `${decision.probability}%`],
+      ['Automated approval threshold', `above ${policy.thresholds.approveIfProbabilityAbove}%`],
+      ['Automated rejection threshold', `below ${policy.thresholds.rejectIfProbabilityBelow}%`]
+    ],
+    reasons: decision.reasons.map(r => r.message),
+    suggestions: report.suggestions.map(s => ({ title: s.title, message: s.message })),
+    disclaimers: report.disclaimers
+  };
+};
+
+const escapeHtml = v => String(v).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+
+const rows = pairs => pairs.map(([k, v]) => `<tr><th>${escapeHtml(k)}</th><td>${escapeHtml(v)}</td></tr>`).join('');
+
+export const renderLetterHtml = (report) => {
+  const c = letterContent(report);
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(c.title)} - ${escapeHtml(report.traceId ?? '')}</title>
+<style>
+  body { font-family: Georgia, 'Times New Roman', serif; color: #111; max-width: 760px; margin: 40px auto; padding: 0 24px; line-height: 1.5; }
+  h1 { font-size: 22px; margin-bottom: 4px; }
+  h2 { font-size: 15px; margin-top: 28px; border-bottom: 1px solid #999; padding-bottom: 4px; }
+  table { width: 100%; border-collapse: collapse; font-size: 13px; }
+  th, td { text-align: left; vertical-align: top; padding: 6px 8px; border-bottom: 1px solid #ddd; }
+  .meta th { width: 34%; font-weight: normal; color: #555; }
+  .outcome { font-size: 18px; font-weight: bold; margin: 16px 0 4px; }
+  .rule { color: #666; font-family: monospace; font-size: 11px; }
+  .disclaimer { font-size: 12px; color: #333; }
+  @media print { body { margin: 0; } h2 { break-after: avoid; } tr { break-inside: avoid; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(c.title)}</h1>
+<table class="meta">${rows(c.meta)}</table>
+<p>${escapeHtml(c.greeting)}</p>
+<p class="outcome">Outcome: ${escapeHtml(c.outcome)}</p>
+<p>${escapeHtml(c.outcomeLine)}</p>
+<p>${escapeHtml(c.rationale)}</p>
+${c.reasons.length ? `<h2>Information we need</h2><ul>${c.reasons.map(r => `<li>${escapeHtml(r)}</li>`).join('')}</ul>` : ''}
+<h2>Checks applied</h2>
+<table>
+<tr><th>Check</th><th>Result</th><th>Your figures</th><th>Threshold applied</th></tr>
+${c.checks.map(k => `<tr><td>${escapeHtml(k.label)}<div class="rule">${escapeHtml(k.ruleId)}</div></td><td>${escapeHtml(k.status)}</td><td>${escapeHtml(k.detail)}</td><td>${escapeHtml(k.threshold)}</td></tr>`).join('\n')}
+</table>
+<h2>Repayment figures</h2>
+<table class="meta">${rows(c.figures)}</table>
+${c.suggestions.length ? `<h2>What could change the outcome</h2>${c.suggestions.map(s => `<p><strong>${escapeHtml(s.title)}.</strong> ${escapeHtml(s.message)}</p>`).join('')}` : ''}
+<h2>Important information</h2>
+${c.disclaimers.map(d => `<p class="disclaimer">${escapeHtml(d)}</p>`).join('\n')}
+</body>
+</html>
+`;
+};
+
+// Standard PDF fonts only cover Latin-1, so anything outside it is replaced.
+const latin1 = v => String(v).replace(/[–—]/g, '-').replace(/[^\x20-\xff]/g, '?');
+
+const PAGE = { margin: 48, width: 595.28, height: 841.89 };
+
+export const renderLetterPdf = (report) => {
+  const c = letterContent(report);
+  const doc = new jsPDF({ unit: 'pt', format: 'a4' });
+  const textWidth = PAGE.width - PAGE.margin * 2;
+  let y = PAGE.margin;
+
+  const write = (text, { size = 10, bold = false, indent = 0, gap = 4 } = {}) => {
+    doc.setFont('helvetica', bold ? 'bold' : 'normal').setFontSize(size);
+    const lines = doc.splitTextToSize(latin1(text), textWidth - indent);
+    lines.forEach(line => {
+      if (y + size > PAGE.height - PAGE.margin) { doc.addPage(); y = PAGE.margin; }
+      doc.text(line, PAGE.margin + indent, y + size);
+      y += size * 1.3;
+    });
+    y += gap;
+  };
+  const heading = text => { y += 8; write(text, { size: 12, bold: true, gap: 6 }); };
+  const pairs = list => list.forEach(([k, v]) => write(`${k}: ${v}`, { gap: 2 }));
+
+  write(c.title, { size: 18, bold: true, gap: 10 });
+  pairs(c.meta);
+  y += 10;
+  write(c.greeting);
+  write(`Outcome: ${c.outcome}`, { size: 13, bold: true });
+  write(c.outcomeLine);
+  write(c.rationale);
+  if (c.reasons.length) {
+    heading('Information we need');
+    c.reasons.forEach(r => write(`- ${r}`, { indent: 8, gap: 2 }));
+  }
+  heading('Checks applied');
+  c.checks.forEach(k => {
+    write(`${k.label}: ${k.status}`, { bold: true, gap: 0 });
+    write(`Your figures: ${k.detail}`, { indent: 12, gap: 0 });
+    write(`Threshold applied: ${k.threshold} (${k.ruleId})`, { indent: 12, size: 9 });
+  });
+  heading('Repayment figures');
+  pairs(c.figures);
+  if (c.suggestions.length) {
+    heading('What could change the outcome');
+    c.suggestions.forEach(s => write(`${s.title}. ${s.message}`));
+  }
+  heading('Important information');
+  c.disclaimers.forEach(d => write(d, { size: 9 }));
+  return doc;
+};
@@ -0,0 +1,280 @@
+import { CO_APPLICANT_INPUTS, DECISION_INPUTS, VERIFIABLE_INPUTS, snapshotCoApplicants } from '../engine/inputs.js';
+import { verificationSummary } from '../verification/verify.js';
+
+// --- DECISION REPORT ---
+// The single source for everything exported about a decision. The JSON report is built
+// here and both the letter renderers read from it, so the letter can never state a
+// figure the machine-readable report does not contain.
+
+export const REPORT_SCHEMA_ID = 'compliance-hub.decision-report';
+export const REPORT_SCHEMA_VERSION = '1.3.0';
+
+export const DISCLAIMERS = [
+  'This letter reports the outcome of an automated policy assessment. It is not an offer of credit, and no outcome is guaranteed until a signed facility agreement is issued.',
+  'Improvement suggestions describe what the lending rules require. Acting on them does not guarantee approval of a future application.',
+  'Figures are calculated from the information supplied at the time of assessment and the policy versions listed. Any change to either may change the outcome.'
+];
+
+// Names the exact checks behind a non-approval instead of a generic sentence.
+export const decisionRationale = ({ decision, probability, checks, reasons }, thresholds) => {
+  const list = status => checks.filter(c => c.status === status).map(c => `${c.label}: ${c.detail}`).join('; ');
+  if (decision === 'ESCALATED') {
+    return `Automated assessment was halted and the case referred to a credit officer. ${reasons.map(r => r.message).join('; ')}.`;
+  }
+  if (decision === 'APPROVED') {
+    const warned = list('warn');
+    return `Approval probability of ${probability}% exceeds the ${thresholds.approve_if_probability_above}% automated approval bar and `
+      + (warned ? `no compliance checkpoint failed. Noted without blocking approval: ${warned}.` : 'every compliance checkpoint passed.');
+  }
+  if (decision === 'REJECTED') {
+    const failed = list('fail');
+    return failed
+      ? `Policy prohibits automated approval because these rules were not met. ${failed}.`
+      : `Approval probability of ${probability}% is below the ${thresholds.reject_if_probability_below}% rejection threshold.`;
+  }
+  const warned = list('warn');
+  if (probability > thresholds.approve_if_probability_above) {
+    return `Approval probability of ${probability}% clears the ${thresholds.approve_if_probability_above}% automated approval bar, but policy requires human underwriter review of these checks. ${warned}.`;
+  }
+  return `Approval probability of ${probability}% falls within the manual review band (${thresholds.review_if_probability_between.join('-')}%) and requires human underwriter review.${warned ? ` Flagged: ${warned}.` : ''}`;
+};
+
+const money = v => `$${Math.round(v).toLocaleString('en-US')}`;
+
+// The dataset limit each check compared against, stated in full. A co-applicant's check
+// ids carry the party as a suffix (e.g. age.co_applicant_1).
+const appliedThreshold = ({ id, values }) => {
+  switch (id.split('.')[0]) {
+    case 'age': return `Age between ${values.min} and ${values.max} years${values.maxAtTenureEnd === undefined ? '' : `, at most ${values.maxAtTenureEnd} at the end of the tenure`}`;
+    case 'joint': return values.max === null ? 'No joint applications provided for' : `Up to ${values.max} co-applicants`;
+    case 'verification': return `Declared credit score within ${values.creditScorePoints} points and income within ${+(values.incomeRatio * 100).toFixed(2)}% of the verified values`;
+    case 'amount': return `Amount at most ${money(values.max)}`;
+    case 'tenure': return `Tenure between ${values.min} and ${values.max} months`;
+    case 'lti': return values.cap === null ? 'No cap defined' : `Loan at most ${values.cap}x monthly income`;
+    case 'routing': return `${values.employmentType} ${values.requested} requests route to ${values.target}`;
+    case 'employment': return values.min === null ? 'No rules defined' : `${values.decision.toUpperCase()} band: ${values.employmentType} from ${values.min} years`;
+    case 'loans': return values.decision === null ? 'No band covers this count' : values.max === null ? `${values.decision.toUpperCase()} band: beyond the counted bands` : `${values.decision.toUpperCase()} band: up to ${values.max} active loans`;
+    case 'credit': {
+      const range = values.min === null ? `up to ${values.max}` : values.max === null ? `${values.min} and above` : `${values.min}-${values.max}`;
+      return `${values.band.toUpperCase()} band: score ${range}`;
+    }
+    case 'dti': {
+      const limit = `${(values.threshold * 100).toFixed(0)}% of income`;
+      // The last category also catches every ratio beyond its own threshold.
+      return values.dti > values.threshold
+        ? `${values.category.toUpperCase()} category: total EMI above ${limit}`
+        : `${values.category.toUpperCase()} category: total EMI up to ${limit}`;
+    }
+    default: return null;
+  }
+};
+
+export const buildDecisionReport = ({ applicant, assessment, policy, suggestions, generatedAt }) => ({
+  schema: REPORT_SCHEMA_ID,
+  schemaVersion: REPORT_SCHEMA_VERSION,
+  traceId: assessment.traceId ?? null,
+  generatedAt,
+  policy: {
+    versions: policy.versions,
+    thresholds: {
+      approveIfProbabilityAbove: policy.thresholds.approve_if_probability_above,
+      rejectIfProbabilityBelow: policy.thresholds.reject_if_probability_below
+    }
+  },
+  applicant: {
+    name: applicant.name || null,
+    applicantId: applicant.applicantId || null,
+    inputs: Object.fromEntries(DECISION_INPUTS.map(f => [f, applicant[f] ?? null])),
+    coApplicants: snapshotCoApplicants(applicant).map((inputs, i) => ({ name: applicant.coApplicants[i]?.name || null, inputs })),
+    verification: verificationSummary(applicant)
+  },
+  decision: {
+    outcome: assessment.decision,
+    probability: assessment.probability,
+    rationale: decisionRationale(assessment, policy.thresholds),
+    reasons: assessment.reasons
+  },
+  figures: {
+    loanType: assessment.loanType,
+    annualRate: assessment.annualRate,
+    rateRuleId: assessment.rateRuleId,
+    emi: assessment.emi,
+    existingEmi: assessment.existingEmi,
+    totalObligation: assessment.totalObligation,
+    dti: assessment.dti
+  },
+  checks: assessment.checks.map(c => ({
+    id: c.id, ruleId: c.ruleId, label: c.label, status: c.status, detail: c.detail, threshold: appliedThreshold(c), values: c.values, party: c.party ?? null
+  })),
+  factors: assessment.factors.map(({ id, ruleId, label, weight, points, contribution, basis }) => ({ id, ruleId, label, weight, points, contribution, basis })),
+  suggestions,
+  disclaimers: DISCLAIMERS
+});
+
+// --- REPORT SCHEMA ---
+// JSON Schema (draft 2020-12) for the report above. Consumers should key on `schema`
+// and `schemaVersion`; fields are only ever added within a major version.
+
+const nullableNumber = description => ({ type: ['number', 'null'], description });
+
+export const DECISION_REPORT_SCHEMA = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  $id: `${REPORT_SCHEMA_ID}/${REPORT_SCHEMA_VERSION}`,
+  title: 'Loan decision report',
+  type: 'object',
+  required: ['schema', 'schemaVersion', 'traceId', 'generatedAt', 'policy', 'applicant', 'decision', 'figures', 'checks', 'factors', 'suggestions', 'disclaimers'],
+  properties: {
+    schema: { const: REPORT_SCHEMA_ID },
+    schemaVersion: { type: 'string', description: 'Semantic version of this schema' },
+    traceId: { type: ['string', 'null'], description: 'Audit trail trace ID; null only if the audit record could not be written' },
+    generatedAt: { type: 'string', format: 'date-time' },
+    policy: {
+      type: 'object',
+      required: ['versions', 'thresholds'],
+      properties: {
+        versions: {
+          type: 'object',
+          description: 'dataset_version of each policy dataset the decision was made under',
+          required: ['lending_rules', 'approval_thresholds', 'approval_probability', 'product_pricing'],
+          additionalProperties: { type: 'string' }
+        },
+        thresholds: {
+          type: 'object',
+          required: ['approveIfProbabilityAbove', 'rejectIfProbabilityBelow'],
+          properties: {
+            approveIfProbabilityAbove: { type: 'number', description: 'Percent; strictly above is APPROVED' },
+            rejectIfProbabilityBelow: { type: 'number', description: 'Percent; strictly below is REJECTED' }
+          }
+        }
+      }
+    },
+    applicant: {
+      type: 'object',
+      required: ['name', 'applicantId', 'inputs'],
+      properties: {
+        name: { type: ['string', 'null'] },
+        applicantId: { type: ['string', 'null'], description: 'Set for applicants imported in a batch' },
+        inputs: {
+          type: 'object',
+          description: 'The decision inputs exactly as submitted',
+          required: [...DECISION_INPUTS],
+          additionalProperties: false,
+          properties: Object.fromEntries(DECISION_INPUTS.map(f => [f, { type: ['string', 'number', 'null'] }]))
+        },
+        coApplicants: {
+          type: 'array',
+          description: 'Co-applicants on a joint application (since 1.2.0); empty for a single applicant',
+          items: {
+            type: 'object',
+            required: ['name', 'inputs'],
+            properties: {
+              name: { type: ['string', 'null'] },
+              inputs: {
+                type: 'object',
+                required: [...CO_APPLICANT_INPUTS],
+                additionalProperties: false,
+                properties: Object.fromEntries(CO_APPLICANT_INPUTS.map(f => [f, { type: ['string', 'number', 'null'] }]))
+              }
+            }
+          }
+        },
+        verification: {
+          type: ['object', 'null'],
+          description: 'Declared and verified values of each verified input, with their sources (since 1.3.0); null when the applicant was not verified',
+          additionalProperties: false,
+          properties: Object.fromEntries(Object.keys(VERIFIABLE_INPUTS).map(f => [f, {
+            type: 'object',
+            required: ['declared', 'verified'],
+            properties: {
+              declared: { type: 'object', required: ['value', 'source'], properties: { value: { type: ['string', 'number', 'null'] }, source: { type: 'string' } } },
+              verified: {
+                type: 'object',
+                required: ['value', 'source', 'reference'],
+                properties: {
+                  value: { type: ['string', 'number', 'null'], description: 'null when the provider had no record' },
+                  source: { type: 'string' },
+                  reference: { type: ['string', 'null'] }
+                }
+              }
+            }
+          }]))
+        }
+      }
+    },
+    decision: {
+      type: 'object',
+      required: ['outcome', 'probability', 'rationale', 'reasons'],
+      properties: {
+        outcome: { enum: ['APPROVED', 'REVIEW', 'REJECTED', 'ESCALATED'] },
+        probability: nullableNumber('Approval probability in percent (0-100, one decimal); null when ESCALATED'),
+        rationale: { type: 'string' },
+        reasons: {
+          type: 'array',
+          description: 'Data issues that caused an escalation; empty otherwise',
+          items: {
+            type: 'object',
+            required: ['field', 'kind', 'message'],
+            properties: { field: { type: 'string' }, kind: { enum: ['missing', 'invalid', 'contradictory'] }, message: { type: 'string' } }
+          }
+        }
+      }
+    },
+    figures: {
+      type: 'object',
+      description: 'Monthly amounts in dollars; null when ESCALATED or when the product is not in the catalogue',
+      required: ['loanType', 'annualRate', 'rateRuleId', 'emi', 'existingEmi', 'totalObligation', 'dti'],
+      properties: {
+        loanType: { type: ['string', 'null'], description: 'Product the request was assessed under; differs from the requested loanType when product routing applied' },
+        annualRate: nullableNumber('Fixed APR used for the EMI, as a fraction, from the product pricing dataset'),
+        rateRuleId: { type: ['string', 'null'], description: 'Pricing entry the rate was taken from' },
+        emi: nullableNumber('Instalment on the requested loan'),
+        existingEmi: nullableNumber('Instalments on existing loans'),
+        totalObligation: nullableNumber('emi + existingEmi'),
+        dti: nullableNumber('totalObligation / monthly income, as a fraction')
+      }
+    },
+    checks: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'ruleId', 'label', 'status', 'detail', 'threshold', 'values'],
+        properties: {
+          id: { type: 'string' },
+          ruleId: { type: 'string', description: 'Dotted path of the dataset rule applied' },
+          label: { type: 'string' },
+          status: { enum: ['pass', 'warn', 'fail'] },
+          detail: { type: 'string' },
+          threshold: { type: ['string', 'null'], description: 'The limit applied, in words' },
+          values: { type: 'object', description: 'Evaluated values and limits; keys depend on the check' },
+          party: { type: ['string', 'null'], description: 'On a joint application (since 1.2.0), who the check evaluated: applicant, co_applicant_N, or joint for combined figures; null otherwise' }
+        }
+      }
+    },
+    factors: {
+      type: 'array',
+      description: 'Weighted components of the approval probability',
+      items: {
+        type: 'object',
+        required: ['id', 'ruleId', 'label', 'weight', 'points', 'contribution', 'basis'],
+        properties: {
+          id: { type: 'string' },
+          ruleId: { type: 'string' },
+          label: { type: 'string' },
+          weight: { type: 'number' },
+          points: { type: 'number', minimum: 0, maximum: 1 },
+          contribution: { type: 'number' },
+          basis: { type: 'string' }
+        }
+      }
+    },
+    suggestions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['checkId', 'ruleId', 'title', 'message'],
+        properties: { checkId: { type: 'string' }, ruleId: { type: 'string' }, title: { type: 'string' }, message: { type: 'string' } }
+      }
+    },
+    disclaimers: { type: 'array', items: { type: 'string' }, minItems: 1 }
+  }
+};
@@ -0,0 +1,108 @@
+import { describe, expect, it } from 'vitest';
+import { loadTestPolicy, loadTestApplicants } from '../test/datasets.js';
+import { assess } from '../engine/assess.js';
+import { suggestImprovements } from '../engine/suggestions.js';
+import { DECISION_REPORT_SCHEMA, DISCLAIMERS, buildDecisionReport } from './report.js';
+import { renderLetterHtml, renderLetterPdf } from './letter.js';
+import { schemaErrors } from '../api/jsonSchema.js';
+
+const policy = loadTestPolicy();
+const applicants = loadTestApplicants();
+const byId = id => applicants.find(a => a.applicantId === id);
+
+const reportFor = (applicant) => {
+  const assessment = { ...assess(applicant, policy), traceId: 'ABCDEF0123456789' };
+  return buildDecisionReport({
+    applicant, assessment, policy,
+    suggestions: suggestImprovements(applicant, assessment, policy),
+    generatedAt: '2026-01-01T00:00:00.000Z'
+  });
+};
+
+describe('buildDecisionReport()', () => {
+  it('conforms to the documented schema for every dataset applicant', () => {
+    applicants.forEach(a => expect(schemaErrors(reportFor(a), DECISION_REPORT_SCHEMA)).toEqual([]));
+  });
+
+  it('conforms for an escalated case', () => {
+    const report = reportFor({ ...byId('A1003'), income: '' });
+    expect(report.decision.outcome).toBe('ESCALATED');
+    expect(schemaErrors(report, DECISION_REPORT_SCHEMA)).toEqual([]);
+  });
+
+  it('carries the trace ID, policy versions and the exact thresholds applied', () => {
+    const report = reportFor(byId('A1019'));
+    expect(report.traceId).toBe('ABCDEF0123456789');
+    expect(report.policy.versions).toEqual(policy.versions);
+    const lti = report.checks.find(c => c.id === 'lti');
+    expect(lti.threshold).toBe(`Loan at most ${lti.values.cap}x monthly income`);
+    const dti = report.checks.find(c => c.id === 'dti');
+    expect(dti.threshold).toBe(`REJECT category: total EMI above ${dti.values.threshold * 100}% of income`);
+  });
+
+  it('states every checkpoint passed only when none was flagged', () => {
+    expect(reportFor(byId('A1003')).decision.rationale).toMatch(/and every compliance checkpoint passed\.$/);
+    const { decision, checks } = reportFor(byId('A1007'));
+    expect(decision.outcome).toBe('APPROVED');
+    const credit = checks.find(c => c.id === 'credit');
+    expect(credit.status).toBe('warn');
+    expect(decision.rationale).toContain(`no compliance checkpoint failed. Noted without blocking approval: ${credit.label}: ${credit.detail}.`);
+    expect(decision.rationale).not.toContain('every compliance checkpoint passed');
+  });
+
+  it('explains a review held by a check rather than by the probability', () => {
+    const { decision } = reportFor(byId('A1012'));
+    expect(decision.outcome).toBe('REVIEW');
+    expect(decision.rationale).toMatch(/^Approval probability of 80% clears the \d+% automated approval bar, but policy requires human underwriter review of these checks\. .*Debt-to-Income: Ratio: 49\.2%/);
+  });
+
+  it('names the product a routed request was assessed under', () => {
+    const report = reportFor(byId('A1006'));
+    expect(report.figures.loanType).toBe('Personal_SelfEmployed');
+    expect(report.checks.find(c => c.id === 'routing').threshold).toBe('Self-Employed Personal requests route to Personal_SelfEmployed');
+    expect(renderLetterHtml(report)).toContain('Personal_SelfEmployed (requested Personal)');
+  });
+
+  it('records co-applicants and the party behind each check on joint applications', () => {
+    const co = { name: 'J. Partner', gender: 'F', age: '40', employmentType: 'Salaried', employmentYears: '10', income: '60000', creditScore: '700', existingEmi: '10000', existingLoansCount: '1' };
+    const report = reportFor({ ...byId('A1003'), coApplicants: [co] });
+    expect(schemaErrors(report, DECISION_REPORT_SCHEMA)).toEqual([]);
+    expect(report.applicant.coApplicants).toEqual([{ name: 'J. Partner', inputs: expect.not.objectContaining({ gender: 'F' }) }]);
+    expect(report.checks.find(c => c.id === 'credit').party).toBe('co_applicant_1');
+    expect(report.checks.find(c => c.id === 'joint').threshold).toBe('Up to 2 co-applicants');
+    expect(reportFor(byId('A1003')).checks.every(c => c.party === null)).toBe(true);
+  });
+
+  it('leaves gender and other identity fields out of the decision inputs', () => {
+    expect(reportFor(byId('A1003')).applicant.inputs).not.toHaveProperty('gender');
+  });
+});
+
+describe('decision letter', () => {
+  it('lists every check, the figures and the mandatory disclaimers', () => {
+    const report = reportFor(byId('A1019'));
+    const html = renderLetterHtml(report);
+    report.checks.forEach(c => expect(html).toContain(c.ruleId));
+    expect(html).toContain('ABCDEF0123456789');
+    expect(html).toContain(`Lending Rules v${policy.versions.lending_rules}`);
+    expect(html).toContain('Debt-to-income ratio');
+    DISCLAIMERS.forEach(d => expect(html).toContain(d));
+  });
+
+  it('includes improvement suggestions when there are any', () => {
+    const report = reportFor(byId('A1019'));
+    expect(report.suggestions.length).toBeGreaterThan(0);
+    expect(renderLetterHtml(report)).toContain(report.suggestions[0].title);
+  });
+
+  it('escapes applicant-supplied text', () => {
+    const html = renderLetterHtml(reportFor({ ...byId('A1003'), name: '<script>alert(1)</script>' }));
+    expect(html).not.toContain('<script>');
+    expect(html).toContain('&lt;script&gt;');
+  });
+
+  it('renders a PDF', () => {
+    const bytes = new Uint8Array(renderLetterPdf(reportFor(byId('A1019'))).output('arraybuffer'));
+    expect(new TextDecoder().decode(bytes.slice(0, 5))).toBe('%PDF-');
+  });
+});
@@ -0,0 +1,49 @@
+// --- LOCAL DATABASE ---
+// One IndexedDB database backs every persistent store. Each schema version adds its
+// object stores in order, so upgrading from any earlier version replays only what is missing.
+
+const DB_NAME = 'compliance-hub';
+const DB_VERSION = 3;
+
+export const STORES = {
+  applications: 'applications',
+  audit: 'audit',
+  policies: 'policies'
+};
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = (event) => {
+        const db = req.result;
+        if (event.oldVersion < 1) {
+          db.createObjectStore(STORES.applications, { keyPath: 'id' }).createIndex('updatedAt', 'updatedAt');
+        }
+        if (event.oldVersion < 2) {
+          db.createObjectStore(STORES.audit, { keyPath: 'traceId' }).createIndex('sequence', 'sequence', { unique: true });
+        }
+        if (event.oldVersion < 3) {
+          db.createObjectStore(STORES.policies, { keyPath: 'id' });
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => { dbPromise = null; reject(req.error); };
+    });
+  }
+  return dbPromise;
+};
+
+// Runs `fn` against one object store and resolves with `.result` of whatever it returns
+// once the transaction has committed.
+export const run = async (storeName, mode, fn) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const req = fn(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = () => reject(tx.error);
+  });
+};
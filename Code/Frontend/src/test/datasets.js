@@ -0,0 +1,12 @@
+import { readFileSync } from 'node:fs';
+import { readPolicy } from '../cli/files.js';
+import { importApplicants } from '../batch/importApplicants.js';
+
+// Shared test fixtures: the real datasets from the repository-level Data/ folder.
+
+export const dataFile = name => readFileSync(new URL(`../../../../Data/${name}`, import.meta.url));
+
+export const loadTestPolicy = () => readPolicy();
+
+export const loadTestApplicants = () =>
+  importApplicants(dataFile('Base_Applicant_Dataset_20.xlsx'), 'Base_Applicant_Dataset_20.xlsx').applicants;
@@ -0,0 +1,9 @@
+// Raised when a verification provider cannot be reached or fails. `issues` carries the
+// provider's own error messages. A lookup that simply finds no record is not an error.
+export class VerificationError extends Error {
+  constructor(message, issues = []) {
+    super(message);
+    this.name = 'VerificationError';
+    this.issues = issues;
+  }
+}
@@ -0,0 +1,42 @@
+// --- MOCK VERIFICATION PROVIDER ---
+// Serves fixed bureau and bank-statement results for the Base_Applicant_Dataset_20
+// applicants, so verification can be exercised without a real bureau. It is only ever
+// used when explicitly enabled, never as a default provider. Most results sit
+// within the policy's tolerances of the declared values. Three do not:
+//  - A1008's bureau score is 75 points below the declared score.
+//  - A1012's verified income is about a quarter below the declared income.
+//  - A1016 has no bank-statement record.
+
+export const MOCK_SOURCES = Object.freeze({ creditScore: 'mock-bureau', income: 'mock-bank-statements' });
+
+export const MOCK_FIXTURES = Object.freeze({
+  A1001: { creditScore: 618, income: 18000 },
+  A1002: { creditScore: 685, income: 61500 },
+  A1003: { creditScore: 742, income: 120000 },
+  A1004: { creditScore: 720, income: 88000 },
+  A1005: { creditScore: 645, income: 22000 },
+  A1006: { creditScore: 610, income: 45000 },
+  A1007: { creditScore: 703, income: 54000 },
+  A1008: { creditScore: 705, income: 150000 },
+  A1009: { creditScore: 590, income: 16500 },
+  A1010: { creditScore: 728, income: 85000 },
+  A1011: { creditScore: 660, income: 50500 },
+  A1012: { creditScore: 760, income: 82000 },
+  A1013: { creditScore: 655, income: 40000 },
+  A1014: { creditScore: 580, income: 14000 },
+  A1015: { creditScore: 712, income: 95000 },
+  A1016: { creditScore: 688, income: null },
+  A1017: { creditScore: 800, income: 205000 },
+  A1018: { creditScore: 630, income: 31000 },
+  A1019: { creditScore: 668, income: 48000 },
+  A1020: { creditScore: 740, income: 104000 }
+});
+
+// Providers for verifyApplicant(); unknown applicant IDs have no record.
+export const createMockProviders = (fixtures = MOCK_FIXTURES) => Object.fromEntries(Object.entries(MOCK_SOURCES).map(([field, source]) => [field, {
+  source,
+  lookup: async (applicantId) => {
+    const value = fixtures[applicantId]?.[field];
+    return value === undefined || value === null ? null : { value, reference: `${source.toUpperCase()}-${applicantId}` };
+  }
+}]));
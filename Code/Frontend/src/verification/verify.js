@@ -0,0 +1,49 @@
+import { VERIFIABLE_INPUTS } from '../engine/inputs.js';
+import { VerificationError } from './errors.js';
+
+// --- VERIFICATION ---
+// Credit scores and incomes are declared by the applicant. Providers confirm them from an
+// outside source: a credit bureau for the score, bank statements or payroll for income.
+// A provider is a plain object keyed by the input it verifies:
+//   { source, lookup: async applicantId => ({ value, reference }) | null }
+// verifyApplicant() attaches what the providers report under `verification`. Comparing
+// that with the declared values is left to the engine, under the policy's tolerances,
+// so a stored input reproduces its decision without calling any provider again.
+
+export const DECLARED_SOURCE = 'applicant';
+
+// `providers` is { creditScore, income }; either may be left out. Applicants without an
+// ID (those entered in the wizard) have nothing to look up and are returned unchanged.
+export const verifyApplicant = async (applicant, providers = {}) => {
+  const fields = Object.keys(VERIFIABLE_INPUTS).filter(f => providers[f]);
+  const id = applicant.applicantId;
+  if (!id || !fields.length) return applicant;
+
+  const pull = async (field) => {
+    const { source, lookup } = providers[field];
+    try {
+      const found = await lookup(id);
+      return { value: found?.value ?? null, source, reference: found?.reference ?? null };
+    } catch (err) {
+      throw new VerificationError(`${source} could not verify the ${VERIFIABLE_INPUTS[field].toLowerCase()} of ${id}`, [err.message]);
+    }
+  };
+  const verification = Object.fromEntries(await Promise.all(fields.map(async f => [f, await pull(f)])));
+  return { ...applicant, verification };
+};
+
+// Each verified input's declared and verified value with its source, for audit records
+// and reports; null when the applicant was not verified.
+export const verificationSummary = (applicant) => {
+  const verification = applicant.verification;
+  if (!verification) return null;
+  return Object.fromEntries(Object.keys(VERIFIABLE_INPUTS).filter(f => verification[f]).map(f => [f, {
+    declared: { value: applicant[f] ?? null, source: DECLARED_SOURCE },
+    verified: { value: verification[f].value ?? null, source: verification[f].source ?? null, reference: verification[f].reference ?? null }
+  }]));
+};
+
+// The applicant as verified, rebuilt from a summary (say, the one in an API report).
+export const withVerification = (applicant, summary) => summary
+  ? { ...applicant, verification: Object.fromEntries(Object.entries(summary).map(([f, v]) => [f, v.verified])) }
+  : applicant;
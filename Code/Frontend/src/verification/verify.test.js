@@ -0,0 +1,124 @@
+import { describe, expect, it } from 'vitest';
+import { loadTestPolicy, loadTestApplicants } from '../test/datasets.js';
+import { assess } from '../engine/assess.js';
+import { buildAuditRecord, policyFingerprint, verifyRecord } from '../audit/trail.js';
+import { createAssessmentService } from '../api/service.js';
+import { DECISION_REPORT_SCHEMA, buildDecisionReport } from '../report/report.js';
+import { schemaErrors } from '../api/jsonSchema.js';
+import { VerificationError } from './errors.js';
+import { MOCK_FIXTURES, createMockProviders } from './mockProvider.js';
+import { verificationSummary, verifyApplicant, withVerification } from './verify.js';
+
+const policy = loadTestPolicy();
+const applicants = loadTestApplicants();
+const byId = id => applicants.find(a => a.applicantId === id);
+const providers = createMockProviders();
+
+const withPolicy = edit => {
+  const lendingRules = structuredClone(policy.lendingRules);
+  edit(lendingRules);
+  return { ...policy, lendingRules };
+};
+
+describe('verifyApplicant()', () => {
+  it('attaches each provider\'s value, source and reference', async () => {
+    const verified = await verifyApplicant(byId('A1003'), providers);
+    expect(verified.verification).toEqual({
+      creditScore: { value: 742, source: 'mock-bureau', reference: 'MOCK-BUREAU-A1003' },
+      income: { value: 120000, source: 'mock-bank-statements', reference: 'MOCK-BANK-STATEMENTS-A1003' }
+    });
+    expect(verified.creditScore).toBe(byId('A1003').creditScore);
+    expect((await verifyApplicant(byId('A1016'), providers)).verification.income).toEqual({ value: null, source: 'mock-bank-statements', reference: null });
+  });
+
+  it('leaves applicants without an ID, or without providers, as they are', async () => {
+    const unidentified = { ...byId('A1003'), applicantId: undefined };
+    expect(await verifyApplicant(unidentified, providers)).toBe(unidentified);
+    expect(await verifyApplicant(byId('A1003'))).toBe(byId('A1003'));
+  });
+
+  it('reports a provider failure as a VerificationError', async () => {
+    const down = { ...providers, income: { source: 'payroll-api', lookup: async () => { throw new Error('ECONNREFUSED'); } } };
+    await expect(verifyApplicant(byId('A1003'), down)).rejects.toThrow(VerificationError);
+    await expect(verifyApplicant(byId('A1003'), down)).rejects.toMatchObject({ issues: ['ECONNREFUSED'], message: expect.stringContaining('payroll-api') });
+  });
+
+  it('round-trips through its summary', async () => {
+    const verified = await verifyApplicant(byId('A1003'), providers);
+    const summary = verificationSummary(verified);
+    expect(summary.creditScore).toEqual({
+      declared: { value: '750', source: 'applicant' },
+      verified: { value: 742, source: 'mock-bureau', reference: 'MOCK-BUREAU-A1003' }
+    });
+    expect(withVerification(byId('A1003'), summary)).toEqual(verified);
+    expect(verificationSummary(byId('A1003'))).toBeNull();
+  });
+});
+
+describe('assess() with verified values', () => {
+  it('decides every mock fixture as before, except those the provider contradicts', async () => {
+    const changed = {};
+    for (const a of applicants) {
+      const result = assess(await verifyApplicant(a, providers), policy);
+      if (result.decision !== assess(a, policy).decision) changed[a.applicantId] = result.decision;
+    }
+    expect(Object.keys(MOCK_FIXTURES)).toEqual(applicants.map(a => a.applicantId));
+    expect(changed).toEqual({ A1008: 'ESCALATED', A1012: 'ESCALATED' });
+  });
+
+  it('escalates a declared value beyond the policy tolerance as contradictory', async () => {
+    const result = assess(await verifyApplicant(byId('A1008'), providers), policy);
+    expect(result.reasons).toEqual([{
+      field: 'creditScore', kind: 'contradictory', ruleId: 'lending_rules.verification.credit_score_tolerance_points',
+      message: 'Declared credit score 780 differs from the 705 reported by mock-bureau by more than 20 points'
+    }]);
+    expect(assess(await verifyApplicant(byId('A1012'), providers), policy).reasons).toEqual([
+      expect.objectContaining({ field: 'income', ruleId: 'lending_rules.verification.income_tolerance_ratio', message: expect.stringContaining('by more than 10%') })
+    ]);
+  });
+
+  it('records what was confirmed, and by whom', async () => {
+    const confirmed = assess(await verifyApplicant(byId('A1003'), providers), policy).checks.find(c => c.id === 'verification');
+    expect(confirmed).toMatchObject({ status: 'pass', detail: 'Credit score confirmed by mock-bureau; Monthly income confirmed by mock-bank-statements' });
+    const unconfirmed = assess(await verifyApplicant(byId('A1016'), providers), policy).checks.find(c => c.id === 'verification');
+    expect(unconfirmed).toMatchObject({ status: 'warn', values: { confirmed: ['creditScore'], unconfirmed: ['income'] } });
+    expect(assess(byId('A1003'), policy).checks.some(c => c.id === 'verification')).toBe(false);
+  });
+
+  it('tolerates no difference when the policy sets no tolerance', async () => {
+    const strict = withPolicy(r => { delete r.verification; });
+    expect(assess(await verifyApplicant(byId('A1003'), providers), strict).reasons).toEqual([
+      expect.objectContaining({ field: 'creditScore', kind: 'contradictory', ruleId: 'lending_rules.verification' })
+    ]);
+  });
+});
+
+describe('verification on record', () => {
+  it('keeps the declared and verified values with their sources, and reproduces', async () => {
+    const applicant = await verifyApplicant(byId('A1008'), providers);
+    const assessment = assess(applicant, policy);
+    const record = await buildAuditRecord({ subject: {}, applicant, assessment, fingerprint: await policyFingerprint(policy), previous: null, createdAt: '2026-01-01T00:00:00.000Z' });
+    expect(record.verification.creditScore).toEqual({
+      declared: { value: '780', source: 'applicant' },
+      verified: { value: 705, source: 'mock-bureau', reference: 'MOCK-BUREAU-A1008' }
+    });
+    expect((await verifyRecord(record, policy)).reproduced).toBe(true);
+
+    const report = buildDecisionReport({ applicant, assessment: { ...assessment, traceId: record.traceId }, policy, suggestions: [], generatedAt: '2026-01-01T00:00:00.000Z' });
+    expect(report.applicant.verification).toEqual(record.verification);
+    expect(schemaErrors(report, DECISION_REPORT_SCHEMA)).toEqual([]);
+  });
+
+  it('is verified by the API service, which answers 502 when a provider fails', async () => {
+    const post = (service, applicant) => service.handle({ method: 'POST', path: '/assessments', body: JSON.stringify(applicant) });
+    const { status, body } = await post(createAssessmentService({ policy, providers }), byId('A1012'));
+    expect(status).toBe(201);
+    expect(body.assessment.decision).toBe('ESCALATED');
+    expect(body.report.applicant.verification.income.verified.source).toBe('mock-bank-statements');
+
+    const down = { creditScore: { source: 'bureau-api', lookup: async () => { throw new Error('timeout'); } } };
+    const failed = await post(createAssessmentService({ policy, providers: down }), byId('A1003'));
+    expect(failed.status).toBe(502);
+    expect(failed.body.error).toMatchObject({ code: 'verification_unavailable', issues: [{ path: '$', message: 'timeout' }] });
+  });
+});
@@ -1,7 +1,18 @@
-import { defineConfig } from 'vite'
+import { fileURLToPath } from 'node:url'
+import { defineConfig, searchForWorkspaceRoot } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Policy datasets live in the repository-level Data/ folder, outside the app root.
+const appRoot = fileURLToPath(new URL('.', import.meta.url))
+const dataDir = fileURLToPath(new URL('../../Data', import.meta.url))
+
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  resolve: {
+    alias: { '@data': dataDir },
+  },
+  server: {
+    fs: { allow: [searchForWorkspaceRoot(appRoot), dataDir] },
+  },
 })